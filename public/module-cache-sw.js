@@ -0,0 +1,285 @@
+/**
+ * Module cache service worker
+ * Caches package files fetched from the allowed CDNs so scenes keep working
+ * offline. Response bodies live in Cache Storage; per-file metadata and pinned
+ * packages live in IndexedDB. The IDE talks to it over postMessage
+ * (see src/utils/moduleCache.ts).
+ */
+
+const CACHE_NAME = 'threejs-ide-modules-v1';
+const DB_NAME = 'threejs-ide-module-cache';
+const DB_VERSION = 1;
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdn.skypack.dev', 'unpkg.com', 'esm.sh'];
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    // Take over the IDE and the preview iframe without a reload
+    event.waitUntil(self.clients.claim());
+});
+
+// --- IndexedDB helpers ---
+
+// One connection for the worker's lifetime, opened on first use
+let databasePromise = null;
+
+function openDatabase() {
+    if (databasePromise) return databasePromise;
+    databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('entries', { keyPath: 'url' });
+            db.createObjectStore('pins', { keyPath: 'package' });
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer worker upgrade the schema; reopen on next use
+            db.onversionchange = () => {
+                db.close();
+                databasePromise = null;
+            };
+            db.onclose = () => {
+                databasePromise = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => {
+            databasePromise = null;
+            reject(request.error);
+        };
+    });
+    return databasePromise;
+}
+
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+const put = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+const remove = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+// --- Package attribution ---
+
+/**
+ * Work out which package a CDN file belongs to
+ * e.g. https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js -> three@0.157.0
+ *      https://esm.sh/v135/lil-gui@0.19.1/es2022/lil-gui.mjs -> lil-gui@0.19.1
+ *      https://cdn.skypack.dev/gsap -> gsap@latest
+ */
+function getPackageInfo(url) {
+    const { pathname } = new URL(url);
+    const versioned = pathname.match(/\/((?:@[^/@]+\/)?[^/@]+)@v?(\d[\w.+-]*?)(?:-[A-Za-z0-9]{20})?(?=\/|$)/);
+    if (versioned) {
+        return { name: versioned[1], version: versioned[2] };
+    }
+
+    // Unversioned URL: first path segment(s) name the package
+    const segments = pathname.split('/').filter(Boolean).filter(s => s !== 'npm' && s !== '-');
+    const name = segments[0] && segments[0].startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    return { name: name || new URL(url).hostname, version: 'latest' };
+}
+
+function isCdnRequest(request) {
+    if (request.method !== 'GET') return false;
+    try {
+        return CDN_HOSTS.includes(new URL(request.url).hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Unversioned URLs can change upstream, so prefer the network for them
+function isVersionedUrl(url) {
+    return getPackageInfo(url).version !== 'latest';
+}
+
+// --- Caching ---
+
+async function storeResponse(url, response) {
+    const cache = await caches.open(CACHE_NAME);
+    const body = await response.clone().blob();
+    await cache.put(url, response.clone());
+
+    const { name, version } = getPackageInfo(url);
+    await put('entries', {
+        url,
+        package: name,
+        version,
+        size: body.size,
+        contentType: response.headers.get('content-type') || '',
+        cachedAt: Date.now(),
+    });
+}
+
+async function fetchAndCache(request) {
+    const response = await fetch(request);
+    if (response.ok && (response.type === 'cors' || response.type === 'basic')) {
+        // A failed write (quota, private-mode IndexedDB) must not fail the module request
+        try {
+            await storeResponse(request.url, response.clone());
+        } catch (error) {
+            console.warn(`Could not cache ${request.url}:`, error);
+        }
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    if (!isCdnRequest(event.request)) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(event.request.url);
+
+        if (cached && isVersionedUrl(event.request.url)) {
+            return cached;
+        }
+
+        try {
+            return await fetchAndCache(event.request);
+        } catch (error) {
+            // Offline: fall back to whatever we have
+            if (cached) return cached;
+            throw error;
+        }
+    })());
+});
+
+// --- Prefetching ---
+
+/**
+ * Fetch a module and every module it statically imports from the same CDN
+ */
+async function prefetch(url, seen = new Set()) {
+    if (seen.has(url)) return seen;
+    seen.add(url);
+
+    const response = await fetchAndCache(new Request(url, { mode: 'cors' }));
+    if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!/javascript|ecmascript/.test(contentType)) return seen;
+
+    // CDN output is minified: import"x", from"x", import("x")
+    const source = await response.text();
+    const pattern = /(?:\bfrom|\bimport)\s*\(?\s*["']([^"']+)["']/g;
+    const base = new URL(response.url || url);
+    const dependencies = [];
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const specifier = match[1];
+        if (!/^(\.{0,2}\/|https:)/.test(specifier)) continue;
+        const resolved = new URL(specifier, base);
+        if (CDN_HOSTS.includes(resolved.hostname)) {
+            dependencies.push(resolved.href);
+        }
+    }
+
+    for (const dependency of dependencies) {
+        await prefetch(dependency, seen);
+    }
+    return seen;
+}
+
+// --- Management API ---
+
+async function listPackages() {
+    const [entries, pins] = await Promise.all([getAll('entries'), getAll('pins')]);
+    const pinned = new Set(pins.map(p => p.package));
+    const packages = new Map();
+
+    for (const entry of entries) {
+        const key = `${entry.package}@${entry.version}`;
+        if (!packages.has(key)) {
+            packages.set(key, {
+                name: entry.package,
+                version: entry.version,
+                files: 0,
+                size: 0,
+                cachedAt: entry.cachedAt,
+                pinned: pinned.has(entry.package),
+            });
+        }
+        const pkg = packages.get(key);
+        pkg.files++;
+        pkg.size += entry.size;
+        pkg.cachedAt = Math.max(pkg.cachedAt, entry.cachedAt);
+    }
+
+    return Array.from(packages.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function purge({ packageName, includePinned }) {
+    const [entries, pins] = await Promise.all([getAll('entries'), getAll('pins')]);
+    const pinned = new Set(pins.map(p => p.package));
+    const cache = await caches.open(CACHE_NAME);
+    let removed = 0;
+
+    for (const entry of entries) {
+        if (packageName && entry.package !== packageName) continue;
+        if (!packageName && !includePinned && pinned.has(entry.package)) continue;
+        await cache.delete(entry.url);
+        await remove('entries', entry.url);
+        removed++;
+    }
+
+    if (packageName || includePinned) {
+        for (const pin of pins) {
+            if (!packageName || pin.package === packageName) {
+                await remove('pins', pin.package);
+            }
+        }
+    }
+
+    return { removed };
+}
+
+self.addEventListener('message', (event) => {
+    const { type, payload } = event.data || {};
+    const port = event.ports[0];
+    if (!port) return;
+
+    const handlers = {
+        list: () => listPackages(),
+        prefetch: async () => {
+            const results = [];
+            for (const url of payload.urls) {
+                try {
+                    const files = await prefetch(url);
+                    results.push({ url, files: files.size });
+                } catch (error) {
+                    results.push({ url, error: error.message });
+                }
+            }
+            return results;
+        },
+        pin: () => payload.pinned
+            ? put('pins', { package: payload.packageName, pinnedAt: Date.now() })
+            : remove('pins', payload.packageName),
+        purge: () => purge(payload || {}),
+    };
+
+    if (!handlers[type]) {
+        port.postMessage({ error: `Unknown module cache request: ${type}` });
+        return;
+    }
+
+    event.waitUntil(
+        Promise.resolve()
+            .then(handlers[type])
+            .then(result => port.postMessage({ result }))
+            .catch(error => port.postMessage({ error: error.message }))
+    );
+});
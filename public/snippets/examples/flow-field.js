@@ -31,12 +31,13 @@ controls.maxDistance = 100;
 // FLOW FIELD PARAMETERS
 // ============================================================================
 
-const PARTICLE_COUNT = 8000;
-const FLOW_SPEED = 0.05;
-const FLOW_SCALE = 0.08;      // How zoomed in the flow field is
-const FIELD_COMPLEXITY = 1.2;  // Complexity of the flow pattern
-const TRAIL_LENGTH = 100;      // How long particle trails are
-const BOUNDS = 40;             // Bounding box size
+// Tune these from the params panel - @param annotations become sliders
+const PARTICLE_COUNT = 8000;   // @param 1000..20000 step 1000 reload
+const FLOW_SPEED = 0.05;       // @param 0..0.2 step 0.005
+const FLOW_SCALE = 0.08;       // @param 0.01..0.3 step 0.01 - how zoomed in the flow field is
+const FIELD_COMPLEXITY = 1.2;  // @param 0..4 step 0.1 - complexity of the flow pattern
+const TRAIL_LENGTH = 100;      // @param 10..300 step 10 - how long particle trails are
+const BOUNDS = 40;             // @param 10..80 step 1 - bounding box size
 
 // Colors: blue-purple gradient
 const COLOR_START = new THREE.Color(0x4a90e2);  // Blue
@@ -1,6 +1,6 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import './App.css';
-import Editor, { EditorRef } from './components/Editor.tsx';
+import Editor, { EditorRef, EditorMarker } from './components/Editor.tsx';
 import Preview from './components/Preview.tsx';
 import SnippetDrawer from './components/SnippetDrawer.tsx';
 import Resizer from './components/Resizer.tsx';
@@ -8,19 +8,100 @@ import StatusBar from './components/StatusBar.tsx';
 import ErrorOverlay from './components/ErrorOverlay.tsx';
 import ShortcutsModal from './components/ShortcutsModal.tsx';
 import CheatsheetModal from './components/CheatsheetModal.tsx';
-import ConsolePanel, { ConsoleMessage } from './components/ConsolePanel.tsx';
+import ConsolePanel from './components/ConsolePanel.tsx';
+import FileTree from './components/FileTree.tsx';
+import EditorTabs from './components/EditorTabs.tsx';
+import ExportModal from './components/ExportModal.tsx';
+import PackageCacheModal from './components/PackageCacheModal.tsx';
+import DependenciesModal from './components/DependenciesModal.tsx';
+import ProjectsModal from './components/ProjectsModal.tsx';
+import HistoryPanel from './components/HistoryPanel.tsx';
+import ShareModal, { ShareBuild } from './components/ShareModal.tsx';
+import AssetsModal from './components/AssetsModal.tsx';
+import SceneInspector from './components/SceneInspector.tsx';
+import PerfOverlay from './components/PerfOverlay.tsx';
+import ParamsPanel from './components/ParamsPanel.tsx';
 import type * as Monaco from 'monaco-editor';
 import JSZip from 'jszip';
-import LZString from 'lz-string';
 import { parseImports, getImportSummary } from './utils/importParser';
-import { resolveImports, checkVersionConflicts, getResolutionSummary } from './utils/cdnResolver';
+import { resolveImports, checkVersionConflicts, getResolutionSummary, markUrlUnreachable, DEFAULT_CDN_CONFIG } from './utils/cdnResolver';
 import { generateImportmap, importmapToJSON, getUserImports } from './utils/importmapGenerator';
+import {
+  ProjectFile,
+  ProjectSettings,
+  ENTRY_FILE,
+  DEFAULT_PROJECT_SETTINGS,
+  parseProjectSettings,
+  createProject,
+  getEntryFile,
+  getFileLanguage,
+  normalizeFilePath,
+  isRelativeSpecifier,
+  getPreviewModules,
+  getPreviewEntryCode,
+} from './utils/projectFiles';
+import { buildExport, ExportTarget } from './utils/projectExporter';
+import { registerModuleCache } from './utils/moduleCache';
+import { getThreeImportmap } from './utils/threeVersions';
+import { VersionLock, getLockUpdates } from './utils/versionLock';
+import {
+  SavedProject,
+  listProjects,
+  getProject,
+  addProject,
+  updateProject,
+  getUniqueProjectName,
+  migrateLegacyProject,
+  getLastProjectId,
+  setLastProjectId,
+  createThumbnail,
+} from './utils/projectLibrary';
+import { ProjectSnapshot, SnapshotKind, addSnapshot } from './utils/projectHistory';
+import { ProjectAssets, findAssetPaths, fetchAsset } from './utils/projectAssets';
+import { getProjectAssets } from './utils/assetLibrary';
+import { AssetSource, loadAssetSources, saveAssetSources, getActiveAssetSources } from './utils/assetSources';
+import { SceneTree, SceneEditProperty, SceneEditValue, insertSceneEditCode } from './utils/sceneInspector';
+import { PerfSample, PerfProfile, PROFILE_DURATION, createPerfProfile, summarizeFrameTimes, formatFrameTime } from './utils/perfStats';
+import {
+  SceneParam,
+  SceneParamValue,
+  SceneParamOverrides,
+  getProjectSceneParams,
+  instrumentSceneParams,
+  writeSceneParams,
+  toRuntimeValue,
+} from './utils/sceneParams';
+import { getProjectShaderSwaps } from './utils/shaderHotSwap';
+import { ShaderErrorLocation, ShaderErrorReport, mapShaderErrors } from './utils/shaderErrors';
+import { RuntimeErrorReport, StackFrame, SourceLocation, mapRuntimeError } from './utils/runtimeErrors';
+import { ConsoleLevel, ConsoleValue, ConsoleTable, getConsoleValueText, getConsoleTableText } from './utils/consoleValues';
+import { CompletionTarget, instrumentReplScope, getModuleBindings, filterCompletions } from './utils/consoleRepl';
+import {
+  ConsoleLog,
+  ConsoleMessage,
+  ConsolePreferences,
+  appendConsoleMessages,
+  createConsoleLog,
+  loadConsolePreferences,
+  saveConsolePreferences,
+} from './utils/consoleLog';
+import {
+  ShareLayout,
+  SHARE_PAYLOAD_VERSION,
+  collectShareAssets,
+  decodeShareAssets,
+  readShareLink,
+  readShareFile,
+} from './utils/sharePayload';
+import { ImportEntries, importProject, readZipEntries } from './utils/projectImporter';
 
 interface ErrorInfo {
   message: string;
   lineno?: number;
   colno?: number;
   stack?: string;
+  path?: string;          // project file of lineno/colno
+  frames?: StackFrame[];
 }
 
 interface MessageData {
@@ -300,6 +381,9 @@ const CONSOLE_IGNORE_PATTERNS = [
   /^\d+% loaded$/i, // Ignore "X% loaded" messages
 ];
 
+// How often new console messages are added to the panel, in ms
+const CONSOLE_FLUSH_INTERVAL = 100;
+
 // FlowBoard integration via window.opener postMessage
 const FLOWBOARD_ORIGINS = [
   'http://localhost:5173',       // Local FlowBoard dev
@@ -307,27 +391,256 @@ const FLOWBOARD_ORIGINS = [
   'https://flow.w33s3.com',      // FlowBoard SaaS production
 ];
 
+// Wait for the scene to render before capturing a project thumbnail and
+// recording the run in the project history
+const THUMBNAIL_DELAY = 2000;
+
+// How often the open scene inspector asks the preview for the scene tree (ms)
+const SCENE_TREE_POLL_INTERVAL = 1000;
+
+// Performance samples (500ms each) behind the HUD's live numbers, and recorded profiles kept for comparison
+const PERF_WINDOW_SAMPLES = 6;
+const MAX_PERF_PROFILES = 10;
+
+interface ProjectContent {
+  files: ProjectFile[];
+  settings: ProjectSettings;
+}
+
+// A project arriving from outside the library: share link, share file or import
+interface IncomingProject extends ProjectContent {
+  layout?: ShareLayout;
+  assets: ProjectAssets;
+}
+
 function App() {
-  const [code, setCode] = useState(defaultCode);
+  const [files, setFiles] = useState<ProjectFile[]>(() => createProject(defaultCode));
+  const [settings, setSettings] = useState<ProjectSettings>(DEFAULT_PROJECT_SETTINGS);
+  const [assets, setAssets] = useState<ProjectAssets>({});
+  const [assetSources, setAssetSources] = useState<AssetSource[]>(loadAssetSources);
+  const [currentProject, setCurrentProject] = useState<{ id: string; name: string } | null>(null);
+  const [activePath, setActivePath] = useState(ENTRY_FILE);
+  const [openTabs, setOpenTabs] = useState<string[]>([ENTRY_FILE]);
   const [editorWidth, setEditorWidth] = useState(50);
   const [isEditorStowed, setIsEditorStowed] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const [isSnippetDrawerOpen, setIsSnippetDrawerOpen] = useState(false);
   const [error, setError] = useState<ErrorInfo | null>(null);
   const [isExporting, setIsExporting] = useState(false);
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const [isPackageCacheOpen, setIsPackageCacheOpen] = useState(false);
+  const [isDependenciesOpen, setIsDependenciesOpen] = useState(false);
+  const [isProjectsOpen, setIsProjectsOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isShareOpen, setIsShareOpen] = useState(false);
+  const [isAssetsOpen, setIsAssetsOpen] = useState(false);
   const [isShortcutsOpen, setIsShortcutsOpen] = useState(false);
-  const [consoleMessages, setConsoleMessages] = useState<ConsoleMessage[]>([]);
+  const [consoleLog, setConsoleLog] = useState<ConsoleLog>(createConsoleLog);
   const [consoleHeight, setConsoleHeight] = useState(200);
-  const [messageIdCounter, setMessageIdCounter] = useState(0);
+  const [consolePreferences, setConsolePreferences] = useState<ConsolePreferences>(loadConsolePreferences);
   const [isConsoleOpen, setIsConsoleOpen] = useState(false);
+  const [isInspectorOpen, setIsInspectorOpen] = useState(false);
+  const [sceneTree, setSceneTree] = useState<SceneTree | null>(null);
+  const [selectedObjectId, setSelectedObjectId] = useState<string | null>(null);
+  const [isPerfMonitorOn, setIsPerfMonitorOn] = useState(false);
+  const [isPerfOverlayOpen, setIsPerfOverlayOpen] = useState(false);
+  const [perfSamples, setPerfSamples] = useState<PerfSample[]>([]);
+  const [perfProfiles, setPerfProfiles] = useState<PerfProfile[]>([]);
+  const [recordingProgress, setRecordingProgress] = useState<number | null>(null);
+  const [isParamsOpen, setIsParamsOpen] = useState(false);
+  const [paramOverrides, setParamOverrides] = useState<SceneParamOverrides>({});
+  const [shaderErrors, setShaderErrors] = useState<ShaderErrorLocation[]>([]);
+  // Location to show once the editor has switched to its file
+  const pendingRevealRef = useRef<SourceLocation | null>(null);
   const [isCheatsheetOpen, setIsCheatsheetOpen] = useState(false);
   const [isConsoleDragging, setIsConsoleDragging] = useState(false);
   const [isFlowBoardConnected, setIsFlowBoardConnected] = useState(false);
   const editorRef = useRef<EditorRef>(null);
   const monacoEditorRef = useRef<Monaco.editor.IStandaloneCodeEditor | null>(null);
   const iframeRef = useRef<HTMLIFrameElement>(null);
+  const runIdRef = useRef(0);
+  const previewThreeVersionRef = useRef(DEFAULT_PROJECT_SETTINGS.threeVersion);
+  // Read through a ref so recording new lock entries doesn't re-run the scene
+  const lockRef = useRef<VersionLock>(DEFAULT_PROJECT_SETTINGS.lock);
+  lockRef.current = settings.lock;
+  // JSON of the files and settings last written to the library, to skip no-op saves
+  const savedSnapshotRef = useRef('');
+  const currentProjectIdRef = useRef<string | null>(null);
+  currentProjectIdRef.current = currentProject?.id ?? null;
+  const thumbnailTimerRef = useRef<number | null>(null);
+  const thumbnailProjectIdRef = useRef<string | null>(null);
+  const hasOpenedInitialProjectRef = useRef(false);
+  // The editor's current content, for handlers registered once on mount
+  const projectContentRef = useRef<ProjectContent>({ files, settings });
+  projectContentRef.current = { files, settings };
+  // What the last run executed, and whether the preview reported an error since
+  const lastRunRef = useRef<ProjectContent | null>(null);
+  const lastRunAssetsRef = useRef<{ assets: ProjectAssets; assetSources: AssetSource[] } | null>(null);
+  const runErrorRef = useRef(false);
+  // Profile being recorded from the preview's performance samples
+  const perfRecordingRef = useRef<{ label: string; samples: PerfSample[] } | null>(null);
+  // Read through a ref so live param changes don't re-run the scene
+  const paramOverridesRef = useRef<SceneParamOverrides>({});
+  paramOverridesRef.current = paramOverrides;
+  const paramRunTimerRef = useRef<number | null>(null);
+  // Console messages waiting for the next batched update
+  const pendingConsoleMessagesRef = useRef<ConsoleMessage[]>([]);
+  // The log the next batch is appended to
+  const consoleLogRef = useRef(consoleLog);
+  const consoleFlushTimerRef = useRef<number | null>(null);
+  const consolePreferencesRef = useRef(consolePreferences);
+  consolePreferencesRef.current = consolePreferences;
+  // Read by runCode, so opening the console doesn't re-run the scene
+  const isConsoleOpenRef = useRef(isConsoleOpen);
+  isConsoleOpenRef.current = isConsoleOpen;
+  // Console command completions waiting for the preview's reply
+  const completionRequestsRef = useRef(new Map<number, (names: string[]) => void>());
+  const completionIdRef = useRef(0);
   const [isIframeReady, setIsIframeReady] = useState(false);
 
+  const activeFile = files.find(f => f.path === activePath) ?? getEntryFile(files);
+
+  const addConsoleMessage = useCallback((
+    type: ConsoleMessage['type'],
+    message: string,
+    details: Omit<ConsoleMessage, 'id' | 'type' | 'message' | 'timestamp'> = {}
+  ) => {
+    pendingConsoleMessagesRef.current.push({
+      id: Date.now() + Math.random(), // Use timestamp + random for truly unique IDs
+      type,
+      message,
+      timestamp: new Date(),
+      ...details,
+    });
+    // Batched, so logging every frame doesn't re-render the console every frame
+    if (consoleFlushTimerRef.current === null) {
+      consoleFlushTimerRef.current = window.setTimeout(() => {
+        consoleFlushTimerRef.current = null;
+        const incoming = pendingConsoleMessagesRef.current;
+        pendingConsoleMessagesRef.current = [];
+        // Appends in place, so not in a state updater - StrictMode runs those twice
+        consoleLogRef.current = appendConsoleMessages(consoleLogRef.current, incoming);
+        setConsoleLog(consoleLogRef.current);
+      }, CONSOLE_FLUSH_INTERVAL);
+    }
+  }, []);
+
+  const clearConsole = useCallback(() => {
+    pendingConsoleMessagesRef.current = [];
+    consoleLogRef.current = createConsoleLog();
+    setConsoleLog(consoleLogRef.current);
+  }, []);
+
+  // Replace the whole project (URL load, reset) and reopen the entry module
+  const loadProject = useCallback((projectFiles: ProjectFile[], projectSettings: ProjectSettings = DEFAULT_PROJECT_SETTINGS) => {
+    const entryPath = getEntryFile(projectFiles)?.path ?? ENTRY_FILE;
+    setFiles(projectFiles);
+    setSettings(projectSettings);
+    setActivePath(entryPath);
+    setOpenTabs([entryPath]);
+    setParamOverrides({});
+  }, []);
+
+  // Switch the editor to a project from the library
+  const openSavedProject = useCallback(async (project: SavedProject) => {
+    const projectAssets = await getProjectAssets(project.id).catch((error) => {
+      console.error('Failed to load project assets:', error);
+      return {};
+    });
+    const projectSettings = parseProjectSettings(project.settings);
+    savedSnapshotRef.current = JSON.stringify({ files: project.files, settings: projectSettings });
+    setCurrentProject({ id: project.id, name: project.name });
+    setLastProjectId(project.id);
+    setAssets(projectAssets);
+    loadProject(project.files, projectSettings);
+  }, [loadProject]);
+
+  // Share links, share files and imports open as a new project, in the sender's layout
+  const openSharedProject = useCallback(async (shared: IncomingProject, name = 'Shared scene') => {
+    const names = (await listProjects()).map(p => p.name);
+    const project = await addProject(getUniqueProjectName(name, names), shared.files, shared.settings, shared.assets);
+    await openSavedProject(project);
+
+    const { layout } = shared;
+    if (layout) {
+      setEditorWidth(layout.editorWidth);
+      setIsEditorStowed(layout.isEditorStowed);
+      setIsConsoleOpen(layout.isConsoleOpen);
+      setConsoleHeight(layout.consoleHeight);
+      setActivePath(layout.activePath);
+      setOpenTabs(layout.openTabs);
+    }
+  }, [openSavedProject]);
+
+  // Write pending edits to the library
+  const currentProjectId = currentProject?.id ?? null;
+  const saveCurrentProject = useCallback(async () => {
+    if (!currentProjectId) return;
+    const snapshot = JSON.stringify({ files, settings });
+    if (snapshot === savedSnapshotRef.current) return;
+    savedSnapshotRef.current = snapshot;
+    await updateProject(currentProjectId, { files, settings });
+  }, [currentProjectId, files, settings]);
+
+  // Record the editor's current content in the project history
+  const addHistorySnapshot = useCallback(async (kind: SnapshotKind, label?: string, content: ProjectContent = projectContentRef.current) => {
+    const projectId = currentProjectIdRef.current;
+    if (!projectId) return;
+    try {
+      await addSnapshot(projectId, kind, content.files, content.settings, label);
+    } catch (error) {
+      console.warn('Could not save history snapshot:', error);
+    }
+  }, []);
+
+  // Once the scene has rendered without errors, snapshot the run and capture a project thumbnail
+  const scheduleRunSnapshot = useCallback(() => {
+    if (thumbnailTimerRef.current) {
+      clearTimeout(thumbnailTimerRef.current);
+    }
+    thumbnailTimerRef.current = window.setTimeout(() => {
+      if (runErrorRef.current || !lastRunRef.current) return;
+      addHistorySnapshot('run', undefined, lastRunRef.current);
+      thumbnailProjectIdRef.current = currentProjectIdRef.current;
+      iframeRef.current?.contentWindow?.postMessage(
+        { type: 'captureCanvas', purpose: 'thumbnail' },
+        window.location.origin
+      );
+    }, THUMBNAIL_DELAY);
+  }, [addHistorySnapshot]);
+
+  // A different Three.js version reloads the preview (see Preview) - wait for its 'ready' before running
+  useEffect(() => {
+    if (previewThreeVersionRef.current !== settings.threeVersion) {
+      previewThreeVersionRef.current = settings.threeVersion;
+      setIsIframeReady(false);
+    }
+  }, [settings.threeVersion]);
+
+  // Load a fresh preview document - an importmap can't remap a specifier the
+  // page already resolved, so changed package URLs need a reload
+  const reloadPreview = useCallback(() => {
+    setIsIframeReady(false);
+    iframeRef.current?.contentWindow?.location.reload();
+  }, []);
+
+  // Cache CDN packages so scenes keep running offline
+  useEffect(() => {
+    registerModuleCache();
+  }, []);
+
+  // Module URLs the project needs: base three.js plus every external import
+  const getProjectModuleUrls = useCallback(async () => {
+    const imports = files
+      .filter(f => getFileLanguage(f.path) === 'javascript')
+      .flatMap(f => parseImports(f.content))
+      .filter(imp => !isRelativeSpecifier(imp.source));
+    const resolved = await resolveImports(imports, DEFAULT_CDN_CONFIG, settings.threeVersion, settings.lock);
+    const urls = [getThreeImportmap(settings.threeVersion)['three'], ...resolved.map(r => r.url)];
+    // Prefix mappings (three/addons/) aren't modules themselves
+    return Array.from(new Set(urls.filter(url => url.startsWith('https://') && !url.endsWith('/'))));
+  }, [files, settings.threeVersion, settings.lock]);
+
   // Handle sending capture to FlowBoard - defined first so it can be used in useEffect
   const handleSendToFlowBoard = useCallback(() => {
     console.log('📸 handleSendToFlowBoard called, iframeReady:', isIframeReady);
@@ -481,48 +794,120 @@ function App() {
     };
   }, []);
 
-  // Load code from URL or localStorage on startup
+  // Open a shared project from the URL, otherwise the last project from the library
   useEffect(() => {
-    // Check URL hash first
-    const hash = window.location.hash;
-    if (hash.startsWith('#code=')) {
-      try {
-        const compressed = hash.substring(6); // Remove '#code='
-        const decompressed = LZString.decompressFromEncodedURIComponent(compressed);
-        if (decompressed) {
-          setCode(decompressed);
+    // Only once - StrictMode runs effects twice and this creates projects
+    if (hasOpenedInitialProjectRef.current) return;
+    hasOpenedInitialProjectRef.current = true;
+
+    const openInitialProject = async () => {
+      let projects = await listProjects();
+
+      // Move the single localStorage save into the library once
+      const migrated = await migrateLegacyProject(projects.map(p => p.name));
+      if (migrated) {
+        projects = [migrated, ...projects];
+      }
+
+      // Share links open as a new project instead of overwriting saved work
+      const shared = readShareLink(window.location.hash);
+      if (shared) {
+        // Drop the hash so a reload doesn't import the link again
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        try {
+          await openSharedProject({ ...shared, assets: decodeShareAssets(shared.assets) });
           return;
+        } catch (error) {
+          // Fall back to the last project below
+          console.error('Failed to open the shared project:', error);
         }
-      } catch (error) {
-        console.error('Failed to load code from URL:', error);
       }
-    }
 
-    // Fall back to localStorage
-    const savedCode = localStorage.getItem('threejs-ide-code');
-    if (savedCode) {
-      setCode(savedCode);
-    }
-  }, []);
+      const lastProjectId = getLastProjectId();
+      const project = projects.find(p => p.id === lastProjectId) ?? projects[0]
+        ?? await addProject('Untitled', createProject(defaultCode), DEFAULT_PROJECT_SETTINGS);
+      await openSavedProject(project);
+    };
+
+    openInitialProject().catch((error) => {
+      // No IndexedDB (e.g. some private browsing modes): keep working without saving
+      console.error('Failed to open the project library:', error);
+    });
+  }, [openSavedProject, openSharedProject]);
 
-  // Auto-save code changes
+  // Auto-save project changes
   useEffect(() => {
     const timeoutId = setTimeout(() => {
-      localStorage.setItem('threejs-ide-code', code);
+      saveCurrentProject().catch((error) => console.error('Failed to save project:', error));
     }, 1000); // Save after 1 second of no changes
 
     return () => clearTimeout(timeoutId);
-  }, [code]);
+  }, [saveCurrentProject]);
 
   const runCode = useCallback(async () => {
     if (iframeRef.current && isIframeReady) {
+      // Shaders recompile with this run (or swap) and report their errors again
+      setShaderErrors([]);
+
+      // Edits that only touch shader source are swapped into the running materials
+      const lastRun = lastRunRef.current;
+      const swaps = lastRun && !runErrorRef.current
+        && lastRun.settings.threeVersion === settings.threeVersion
+        && lastRunAssetsRef.current?.assets === assets
+        && lastRunAssetsRef.current?.assetSources === assetSources
+        ? getProjectShaderSwaps(lastRun.files, files)
+        : null;
+      if (swaps && swaps.length > 0) {
+        iframeRef.current.contentWindow?.postMessage({ type: 'hotSwapShaders', swaps }, window.location.origin);
+        lastRunRef.current = { ...lastRun!, files };
+        scheduleRunSnapshot();
+        return;
+      }
+
+      // Project modules are rewritten to run-scoped specifiers the preview maps to blob URLs
+      const runId = ++runIdRef.current;
+      // Annotated constants become bindings the params panel can change while the scene runs,
+      // and while the console is open every module registers an evaluator for its commands
+      const runFiles = files.map(f => {
+        if (getFileLanguage(f.path) !== 'javascript') return f;
+        const content = instrumentSceneParams(f.content, f.path, paramOverridesRef.current);
+        return { ...f, content: isConsoleOpenRef.current ? instrumentReplScope(content, f.path) : content };
+      });
+      const code = getPreviewEntryCode(runFiles, runId);
+      const modules = getPreviewModules(runFiles, runId);
+      // The preview's asset resolver probes the paths the code mentions before the scene starts
+      const assetOptions = { assets, assetSources: getActiveAssetSources(assetSources), assetPaths: findAssetPaths(files) };
+      runErrorRef.current = false;
+      if (!consolePreferencesRef.current.preserveLog) {
+        clearConsole();
+      }
+
+      // A profile covers a single run
+      if (perfRecordingRef.current) {
+        perfRecordingRef.current = null;
+        setRecordingProgress(null);
+        console.warn('⏱️ Profile recording stopped - the scene re-ran');
+      }
+
       try {
-        // Parse imports from code
-        const imports = parseImports(code);
+        // Parse external imports from every JS module (relative imports stay in the project)
+        const imports = files
+          .filter(f => getFileLanguage(f.path) === 'javascript')
+          .flatMap(f => parseImports(f.content))
+          .filter(imp => !isRelativeSpecifier(imp.source));
 
         if (imports.length > 0) {
           // Resolve imports to CDN URLs
-          const resolved = await resolveImports(imports);
+          const resolved = await resolveImports(imports, DEFAULT_CDN_CONFIG, settings.threeVersion, lockRef.current);
+
+          // Lock newly resolved packages so later runs and shares load the same versions
+          const lockUpdates = getLockUpdates(resolved, lockRef.current);
+          if (Object.keys(lockUpdates).length > 0) {
+            lockRef.current = { ...lockRef.current, ...lockUpdates };
+            setSettings(prev => ({ ...prev, lock: { ...prev.lock, ...lockUpdates } }));
+            const lockedList = Object.entries(lockUpdates).map(([name, version]) => `${name}@${version}`).join(', ');
+            console.log(`🔒 Locked ${lockedList}`);
+          }
 
           // Generate importmap (exclude base imports - they're already in preview.html)
           const importmap = generateImportmap(resolved, false);
@@ -535,10 +920,11 @@ function App() {
           if (externalCount > 0) {
             const packageList = Object.keys(externalPackages).join(', ');
             console.log(`✨ Loaded external package${externalCount > 1 ? 's' : ''}: ${packageList}`);
+            console.log(getResolutionSummary(resolved.filter(r => r.packageName in externalPackages)));
           }
 
           // Check for version conflicts
-          const warnings = checkVersionConflicts(resolved);
+          const warnings = checkVersionConflicts(resolved, settings.threeVersion);
           if (warnings.length > 0) {
             console.warn('⚠️  Version warnings:', warnings.join('\n'));
           }
@@ -549,13 +935,15 @@ function App() {
               type: 'executeCode',
               code,
               importmap,
+              modules,
+              ...assetOptions,
             },
             window.location.origin
           );
         } else {
           // No imports detected, send code only
           iframeRef.current.contentWindow.postMessage(
-            { type: 'executeCode', code },
+            { type: 'executeCode', code, modules, ...assetOptions },
             window.location.origin
           );
         }
@@ -563,12 +951,16 @@ function App() {
         console.error('Failed to resolve imports:', error);
         // Fallback: send code without import resolution
         iframeRef.current.contentWindow.postMessage(
-          { type: 'executeCode', code },
+          { type: 'executeCode', code, modules, ...assetOptions },
           window.location.origin
         );
       }
+
+      lastRunRef.current = { files, settings: { ...projectContentRef.current.settings, lock: lockRef.current } };
+      lastRunAssetsRef.current = { assets, assetSources };
+      scheduleRunSnapshot();
     }
-  }, [code, isIframeReady]);
+  }, [files, settings.threeVersion, assets, assetSources, isIframeReady, scheduleRunSnapshot, clearConsole]);
 
   // Handle messages from the iframe
   useEffect(() => {
@@ -577,14 +969,48 @@ function App() {
 
       const { type, payload } = event.data;
       if (type === 'error') {
-        setError(payload);
+        runErrorRef.current = true;
+        // Blob URLs and their lines -> project files and editor lines
+        const report = payload as unknown as RuntimeErrorReport;
+        const runFiles = lastRunRef.current?.files ?? projectContentRef.current.files;
+        const { frames, location } = mapRuntimeError(report, getEntryFile(runFiles)?.path ?? ENTRY_FILE);
+        setError({
+          message: report.name && !report.message.startsWith(report.name) ? `${report.name}: ${report.message}` : report.message,
+          lineno: location?.line ?? report.lineno,
+          colno: location?.column ?? report.colno,
+          stack: report.stack,
+          path: location?.path,
+          frames,
+        });
       } else if (type === 'ready') {
         setIsIframeReady(true);
       } else if (type === 'reset') {
         runCode();
+      } else if (type === 'moduleLoadError') {
+        // Mark the failed CDN URLs and retry in a fresh preview, which resolves them on a fallback CDN
+        const { urls } = payload as unknown as { urls: string[] };
+        const newlyFailed = urls.filter(url => markUrlUnreachable(url));
+        if (newlyFailed.length > 0) {
+          console.warn(`⚠️  Could not load ${newlyFailed.join(', ')} - retrying with fallback CDNs`);
+          reloadPreview();
+        } else {
+          setError({ message: `Failed to load ${urls.join(', ')} from every configured CDN` });
+        }
       } else if (type === 'canvasCaptured') {
+        const captureData = payload as { imageData?: string; width?: number; height?: number; error?: string; purpose?: string };
+
+        // Thumbnails are best effort - scenes that can't be captured keep the placeholder
+        if (captureData.purpose === 'thumbnail') {
+          const projectId = thumbnailProjectIdRef.current;
+          if (captureData.imageData && projectId && projectId === currentProjectIdRef.current) {
+            createThumbnail(captureData.imageData)
+              .then(thumbnail => updateProject(projectId, { thumbnail }))
+              .catch((error) => console.warn('Could not save project thumbnail:', error));
+          }
+          return;
+        }
+
         // Forward captured canvas to FlowBoard via window.opener
-        const captureData = payload as { imageData?: string; width?: number; height?: number; error?: string };
         if (window.opener && !window.opener.closed && captureData.imageData) {
           const message = {
             type: 'capture',
@@ -664,38 +1090,68 @@ function App() {
           }
           console.log('🎨 Sent shader result to FlowBoard:', shaderData.shaderType, shaderData.success ? 'success' : 'failed');
         }
+      } else if (type === 'perfStats') {
+        const sample = payload as unknown as PerfSample;
+        setPerfSamples(prev => [...prev, sample].slice(-PERF_WINDOW_SAMPLES));
+
+        const recording = perfRecordingRef.current;
+        if (recording) {
+          recording.samples.push(sample);
+          const elapsed = recording.samples.reduce((total, s) => total + s.interval, 0);
+          if (elapsed >= PROFILE_DURATION) {
+            const profile = createPerfProfile(recording.samples, recording.label);
+            perfRecordingRef.current = null;
+            setRecordingProgress(null);
+            setPerfProfiles(prev => [profile, ...prev].slice(0, MAX_PERF_PROFILES));
+            console.log(`⏱️ Recorded ${profile.label}: ${profile.frameTime.fps.toFixed(1)} fps, p95 ${formatFrameTime(profile.frameTime.p95)}`);
+          } else {
+            setRecordingProgress(elapsed / PROFILE_DURATION);
+          }
+        }
+      } else if (type === 'shaderHotSwap') {
+        // Some shader isn't used by a material the preview could find - run the project instead
+        const { missing } = payload as unknown as { updated: number; missing: number };
+        if (missing > 0) {
+          lastRunRef.current = null;
+          runCode();
+        }
+      } else if (type === 'shaderError') {
+        // Line numbers of the compiled shader - map them into the code that ran
+        const runFiles = lastRunRef.current?.files ?? projectContentRef.current.files;
+        const locations = mapShaderErrors(payload as unknown as ShaderErrorReport, runFiles);
+        if (locations.length > 0) {
+          setShaderErrors(prev => [
+            ...prev,
+            ...locations.filter(location => !prev.some(p => p.path === location.path && p.line === location.line && p.message === location.message)),
+          ]);
+        }
+      } else if (type === 'sceneTree') {
+        setSceneTree(payload as unknown as SceneTree);
       } else if (type === 'console') {
         // Handle console messages from iframe
-        const { level, args } = payload as { level: 'log' | 'warn' | 'error'; args: any[] };
-
-        // Format arguments, handling serialized Error objects
-        const message = args.map(arg => {
-          if (arg && typeof arg === 'object' && arg.__isError) {
-            // Format error object nicely
-            return `${arg.name}: ${arg.message}${arg.stack ? '\n' + arg.stack : ''}`;
-          } else if (typeof arg === 'object' && arg !== null) {
-            try {
-              return JSON.stringify(arg, null, 2);
-            } catch (e) {
-              return String(arg);
-            }
-          }
-          return String(arg);
-        }).join(' ');
+        const { level, args, table, depth, group, timer } = payload as unknown as {
+          level: ConsoleLevel;
+          args: ConsoleValue[];
+          table?: ConsoleTable;
+          depth?: number;
+          group?: 'open' | 'collapsed';
+          timer?: boolean;
+        };
+        const message = table ? getConsoleTableText(table) : getConsoleValueText(args);
 
         // Ignore common noise messages
         const shouldIgnore = CONSOLE_IGNORE_PATTERNS.some(pattern => pattern.test(message));
 
         if (!shouldIgnore) {
-          setConsoleMessages(prev => [...prev, {
-            id: Date.now() + Math.random(), // Use timestamp + random for truly unique IDs
-            type: level,
-            message: message,
-            timestamp: new Date(),
-            args: args
-          }]);
-          setMessageIdCounter(prev => prev + 1);
+          addConsoleMessage(level, message, { args, table, depth, group, timer });
         }
+      } else if (type === 'evaluateResult') {
+        const { value, isError } = payload as unknown as { value: ConsoleValue; isError: boolean };
+        addConsoleMessage(isError ? 'error' : 'result', getConsoleValueText([value]), { args: [value] });
+      } else if (type === 'completions') {
+        const { id, names } = payload as unknown as { id: number; names: string[] };
+        completionRequestsRef.current.get(id)?.(names);
+        completionRequestsRef.current.delete(id);
       }
     };
 
@@ -704,20 +1160,251 @@ function App() {
     return () => {
       window.removeEventListener('message', handleMessage);
     };
-  }, [runCode, messageIdCounter]);
+  }, [runCode, reloadPreview, addConsoleMessage]);
+
+  // Keep the scene inspector in sync with the running scene while it's open
+  useEffect(() => {
+    if (!isInspectorOpen || !isIframeReady) return;
+    const requestSceneTree = () => {
+      iframeRef.current?.contentWindow?.postMessage({ type: 'getSceneTree' }, window.location.origin);
+    };
+    requestSceneTree();
+    const intervalId = setInterval(requestSceneTree, SCENE_TREE_POLL_INTERVAL);
+    return () => clearInterval(intervalId);
+  }, [isInspectorOpen, isIframeReady]);
 
-  // Run code on initial load and on subsequent changes
+  // Stream performance samples while the HUD is on or a profile is recording
+  const isPerfStreaming = isPerfMonitorOn || recordingProgress !== null;
+  useEffect(() => {
+    if (!isIframeReady) return;
+    iframeRef.current?.contentWindow?.postMessage({ type: 'setPerfMonitor', enabled: isPerfStreaming }, window.location.origin);
+    if (!isPerfStreaming) setPerfSamples([]);
+  }, [isPerfStreaming, isIframeReady]);
+
+  const handleTogglePerfMonitor = () => {
+    setIsPerfMonitorOn(!isPerfMonitorOn);
+    setIsPerfOverlayOpen(!isPerfMonitorOn);
+  };
+
+  const handleRecordProfile = () => {
+    perfRecordingRef.current = {
+      label: `Run ${runIdRef.current} · ${new Date().toLocaleTimeString()}`,
+      samples: [],
+    };
+    setRecordingProgress(0);
+  };
+
+  const perfSummary = perfSamples.length > 0 ? summarizeFrameTimes(perfSamples.flatMap(sample => sample.frameTimes)) : null;
+
+  // Highlight the selected object in the preview
+  const handleSelectSceneObject = useCallback((id: string | null) => {
+    setSelectedObjectId(id);
+    iframeRef.current?.contentWindow?.postMessage({ type: 'selectSceneObject', id }, window.location.origin);
+  }, []);
+
+  // Apply an inspector edit to the running scene (not to the code until "Write to code")
+  const handleEditSceneObject = useCallback((id: string, property: SceneEditProperty, value: SceneEditValue) => {
+    iframeRef.current?.contentWindow?.postMessage(
+      { type: 'setSceneObjectProperty', id, property, value },
+      window.location.origin
+    );
+  }, []);
+
+  // Edits go to the end of the entry module, where its `scene` variable and objects exist
+  const handleWriteSceneEdits = (code: string): boolean => {
+    const entry = getEntryFile(files);
+    const content = entry && insertSceneEditCode(entry.content, code);
+    if (!entry || !content) {
+      alert(`Could not write the edits: ${entry?.path ?? 'the entry module'} needs a top-level \`scene\` variable (e.g. const scene = new THREE.Scene()) and must be valid JavaScript.`);
+      return false;
+    }
+    setFiles(prev => prev.map(f => f.path === entry.path ? { ...f, content } : f));
+    return true;
+  };
+
+  const sceneParams = useMemo(() => getProjectSceneParams(files), [files]);
+
+  // Latest runCode for the delayed re-run of `reload` params
+  const runCodeRef = useRef(runCode);
+  runCodeRef.current = runCode;
+
+  // Push a param change into the running scene - or re-run it for values only read on startup
+  const handleSceneParamChange = (param: SceneParam, value: SceneParamValue) => {
+    const overrides = { ...paramOverridesRef.current, [param.id]: { value, base: param.value } };
+    paramOverridesRef.current = overrides;
+    setParamOverrides(overrides);
+
+    if (param.reload) {
+      if (paramRunTimerRef.current) clearTimeout(paramRunTimerRef.current);
+      paramRunTimerRef.current = window.setTimeout(() => runCodeRef.current(), 300);
+      return;
+    }
+    iframeRef.current?.contentWindow?.postMessage(
+      { type: 'setSceneParam', id: param.id, value: toRuntimeValue(param, value) },
+      window.location.origin
+    );
+  };
+
+  const handleResetSceneParams = () => {
+    paramOverridesRef.current = {};
+    setParamOverrides({});
+    runCode();
+  };
+
+  // Write the panel's values into the source - the re-run that follows starts from them
+  const handleWriteSceneParams = () => {
+    const overrides = paramOverridesRef.current;
+    setFiles(prev => prev.map(f => getFileLanguage(f.path) === 'javascript'
+      ? { ...f, content: writeSceneParams(f.content, f.path, overrides) }
+      : f));
+    setParamOverrides({});
+  };
+
+  const handleToggleInspector = () => {
+    if (isInspectorOpen) {
+      handleSelectSceneObject(null);
+    }
+    setIsInspectorOpen(!isInspectorOpen);
+  };
+
+  // Run code on initial load and on subsequent changes (shader-only edits are hot-swapped)
   useEffect(() => {
     runCode();
   }, [runCode]);
 
   const handleCodeChange = (newCode) => {
-    setCode(newCode);
+    setFiles(prev => prev.map(f => f.path === activeFile?.path ? { ...f, content: newCode ?? '' } : f));
     setError(null); // Clear error on code change
   };
 
-  const handleClearConsole = () => {
-    setConsoleMessages([]);
+  const handleSelectFile = (path: string) => {
+    setActivePath(path);
+    setOpenTabs(prev => prev.includes(path) ? prev : [...prev, path]);
+  };
+
+  // Move the cursor to a location from the error overlay, switching files if needed
+  const handleRevealLocation = (location: SourceLocation) => {
+    if (!files.some(f => f.path === location.path)) return;
+    if (location.path === activeFile?.path) {
+      editorRef.current?.revealLocation(location.line, location.column);
+      return;
+    }
+    pendingRevealRef.current = location;
+    handleSelectFile(location.path);
+  };
+
+  useEffect(() => {
+    const pending = pendingRevealRef.current;
+    if (pending && pending.path === activeFile?.path) {
+      pendingRevealRef.current = null;
+      editorRef.current?.revealLocation(pending.line, pending.column);
+    }
+  }, [activeFile?.path]);
+
+  // Shader compile errors and the failing line of the last runtime error
+  const editorMarkers = useMemo((): EditorMarker[] => [
+    ...shaderErrors.map(location => ({ ...location, source: 'GLSL' })),
+    ...(error?.path && error.lineno
+      ? [{ path: error.path, line: error.lineno, startColumn: error.colno, severity: 'error' as const, message: error.message, source: 'Runtime error' }]
+      : []),
+  ], [shaderErrors, error]);
+
+  // Modules console commands can run in, entry first
+  const replScopes = useMemo(() => {
+    const entryPath = getEntryFile(files)?.path;
+    const paths = files.filter(f => getFileLanguage(f.path) === 'javascript').map(f => f.path);
+    return entryPath ? [entryPath, ...paths.filter(path => path !== entryPath)] : paths;
+  }, [files]);
+
+  const handleCloseTab = (path: string) => {
+    const index = openTabs.indexOf(path);
+    const remaining = openTabs.filter(p => p !== path);
+    if (remaining.length === 0) return;
+    setOpenTabs(remaining);
+    if (path === activePath) {
+      setActivePath(remaining[Math.max(0, index - 1)]);
+    }
+  };
+
+  const handleCreateFile = () => {
+    const input = window.prompt('New file path (e.g. planets.js, shaders/ink.frag, data.json):');
+    if (input === null) return;
+
+    const path = normalizeFilePath(input);
+    if (!path) {
+      alert('Invalid file path.');
+      return;
+    }
+    if (files.some(f => f.path === path)) {
+      alert(`"${path}" already exists.`);
+      return;
+    }
+
+    setFiles(prev => [...prev, { path, content: getFileLanguage(path) === 'json' ? '{}\n' : '' }]);
+    handleSelectFile(path);
+  };
+
+  const handleRenameFile = (oldPath: string) => {
+    const input = window.prompt('Rename file:', oldPath);
+    if (input === null) return;
+
+    const path = normalizeFilePath(input);
+    if (!path || path === ENTRY_FILE) {
+      alert('Invalid file path.');
+      return;
+    }
+    if (path === oldPath) return;
+    if (files.some(f => f.path === path)) {
+      alert(`"${path}" already exists.`);
+      return;
+    }
+
+    setFiles(prev => prev.map(f => f.path === oldPath ? { ...f, path } : f));
+    setOpenTabs(prev => prev.map(p => p === oldPath ? path : p));
+    if (activePath === oldPath) {
+      setActivePath(path);
+    }
+  };
+
+  const handleDeleteFile = (path: string) => {
+    if (path === ENTRY_FILE) return;
+    if (!window.confirm(`Delete "${path}"? This cannot be undone.`)) return;
+
+    setFiles(prev => prev.filter(f => f.path !== path));
+    const remaining = openTabs.filter(p => p !== path);
+    setOpenTabs(remaining.length > 0 ? remaining : [ENTRY_FILE]);
+    if (activePath === path) {
+      setActivePath(remaining[0] ?? ENTRY_FILE);
+    }
+  };
+
+  const handleConsolePreferencesChange = (preferences: ConsolePreferences) => {
+    setConsolePreferences(preferences);
+    saveConsolePreferences(preferences);
+  };
+
+  const handleEvaluate = (code: string, scope: string | null) => {
+    addConsoleMessage('input', code);
+    const contentWindow = iframeRef.current?.contentWindow;
+    if (!contentWindow || !isIframeReady) {
+      addConsoleMessage('error', 'The preview is not running');
+      return;
+    }
+    contentWindow.postMessage({ type: 'evaluate', code, scope }, window.location.origin);
+  };
+
+  // Globals and properties come from the preview; a module's own bindings from its source
+  const handleComplete = (target: CompletionTarget, scope: string | null): Promise<string[]> => {
+    const moduleFile = scope && !target.object ? files.find(f => f.path === scope) : undefined;
+    const bindings = moduleFile ? getModuleBindings(moduleFile.content) : [];
+    const contentWindow = iframeRef.current?.contentWindow;
+    if (!contentWindow || !isIframeReady) return Promise.resolve(filterCompletions(bindings, target.prefix));
+
+    const id = ++completionIdRef.current;
+    return new Promise(resolve => {
+      completionRequestsRef.current.set(id, (names) => resolve(filterCompletions([...bindings, ...names], target.prefix)));
+      contentWindow.postMessage({ type: 'getCompletions', id, object: target.object, scope }, window.location.origin);
+    });
   };
 
   const handleConsoleResize = useCallback((newHeight: number) => {
@@ -739,12 +1426,18 @@ function App() {
             'Are you sure you want to reset the code to the default?'
           )
         ) {
-          setCode(defaultCode);
-          localStorage.removeItem('threejs-ide-code');
+          addHistorySnapshot('restore', 'Before reset');
+          loadProject(createProject(defaultCode));
         }
       }
     );
 
+    // Cmd/Ctrl+S to add a save point to the project history
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
+      addHistorySnapshot('save');
+      console.log('🔖 Save point added');
+    });
+
     // Cmd/Ctrl+/ to show shortcuts
     editor.addCommand(
       monaco.KeyMod.CtrlCmd | monaco.KeyCode.Slash,
@@ -782,159 +1475,145 @@ function App() {
     setIsSnippetDrawerOpen(!isSnippetDrawerOpen);
   };
 
-  const handleShareCode = () => {
+  const handleOpenProject = async (id: string) => {
     try {
-      const compressed = LZString.compressToEncodedURIComponent(code);
-      const url = `${window.location.origin}${window.location.pathname}#code=${compressed}`;
-
-      // Copy to clipboard
-      navigator.clipboard.writeText(url).then(() => {
-        alert('Share link copied to clipboard!');
-      }).catch((err) => {
-        // Fallback: show the URL in a prompt
-        prompt('Copy this link to share:', url);
-      });
+      await saveCurrentProject();
+      const project = await getProject(id);
+      if (project) {
+        await openSavedProject(project);
+        setIsProjectsOpen(false);
+      }
     } catch (error) {
-      console.error('Failed to create share link:', error);
-      alert('Failed to create share link. Please try again.');
+      console.error('Failed to open project:', error);
+      alert('Failed to open project. Please try again.');
     }
   };
 
-  const handleExportCode = async () => {
-    setIsExporting(true);
-
+  const handleNewProject = async () => {
     try {
-      // Extract asset paths from code
-      const assetPatterns = [
-        /['"`](\/?(?:models|images|textures|assets)\/[^'"`]+)['"`]/g,
-        /\.load\s*\(\s*['"`](\/?[^'"`]+\.(?:obj|glb|gltf|jpg|jpeg|png|hdr|exr))['"`]/g,
-      ];
-
-      const assetPaths = new Set<string>();
-
-      for (const pattern of assetPatterns) {
-        let match;
-        while ((match = pattern.exec(code)) !== null) {
-          let path = match[1];
-          // Remove leading slash if present
-          if (path.startsWith('/')) {
-            path = path.substring(1);
-          }
-          assetPaths.add(path);
-        }
-      }
-
-      const zip = new JSZip();
+      await saveCurrentProject();
+      const names = (await listProjects()).map(p => p.name);
+      await openSavedProject(await addProject(getUniqueProjectName('Untitled', names), createProject(defaultCode), DEFAULT_PROJECT_SETTINGS));
+      setIsProjectsOpen(false);
+    } catch (error) {
+      console.error('Failed to create project:', error);
+      alert('Failed to create project. Please try again.');
+    }
+  };
 
-      // Add index.html
-      const htmlTemplate = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Three.js Scene</title>
-    <script type="importmap">
-    {
-        "imports": {
-            "three": "https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js",
-            "three/addons/": "https://cdn.jsdelivr.net/npm/three@0.157.0/examples/jsm/"
-        }
+  const handleProjectRenamed = (project: SavedProject) => {
+    if (project.id === currentProject?.id) {
+      setCurrentProject({ id: project.id, name: project.name });
     }
-    </script>
-    <style>
-        body { margin: 0; overflow: hidden; }
-    </style>
-</head>
-<body>
-    <script type="module">
-${code}
-    </script>
-</body>
-</html>`;
-
-      zip.file('index.html', htmlTemplate);
-
-      // Add README
-      const readme = `# Three.js Scene Export
-
-This is an exported Three.js scene from the 3js IDE.
-
-## ⚠️ IMPORTANT: Production Use Warning
-
-**This code was developed in the 3js IDE environment and requires modifications for use in production projects (Vite, Webpack, Next.js, etc.).**
-
-### The Problem
-The IDE automatically cleans up Three.js resources during development. This cleanup code is NOT included in the export. Without modifications, this code will cause:
-- Memory leaks in development servers with Hot Module Replacement (HMR)
-- Browser crashes after 5-10 hot reloads
-- Multiple animation loops running simultaneously
-- Duplicate WebGL contexts accumulating
-
-### Required Modifications
-Before using this code in a Vite/Webpack project, you MUST add:
-
-1. **Cleanup function** - Dispose renderer, geometries, materials, textures
-2. **Initialization guard** - Prevent multiple instances
-3. **HMR disposal hook** - For Vite: \`import.meta.hot.dispose(() => cleanup())\`
-4. **Observer management** - Disconnect ResizeObserver/IntersectionObserver
-
-### Quick Fix Template
-\`\`\`javascript
-let isInitialized = false;
-
-function cleanup() {
-  // Cancel animation, disconnect observers, dispose Three.js resources
-}
+  };
 
-function init() {
-  if (isInitialized) cleanup();
-  // ... your init code ...
-  isInitialized = true;
-}
+  // Keep the replaced state in history so a restore can itself be undone
+  const handleRestoreSnapshot = async (snapshot: ProjectSnapshot) => {
+    await addHistorySnapshot('restore');
+    loadProject(snapshot.files, parseProjectSettings(snapshot.settings));
+    setIsHistoryOpen(false);
+  };
 
-if (import.meta.hot) {
-  import.meta.hot.dispose(() => cleanup());
-}
-\`\`\`
+  // Reload the project's assets after the asset manager changed them - the scene re-runs with them
+  const handleAssetsChanged = async () => {
+    if (!currentProjectId) return;
+    try {
+      setAssets(await getProjectAssets(currentProjectId));
+    } catch (error) {
+      console.error('Failed to load project assets:', error);
+    }
+  };
 
-**For detailed implementation guide:**
-See: \`EXPORTING_CODE.md\` in the 3js IDE project repository
-Or: [GitHub - Three.js IDE Export Guide](https://github.com/jweese001/three-js-ide)
+  const handleAssetSourcesChange = (sources: AssetSource[]) => {
+    setAssetSources(sources);
+    saveAssetSources(sources);
+  };
 
----
+  const handleUpdateDependencies = (updates: VersionLock) => {
+    setIsDependenciesOpen(false);
+    lockRef.current = { ...settings.lock, ...updates };
+    setSettings(prev => ({ ...prev, lock: { ...prev.lock, ...updates } }));
+    const updatedList = Object.entries(updates).map(([name, version]) => `${name}@${version}`).join(', ');
+    console.log(`⬆️  Updated ${updatedList}`);
+    reloadPreview();
+  };
 
-## Running the Scene (Standalone)
+  // The project's own assets plus the public files its code loads
+  const getAssetPaths = useCallback(
+    () => Array.from(new Set([...Object.keys(assets), ...findAssetPaths(files)])),
+    [assets, files]
+  );
 
-1. Extract this ZIP file to a folder
-2. Serve the folder using a local web server (required for loading assets)
-   - Using Python: \`python -m http.server 8000\`
-   - Using Node.js: \`npx http-server\`
-   - Using PHP: \`php -S localhost:8000\`
-3. Open http://localhost:8000 in your browser
+  // Everything the recipient needs to open the scene as it looks here
+  const buildSharePayload = useCallback(async (maxAssetSize: number): Promise<ShareBuild> => {
+    const { assets: sharedAssets, omitted } = await collectShareAssets(getAssetPaths(), assets, maxAssetSize);
+    const layout: ShareLayout = {
+      editorWidth,
+      isEditorStowed,
+      isConsoleOpen,
+      consoleHeight,
+      activePath: activeFile?.path ?? ENTRY_FILE,
+      openTabs,
+    };
+    return {
+      payload: { v: SHARE_PAYLOAD_VERSION, files, settings, layout, assets: sharedAssets },
+      omitted,
+    };
+  }, [files, settings, assets, getAssetPaths, editorWidth, isEditorStowed, isConsoleOpen, consoleHeight, activeFile, openTabs]);
+
+  const openImportedProject = async (name: string, entries: ImportEntries) => {
+    const imported = await importProject(entries);
+    await saveCurrentProject();
+    await openSharedProject(imported, name);
+    setIsProjectsOpen(false);
+    console.log(`📥 Imported ${name}: ${imported.files.length} file${imported.files.length === 1 ? '' : 's'}, ${Object.keys(imported.assets).length} asset${Object.keys(imported.assets).length === 1 ? '' : 's'}`);
+  };
 
-## Contents
+  // A ZIP (e.g. one of our exports) or a share file
+  const handleOpenFile = async (file: File) => {
+    try {
+      if (/\.zip$/i.test(file.name) || file.type.includes('zip')) {
+        await openImportedProject(file.name.replace(/\.zip$/i, ''), await readZipEntries(file));
+        return;
+      }
+      const shared = readShareFile(await file.text());
+      await saveCurrentProject();
+      await openSharedProject({ ...shared, assets: decodeShareAssets(shared.assets) });
+      setIsProjectsOpen(false);
+    } catch (error) {
+      console.error('Failed to open file:', error);
+      alert(`Could not open ${file.name}: ${(error as Error).message}`);
+    }
+  };
 
-- \`index.html\` - Main HTML file with your Three.js code
-- \`models/\` - 3D model files (.obj, .glb, .gltf)
-- \`images/\` - Texture and image files
-- \`README.md\` - This file
+  const handleOpenFolder = async (name: string, entries: ImportEntries) => {
+    try {
+      await openImportedProject(name, entries);
+    } catch (error) {
+      console.error('Failed to import folder:', error);
+      alert(`Could not import ${name}: ${(error as Error).message}`);
+    }
+  };
 
-## Technical Notes
+  const handleExportCode = async (target: ExportTarget) => {
+    setIsExportModalOpen(false);
+    setIsExporting(true);
 
-- This scene uses Three.js v0.157.0 loaded from CDN
-- The exported HTML is standalone and works for simple viewing
-- For integration into dev environments (Vite/Webpack), see warning above
-`;
+    try {
+      const zip = new JSZip();
 
-      zip.file('README.md', readme);
+      // Add the generated project files for the chosen target
+      const bundle = buildExport(target, files, settings);
+      for (const [path, content] of Object.entries(bundle.files)) {
+        zip.file(path, content);
+      }
 
-      // Fetch and add assets
-      for (const assetPath of assetPaths) {
+      // Add the project's assets and the public files the code references
+      for (const assetPath of getAssetPaths()) {
         try {
-          const response = await fetch(`${import.meta.env.BASE_URL}${assetPath}`);
-          if (response.ok) {
-            const blob = await response.blob();
-            zip.file(assetPath, blob);
+          const blob = await fetchAsset(assetPath, assets);
+          if (blob) {
+            zip.file(`${bundle.assetDirectory}${assetPath}`, blob);
           }
         } catch (error) {
           console.warn(`Could not fetch asset: ${assetPath}`, error);
@@ -946,14 +1625,14 @@ Or: [GitHub - Three.js IDE Export Guide](https://github.com/jweese001/three-js-i
       const url = URL.createObjectURL(zipBlob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = 'threejs-scene.zip';
+      a.download = bundle.fileName;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
     } catch (error) {
       console.error('Export failed:', error);
-      alert('Failed to export scene. Please try again.');
+      alert(`Failed to export scene: ${(error as Error).message}`);
     } finally {
       setIsExporting(false);
     }
@@ -972,12 +1651,36 @@ Or: [GitHub - Three.js IDE Export Guide](https://github.com/jweese001/three-js-i
           className={isEditorStowed ? 'stowed' : ''}
           style={{ flexBasis: isEditorStowed ? '0%' : `${editorWidth}%` }}
         >
-          <Editor
-            ref={editorRef}
-            value={code}
-            onChange={handleCodeChange}
-            onMount={handleEditorMount}
-          />
+          <div className="editor-workspace">
+            <FileTree
+              files={files}
+              activePath={activeFile?.path ?? ENTRY_FILE}
+              onSelect={handleSelectFile}
+              onCreate={handleCreateFile}
+              onRename={handleRenameFile}
+              onDelete={handleDeleteFile}
+            />
+            <div className="editor-main">
+              <EditorTabs
+                tabs={openTabs}
+                activePath={activeFile?.path ?? ENTRY_FILE}
+                onSelect={handleSelectFile}
+                onClose={handleCloseTab}
+              />
+              <div className="editor-body">
+                <Editor
+                  ref={editorRef}
+                  value={activeFile?.content ?? ''}
+                  path={activeFile?.path}
+                  language={getFileLanguage(activeFile?.path ?? ENTRY_FILE)}
+                  threeVersion={settings.threeVersion}
+                  markers={editorMarkers}
+                  onChange={handleCodeChange}
+                  onMount={handleEditorMount}
+                />
+              </div>
+            </div>
+          </div>
         </div>
 
         <Resizer
@@ -989,30 +1692,83 @@ Or: [GitHub - Three.js IDE Export Guide](https://github.com/jweese001/three-js-i
         />
 
         <div id="preview-container">
-          <Preview ref={iframeRef} isDragging={isDragging || isConsoleDragging} />
-          <ErrorOverlay error={error} onClose={() => setError(null)} />
+          <Preview ref={iframeRef} isDragging={isDragging || isConsoleDragging} threeVersion={settings.threeVersion} />
+          {isPerfMonitorOn && isPerfOverlayOpen && (
+            <PerfOverlay
+              samples={perfSamples}
+              profiles={perfProfiles}
+              recordingProgress={recordingProgress}
+              onRecord={handleRecordProfile}
+              onClearProfiles={() => setPerfProfiles([])}
+              onClose={() => setIsPerfOverlayOpen(false)}
+            />
+          )}
+          {isParamsOpen && (
+            <ParamsPanel
+              params={sceneParams}
+              overrides={paramOverrides}
+              onChange={handleSceneParamChange}
+              onReset={handleResetSceneParams}
+              onWriteCode={handleWriteSceneParams}
+              onClose={() => setIsParamsOpen(false)}
+            />
+          )}
+          <ErrorOverlay error={error} onClose={() => setError(null)} onReveal={handleRevealLocation} />
         </div>
+        {isInspectorOpen && (
+          <SceneInspector
+            tree={sceneTree}
+            selectedId={selectedObjectId}
+            onSelect={handleSelectSceneObject}
+            onEdit={handleEditSceneObject}
+            onWriteCode={handleWriteSceneEdits}
+            onClose={handleToggleInspector}
+          />
+        )}
       </div>
       {isConsoleOpen && (
         <ConsolePanel
-          messages={consoleMessages}
-          onClear={handleClearConsole}
+          log={consoleLog}
+          onClear={clearConsole}
+          preferences={consolePreferences}
+          onPreferencesChange={handleConsolePreferencesChange}
           height={consoleHeight}
           onResize={handleConsoleResize}
           isDragging={isConsoleDragging}
           setIsDragging={setIsConsoleDragging}
+          replScopes={replScopes}
+          onEvaluate={handleEvaluate}
+          onComplete={handleComplete}
         />
       )}
       <StatusBar
         onToggleSnippets={toggleSnippetDrawer}
         isSnippetDrawerOpen={isSnippetDrawerOpen}
-        onExportCode={handleExportCode}
+        onExportCode={() => setIsExportModalOpen(true)}
         isExporting={isExporting}
         onShowShortcuts={() => setIsShortcutsOpen(true)}
         onToggleConsole={() => setIsConsoleOpen(!isConsoleOpen)}
         isConsoleOpen={isConsoleOpen}
-        onShareCode={handleShareCode}
+        onToggleInspector={handleToggleInspector}
+        isInspectorOpen={isInspectorOpen}
+        onTogglePerfMonitor={handleTogglePerfMonitor}
+        isPerfMonitorOn={isPerfMonitorOn}
+        perfReadout={perfSummary ? `${perfSummary.fps.toFixed(0)} fps · ${formatFrameTime(perfSummary.avg)}` : null}
+        onTogglePerfOverlay={() => setIsPerfOverlayOpen(!isPerfOverlayOpen)}
+        isPerfOverlayOpen={isPerfOverlayOpen}
+        onToggleParams={() => setIsParamsOpen(!isParamsOpen)}
+        isParamsOpen={isParamsOpen}
+        paramCount={sceneParams.length}
+        onShareCode={() => setIsShareOpen(true)}
         onShowCheatsheet={() => setIsCheatsheetOpen(true)}
+        onShowPackageCache={() => setIsPackageCacheOpen(true)}
+        projectName={currentProject?.name}
+        onShowProjects={() => setIsProjectsOpen(true)}
+        onShowHistory={() => setIsHistoryOpen(true)}
+        onShowAssets={() => setIsAssetsOpen(true)}
+        onShowDependencies={() => setIsDependenciesOpen(true)}
+        threeVersion={settings.threeVersion}
+        onThreeVersionChange={(threeVersion: string) => setSettings(prev => ({ ...prev, threeVersion }))}
         onSendToFlowBoard={handleSendToFlowBoard}
         isFlowBoardConnected={isFlowBoardConnected}
       />
@@ -1024,6 +1780,54 @@ Or: [GitHub - Three.js IDE Export Guide](https://github.com/jweese001/three-js-i
         isOpen={isCheatsheetOpen}
         onClose={() => setIsCheatsheetOpen(false)}
       />
+      <ExportModal
+        isOpen={isExportModalOpen}
+        onClose={() => setIsExportModalOpen(false)}
+        onExport={handleExportCode}
+      />
+      <PackageCacheModal
+        isOpen={isPackageCacheOpen}
+        onClose={() => setIsPackageCacheOpen(false)}
+        getProjectModuleUrls={getProjectModuleUrls}
+      />
+      <ProjectsModal
+        isOpen={isProjectsOpen}
+        onClose={() => setIsProjectsOpen(false)}
+        currentProjectId={currentProject?.id ?? null}
+        onOpenProject={handleOpenProject}
+        onNewProject={handleNewProject}
+        onOpenFile={handleOpenFile}
+        onOpenFolder={handleOpenFolder}
+        onProjectRenamed={handleProjectRenamed}
+      />
+      <AssetsModal
+        isOpen={isAssetsOpen}
+        onClose={() => setIsAssetsOpen(false)}
+        projectId={currentProject?.id ?? null}
+        onAssetsChanged={handleAssetsChanged}
+        assetSources={assetSources}
+        onAssetSourcesChange={handleAssetSourcesChange}
+      />
+      <ShareModal
+        isOpen={isShareOpen}
+        onClose={() => setIsShareOpen(false)}
+        projectName={currentProject?.name ?? 'scene'}
+        buildPayload={buildSharePayload}
+      />
+      <HistoryPanel
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        projectId={currentProject?.id ?? null}
+        files={files}
+        settings={settings}
+        onRestore={handleRestoreSnapshot}
+      />
+      <DependenciesModal
+        isOpen={isDependenciesOpen}
+        onClose={() => setIsDependenciesOpen(false)}
+        lock={settings.lock}
+        onUpdate={handleUpdateDependencies}
+      />
     </div>
   );
 }
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import styles from './AssetsModal.module.css';
+import { StoredAsset } from '../utils/projectLibrary';
+import { listAssets, putAsset, deleteAsset, renameAsset, normalizeAssetLibraryPath } from '../utils/assetLibrary';
+import { ASSET_EXTENSIONS, getDefaultAssetPath } from '../utils/projectAssets';
+import { formatBytes } from '../utils/moduleCache';
+import {
+  AssetSource,
+  ASSET_SOURCE_LABELS,
+  isValidDevServerUrl,
+  normalizeDevServerUrl,
+  moveAssetSource,
+} from '../utils/assetSources';
+
+interface AssetsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  projectId: string | null;
+  onAssetsChanged: () => void;
+  assetSources: AssetSource[];
+  onAssetSourcesChange: (sources: AssetSource[]) => void;
+}
+
+function getAssetIcon(path: string): string {
+  if (/\.(hdr|exr)$/i.test(path)) return 'wb_sunny';
+  if (/\.(png|jpe?g|webp|gif|avif|svg|ktx2?|basis)$/i.test(path)) return 'image';
+  if (/\.(mp3|ogg|wav)$/i.test(path)) return 'music_note';
+  if (/\.(mp4|webm)$/i.test(path)) return 'movie';
+  if (/\.(ttf|otf|woff2?)$/i.test(path)) return 'font_download';
+  return 'view_in_ar';
+}
+
+const AssetsModal: React.FC<AssetsModalProps> = ({
+  isOpen,
+  onClose,
+  projectId,
+  onAssetsChanged,
+  assetSources,
+  onAssetSourcesChange,
+}) => {
+  const [assets, setAssets] = useState<StoredAsset[]>([]);
+  const [status, setStatus] = useState<string | null>(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [renamingPath, setRenamingPath] = useState<string | null>(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [devServerUrl, setDevServerUrl] = useState('');
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const refresh = useCallback(async () => {
+    if (!projectId) return;
+    try {
+      setAssets(await listAssets(projectId));
+    } catch (error) {
+      setStatus(`Could not read assets: ${(error as Error).message}`);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setStatus(null);
+      refresh();
+    } else {
+      setRenamingPath(null);
+    }
+  }, [isOpen, refresh]);
+
+  const savedDevServerUrl = assetSources.find(source => source.type === 'devServer')?.url ?? '';
+  useEffect(() => {
+    setDevServerUrl(savedDevServerUrl);
+  }, [savedDevServerUrl, isOpen]);
+
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen && !renamingPath) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose, renamingPath]);
+
+  if (!isOpen) return null;
+
+  const addFiles = async (files: File[]) => {
+    if (!projectId) return;
+    const accepted = files.filter(file => ASSET_EXTENSIONS.test(file.name));
+    const rejected = files.length - accepted.length;
+    const existing = new Set(assets.map(a => a.path));
+    let added = 0;
+
+    for (const file of accepted) {
+      const path = getDefaultAssetPath(file.name);
+      if (existing.has(path) && !window.confirm(`Replace ${path}?`)) continue;
+      await putAsset(projectId, path, file);
+      added++;
+    }
+
+    setStatus(`Added ${added} asset${added === 1 ? '' : 's'}${rejected > 0 ? ` - skipped ${rejected} unsupported file${rejected === 1 ? '' : 's'}` : ''}`);
+    await refresh();
+    if (added > 0) onAssetsChanged();
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    addFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const commitRename = async () => {
+    const path = renamingPath;
+    const newPath = normalizeAssetLibraryPath(renameValue);
+    setRenamingPath(null);
+    if (!projectId || !path || !newPath || newPath === path) return;
+
+    try {
+      await renameAsset(projectId, path, newPath);
+      await refresh();
+      onAssetsChanged();
+    } catch (error) {
+      setStatus((error as Error).message);
+    }
+  };
+
+  const handleDelete = async (path: string) => {
+    if (!projectId || !window.confirm(`Delete ${path} from this project?`)) return;
+    await deleteAsset(projectId, path);
+    await refresh();
+    onAssetsChanged();
+  };
+
+  const handleCopyPath = (path: string) => {
+    navigator.clipboard.writeText(`/${path}`)
+      .then(() => setStatus(`Copied /${path}`))
+      .catch(() => prompt('Asset path:', `/${path}`));
+  };
+
+  const updateSource = (type: AssetSource['type'], changes: Partial<AssetSource>) => {
+    onAssetSourcesChange(assetSources.map(source => (source.type === type ? { ...source, ...changes } : source)));
+  };
+
+  const commitDevServerUrl = () => {
+    const url = normalizeDevServerUrl(devServerUrl);
+    if (url === savedDevServerUrl) return;
+    if (!isValidDevServerUrl(url)) {
+      setStatus('The dev server must be http://localhost:<port> or an https:// URL');
+      setDevServerUrl(savedDevServerUrl);
+      return;
+    }
+    setDevServerUrl(url);
+    updateSource('devServer', { url });
+  };
+
+  const totalSize = assets.reduce((total, asset) => total + asset.blob.size, 0);
+
+  return (
+    <>
+      <div className={styles.overlay} onClick={onClose} />
+      <div
+        className={`${styles.modal} ${isDragOver ? styles.dragOver : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget as Node)) setIsDragOver(false);
+        }}
+        onDrop={handleDrop}
+      >
+        <div className={styles.header}>
+          <h2>Assets</h2>
+          <button className={styles.closeButton} onClick={onClose} title="Close">
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+        <div className={styles.content}>
+          <div className={styles.dropZone} onClick={() => fileInputRef.current?.click()}>
+            <span className="material-symbols-outlined" style={{ fontSize: '28px' }}>upload</span>
+            <span>Drop .glb, .gltf, .obj, .mtl, .png, .jpg, .hdr or .exr files here, or click to choose</span>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                const files = Array.from(e.target.files ?? []);
+                e.target.value = '';
+                addFiles(files);
+              }}
+            />
+          </div>
+          <p className={styles.intro}>
+            Load them from code by path, e.g. <code>/models/robot.glb</code> or <code>/textures/wood.png</code>.
+            The preview loads each path from the first source below that has it.
+          </p>
+          {status && <div className={styles.status}>{status}</div>}
+
+          {assets.length === 0 ? (
+            <p className={styles.emptyState}>This project has no assets yet</p>
+          ) : (
+            <table className={styles.assetTable}>
+              <thead>
+                <tr>
+                  <th>Path</th>
+                  <th>Size</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {assets.map(asset => (
+                  <tr key={asset.path}>
+                    <td>
+                      <div className={styles.pathCell}>
+                        <span className="material-symbols-outlined" style={{ fontSize: '16px', color: '#888' }}>{getAssetIcon(asset.path)}</span>
+                        {renamingPath === asset.path ? (
+                          <input
+                            className={styles.renameInput}
+                            value={renameValue}
+                            autoFocus
+                            onChange={(e) => setRenameValue(e.target.value)}
+                            onBlur={commitRename}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') commitRename();
+                              if (e.key === 'Escape') setRenamingPath(null);
+                            }}
+                          />
+                        ) : (
+                          <span className={styles.path}>/{asset.path}</span>
+                        )}
+                      </div>
+                    </td>
+                    <td className={styles.size}>{formatBytes(asset.blob.size)}</td>
+                    <td className={styles.actions}>
+                      <button className={styles.iconButton} onClick={() => handleCopyPath(asset.path)} title="Copy path">
+                        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>content_copy</span>
+                      </button>
+                      <button
+                        className={styles.iconButton}
+                        onClick={() => {
+                          setRenamingPath(asset.path);
+                          setRenameValue(asset.path);
+                        }}
+                        title="Move / rename"
+                      >
+                        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>edit</span>
+                      </button>
+                      <button className={styles.iconButton} onClick={() => handleDelete(asset.path)} title="Delete">
+                        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>delete</span>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3 className={styles.sectionTitle}>Sources</h3>
+          <ol className={styles.sourceList}>
+            {assetSources.map((source, index) => (
+              <li key={source.type} className={styles.source}>
+                <span className={styles.sourcePriority}>{index + 1}</span>
+                <label className={styles.sourceLabel}>
+                  <input
+                    type="checkbox"
+                    checked={source.enabled}
+                    disabled={source.type === 'public'}
+                    title={source.type === 'public' ? 'Paths no other source has always load from here' : undefined}
+                    onChange={(e) => updateSource(source.type, { enabled: e.target.checked })}
+                  />
+                  {ASSET_SOURCE_LABELS[source.type]}
+                </label>
+                {source.type === 'devServer' && (
+                  <input
+                    className={styles.sourceUrl}
+                    value={devServerUrl}
+                    placeholder="http://localhost:8080"
+                    spellCheck={false}
+                    onChange={(e) => setDevServerUrl(e.target.value)}
+                    onBlur={commitDevServerUrl}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitDevServerUrl();
+                    }}
+                  />
+                )}
+                <div className={styles.actions}>
+                  <button
+                    className={styles.iconButton}
+                    onClick={() => onAssetSourcesChange(moveAssetSource(assetSources, source.type, -1))}
+                    disabled={index === 0}
+                    title="Higher priority"
+                  >
+                    <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>arrow_upward</span>
+                  </button>
+                  <button
+                    className={styles.iconButton}
+                    onClick={() => onAssetSourcesChange(moveAssetSource(assetSources, source.type, 1))}
+                    disabled={index === assetSources.length - 1}
+                    title="Lower priority"
+                  >
+                    <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>arrow_downward</span>
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          <div className={styles.footer}>
+            <span className={styles.total}>{assets.length} asset{assets.length === 1 ? '' : 's'}, {formatBytes(totalSize)}</span>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AssetsModal;
@@ -0,0 +1,175 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  CompletionTarget,
+  getCompletionTarget,
+  addToReplHistory,
+  loadReplHistory,
+  saveReplHistory,
+} from '../utils/consoleRepl';
+import styles from './ConsoleInput.module.css';
+
+// Scope select value for the preview's global scope
+const GLOBAL_SCOPE = '';
+
+interface ConsoleInputProps {
+  scopes: string[];   // JS modules commands can run in, entry first
+  onEvaluate: (code: string, scope: string | null) => void;
+  onComplete: (target: CompletionTarget, scope: string | null) => Promise<string[]>;
+}
+
+/**
+ * The console's command line, with history on up/down and completions
+ */
+const ConsoleInput: React.FC<ConsoleInputProps> = ({ scopes, onEvaluate, onComplete }) => {
+  const [input, setInput] = useState('');
+  const [scope, setScope] = useState(scopes[0] ?? GLOBAL_SCOPE);
+  const [history, setHistory] = useState<string[]>(loadReplHistory);
+  const [historyIndex, setHistoryIndex] = useState<number | null>(null);   // null while typing a new command
+  const [completions, setCompletions] = useState<string[]>([]);
+  const [selectedCompletion, setSelectedCompletion] = useState(0);
+  const draftRef = useRef('');
+  const completionTargetRef = useRef<CompletionTarget | null>(null);
+  const completionRequestRef = useRef(0);
+  const completionListRef = useRef<HTMLDivElement>(null);
+
+  // A module that's no longer in the project falls back to the entry
+  const activeScope = scope === GLOBAL_SCOPE || scopes.includes(scope) ? scope : (scopes[0] ?? GLOBAL_SCOPE);
+
+  useEffect(() => {
+    const item = completionListRef.current?.children[selectedCompletion] as HTMLElement | undefined;
+    item?.scrollIntoView({ block: 'nearest' });
+  }, [selectedCompletion]);
+
+  const closeCompletions = () => {
+    completionRequestRef.current++;
+    setCompletions([]);
+  };
+
+  const updateCompletions = (value: string) => {
+    const target = getCompletionTarget(value);
+    completionTargetRef.current = target;
+    const request = ++completionRequestRef.current;
+    if (!target) {
+      setCompletions([]);
+      return;
+    }
+    onComplete(target, activeScope || null).then(names => {
+      if (request !== completionRequestRef.current) return;
+      setCompletions(names);
+      setSelectedCompletion(0);
+    });
+  };
+
+  const acceptCompletion = (name: string) => {
+    const target = completionTargetRef.current;
+    if (!target) return;
+    setInput(input.slice(0, target.start) + name);
+    closeCompletions();
+  };
+
+  const submit = () => {
+    const code = input.trim();
+    if (!code) return;
+    onEvaluate(code, activeScope || null);
+
+    const nextHistory = addToReplHistory(history, code);
+    if (nextHistory !== history) {
+      setHistory(nextHistory);
+      saveReplHistory(nextHistory);
+    }
+    setInput('');
+    setHistoryIndex(null);
+    closeCompletions();
+  };
+
+  const showHistory = (index: number | null) => {
+    setHistoryIndex(index);
+    setInput(index === null ? draftRef.current : history[index]);
+    closeCompletions();
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (completions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setSelectedCompletion((selectedCompletion + step + completions.length) % completions.length);
+        return;
+      }
+      if (e.key === 'Tab') {
+        e.preventDefault();
+        acceptCompletion(completions[selectedCompletion]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        closeCompletions();
+        return;
+      }
+    }
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'ArrowUp' && history.length > 0) {
+      e.preventDefault();
+      if (historyIndex === null) draftRef.current = input;
+      showHistory(historyIndex === null ? history.length - 1 : Math.max(0, historyIndex - 1));
+    } else if (e.key === 'ArrowDown' && historyIndex !== null) {
+      e.preventDefault();
+      showHistory(historyIndex + 1 < history.length ? historyIndex + 1 : null);
+    }
+  };
+
+  return (
+    <div className={styles.consoleInput}>
+      <span className={`material-symbols-outlined ${styles.prompt}`} style={{ fontSize: '16px' }}>
+        chevron_right
+      </span>
+      <div className={styles.inputWrapper}>
+        {completions.length > 0 && (
+          <div className={styles.completions} ref={completionListRef}>
+            {completions.map((name, index) => (
+              <div
+                key={name}
+                className={`${styles.completion} ${index === selectedCompletion ? styles.selected : ''}`}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  acceptCompletion(name);
+                }}
+              >
+                {name}
+              </div>
+            ))}
+          </div>
+        )}
+        <input
+          className={styles.input}
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setHistoryIndex(null);
+            updateCompletions(e.target.value);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={closeCompletions}
+          placeholder="Evaluate an expression, e.g. scene.children.length"
+          spellCheck={false}
+          autoComplete="off"
+        />
+      </div>
+      <select
+        className={styles.scopeSelect}
+        value={activeScope}
+        onChange={(e) => setScope(e.target.value)}
+        title="Scope commands run in"
+      >
+        {scopes.map(path => (
+          <option key={path} value={path}>{path}</option>
+        ))}
+        <option value={GLOBAL_SCOPE}>window</option>
+      </select>
+    </div>
+  );
+};
+
+export default ConsoleInput;
@@ -1,29 +1,165 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
+import ConsoleValueTree from './ConsoleValueTree';
+import ConsoleInput from './ConsoleInput';
+import ConsoleTable from './ConsoleTable';
+import { CompletionTarget } from '../utils/consoleRepl';
+import {
+  ConsoleLog,
+  ConsoleMessage,
+  ConsolePreferences,
+  getConsoleSearchPattern,
+  formatConsoleTimestamp,
+  formatConsoleLog,
+} from '../utils/consoleLog';
+import { getRowOffsets, getVisibleRange } from '../utils/virtualList';
 import styles from './ConsolePanel.module.css';
 
-export interface ConsoleMessage {
-  id: number;
-  type: 'log' | 'warn' | 'error';
-  message: string;
-  timestamp: Date;
-  args?: any[];
-}
+type ConsoleFilter = 'log' | 'debug' | 'warn' | 'error';
+
+// Height of a one-line message, used for rows that haven't been rendered yet
+const ESTIMATED_ROW_HEIGHT = 26;
 
 interface ConsolePanelProps {
-  messages: ConsoleMessage[];
+  log: ConsoleLog;
   onClear: () => void;
+  preferences: ConsolePreferences;
+  onPreferencesChange: (preferences: ConsolePreferences) => void;
   height: number;
   onResize: (newHeight: number) => void;
   isDragging: boolean;
   setIsDragging: (isDragging: boolean) => void;
+  replScopes: string[];
+  onEvaluate: (code: string, scope: string | null) => void;
+  onComplete: (target: CompletionTarget, scope: string | null) => Promise<string[]>;
 }
 
-const ConsolePanel: React.FC<ConsolePanelProps> = ({ messages, onClear, height, onResize, isDragging, setIsDragging }) => {
+const ConsolePanel: React.FC<ConsolePanelProps> = ({
+  log,
+  onClear,
+  preferences,
+  onPreferencesChange,
+  height,
+  onResize,
+  isDragging,
+  setIsDragging,
+  replScopes,
+  onEvaluate,
+  onComplete,
+}) => {
   const [filters, setFilters] = useState({
     log: true,
+    debug: true,
     warn: true,
     error: true,
   });
+  // Groups opened or closed from how they started
+  const [toggledGroups, setToggledGroups] = useState<Set<number>>(new Set());
+  const [searchQuery, setSearchQuery] = useState('');
+  const [isRegexSearch, setIsRegexSearch] = useState(false);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+  // Rendered heights of messages by id - rows out of view are estimated
+  const [rowHeights, setRowHeights] = useState<Map<number, number>>(new Map());
+  const contentRef = useRef<HTMLDivElement>(null);
+  const listRef = useRef<HTMLDivElement>(null);
+  const isAtBottomRef = useRef(true);
+
+  const searchPattern = useMemo(
+    () => (searchQuery ? getConsoleSearchPattern(searchQuery, isRegexSearch) : null),
+    [searchQuery, isRegexSearch]
+  );
+  const isSearchInvalid = !!searchQuery && !searchPattern;
+
+  // matching: what the filters and search let through, for export;
+  // visible: the same without messages inside collapsed groups
+  const { matchingMessages, visibleMessages } = useMemo(() => {
+    const matching: ConsoleMessage[] = [];
+    const visible: ConsoleMessage[] = [];
+    let collapsedDepth: number | null = null;
+    for (const msg of log.messages) {
+      // Commands and their results are always shown, info goes with logs
+      const isFiltered = msg.type !== 'input' && msg.type !== 'result' && !filters[msg.type === 'info' ? 'log' : msg.type];
+      const isMatch = !isFiltered && (!searchPattern || searchPattern.test(msg.message));
+      if (isMatch) matching.push(msg);
+
+      const depth = msg.depth ?? 0;
+      if (collapsedDepth !== null) {
+        if (depth > collapsedDepth) continue;
+        collapsedDepth = null;
+      }
+      if (msg.group && (msg.group === 'collapsed') !== toggledGroups.has(msg.id)) collapsedDepth = depth;
+      if (isMatch) visible.push(msg);
+    }
+    return { matchingMessages: matching, visibleMessages: visible };
+  }, [log, filters, searchPattern, toggledGroups]);
+
+  // Forget the heights of messages dropped by the cap or cleared - only then,
+  // as it goes through every message
+  useEffect(() => {
+    setRowHeights(prev => {
+      if (prev.size === 0) return prev;
+      const ids = new Set(log.messages.map(msg => msg.id));
+      const kept = new Map(Array.from(prev).filter(([id]) => ids.has(id)));
+      return kept.size === prev.size ? prev : kept;
+    });
+  }, [log.messages, log.trimmed]);
+
+  // Record the heights of the rendered rows and the scroll position
+  const measure = useCallback(() => {
+    const content = contentRef.current;
+    if (!content) return;
+    setViewport(prev => (prev.top === content.scrollTop && prev.height === content.clientHeight
+      ? prev
+      : { top: content.scrollTop, height: content.clientHeight }));
+
+    const rows = Array.from(listRef.current?.querySelectorAll<HTMLElement>(':scope > [data-id]') ?? [])
+      .map(row => [Number(row.dataset.id), row.offsetHeight] as const);
+    setRowHeights(prev => {
+      const changed = rows.filter(([id, height]) => prev.get(id) !== height);
+      return changed.length > 0 ? new Map([...Array.from(prev), ...changed]) : prev;
+    });
+  }, []);
+
+  // After every render: measure new rows, and follow new messages unless
+  // the user scrolled up to read older ones
+  useLayoutEffect(() => {
+    measure();
+    const content = contentRef.current;
+    if (content && isAtBottomRef.current && content.scrollTop < content.scrollHeight - content.clientHeight) {
+      content.scrollTop = content.scrollHeight;
+    }
+  });
+
+  // Expanded objects and panel resizes change row heights without a render
+  useEffect(() => {
+    const observer = new ResizeObserver(measure);
+    if (contentRef.current) observer.observe(contentRef.current);
+    if (listRef.current) observer.observe(listRef.current);
+    return () => observer.disconnect();
+  }, [measure]);
+
+  const handleScroll = () => {
+    const content = contentRef.current;
+    if (!content) return;
+    isAtBottomRef.current = content.scrollHeight - content.scrollTop - content.clientHeight < 20;
+    measure();
+  };
+
+  const offsets = useMemo(
+    () => getRowOffsets(visibleMessages.map(msg => rowHeights.get(msg.id)), ESTIMATED_ROW_HEIGHT),
+    [visibleMessages, rowHeights]
+  );
+  const range = getVisibleRange(offsets, viewport.top, viewport.top + viewport.height);
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([formatConsoleLog(matchingMessages)], { type: 'text/plain' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `console-${new Date().toISOString().replace(/[:.]/g, '-')}.log`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
 
   // Use effect to handle drag cleanup properly
   useEffect(() => {
@@ -62,37 +198,39 @@ const ConsolePanel: React.FC<ConsolePanelProps> = ({ messages, onClear, height,
     setIsDragging(true);
   };
 
-  const toggleFilter = (type: 'log' | 'warn' | 'error') => {
+  const toggleFilter = (type: ConsoleFilter) => {
     setFilters(prev => ({ ...prev, [type]: !prev[type] }));
   };
 
-  const filteredMessages = messages.filter(msg => filters[msg.type]);
+  const isGroupCollapsed = (msg: ConsoleMessage) => (msg.group === 'collapsed') !== toggledGroups.has(msg.id);
 
-  const getMessageIcon = (type: 'log' | 'warn' | 'error') => {
-    switch (type) {
+  const toggleGroup = (id: number) => {
+    setToggledGroups(prev => {
+      const next = new Set(prev);
+      if (!next.delete(id)) next.add(id);
+      return next;
+    });
+  };
+
+  const getMessageIcon = (msg: ConsoleMessage) => {
+    if (msg.group) return isGroupCollapsed(msg) ? 'arrow_right' : 'arrow_drop_down';
+    if (msg.timer) return 'timer';
+    switch (msg.type) {
       case 'error':
         return 'error';
       case 'warn':
         return 'warning';
+      case 'input':
+        return 'chevron_right';
+      case 'result':
+        return 'chevron_left';
+      case 'debug':
+        return 'bug_report';
       default:
         return 'info';
     }
   };
 
-  const formatValue = (value: any): string => {
-    if (value === undefined) return 'undefined';
-    if (value === null) return 'null';
-    if (typeof value === 'string') return value;
-    if (typeof value === 'object') {
-      try {
-        return JSON.stringify(value, null, 2);
-      } catch {
-        return String(value);
-      }
-    }
-    return String(value);
-  };
-
   return (
     <div className={styles.consolePanel} style={{ height: `${height}px` }}>
       <div
@@ -113,7 +251,7 @@ const ConsolePanel: React.FC<ConsolePanelProps> = ({ messages, onClear, height,
           <button
             className={`${styles.filterButton} ${filters.log ? styles.active : ''}`}
             onClick={() => toggleFilter('log')}
-            title="Show logs"
+            title="Show logs and info"
           >
             <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>info</span>
             Log
@@ -134,6 +272,55 @@ const ConsolePanel: React.FC<ConsolePanelProps> = ({ messages, onClear, height,
             <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>error</span>
             Error
           </button>
+          <button
+            className={`${styles.filterButton} ${filters.debug ? styles.active : ''}`}
+            onClick={() => toggleFilter('debug')}
+            title="Show debug messages"
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>bug_report</span>
+            Debug
+          </button>
+          <div className={styles.divider}></div>
+          <div className={`${styles.search} ${isSearchInvalid ? styles.invalid : ''}`}>
+            <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>search</span>
+            <input
+              className={styles.searchInput}
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Filter"
+              title={isSearchInvalid ? 'Invalid regular expression' : 'Show messages containing this text'}
+              spellCheck={false}
+            />
+            <button
+              className={`${styles.regexButton} ${isRegexSearch ? styles.active : ''}`}
+              onClick={() => setIsRegexSearch(!isRegexSearch)}
+              title="Use regular expression"
+            >
+              .*
+            </button>
+          </div>
+          <button
+            className={`${styles.iconButton} ${preferences.showTimestamps ? styles.active : ''}`}
+            onClick={() => onPreferencesChange({ ...preferences, showTimestamps: !preferences.showTimestamps })}
+            title="Show timestamps"
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>schedule</span>
+          </button>
+          <button
+            className={`${styles.iconButton} ${preferences.preserveLog ? styles.active : ''}`}
+            onClick={() => onPreferencesChange({ ...preferences, preserveLog: !preferences.preserveLog })}
+            title="Preserve log across runs"
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>history</span>
+          </button>
+          <button
+            className={styles.iconButton}
+            onClick={handleExport}
+            disabled={matchingMessages.length === 0}
+            title="Export shown messages to a file"
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>download</span>
+          </button>
           <div className={styles.divider}></div>
           <button
             className={styles.clearButton}
@@ -146,24 +333,51 @@ const ConsolePanel: React.FC<ConsolePanelProps> = ({ messages, onClear, height,
         </div>
       </div>
 
-      <div className={styles.consoleContent}>
-        {filteredMessages.length === 0 ? (
-          <div className={styles.emptyState}>Console is empty</div>
-        ) : (
-          filteredMessages.map((msg) => (
-            <div key={msg.id} className={`${styles.consoleMessage} ${styles[msg.type]}`}>
-              <span className={`material-symbols-outlined ${styles.messageIcon}`}>
-                {getMessageIcon(msg.type)}
-              </span>
-              <span className={styles.messageText}>
-                {msg.args && msg.args.length > 0
-                  ? msg.args.map(arg => formatValue(arg)).join(' ')
-                  : msg.message}
-              </span>
-            </div>
-          ))
+      <div className={styles.consoleContent} ref={contentRef} onScroll={handleScroll}>
+        {visibleMessages.length === 0 && (
+          <div className={styles.emptyState}>
+            {log.messages.length === 0 ? 'Console is empty' : 'No messages match'}
+          </div>
         )}
+        <div
+          ref={listRef}
+          style={{ paddingTop: offsets[range.start], paddingBottom: offsets[offsets.length - 1] - offsets[range.end] }}
+        >
+          {visibleMessages.slice(range.start, range.end).map((msg) => (
+            <div key={msg.id} data-id={msg.id} className={styles.row}>
+              <div
+                className={`${styles.consoleMessage} ${styles[msg.type]} ${msg.group ? styles.groupHeader : ''}`}
+                style={msg.depth ? { paddingLeft: `${8 + msg.depth * 16}px` } : undefined}
+                onClick={msg.group ? () => toggleGroup(msg.id) : undefined}
+              >
+                {preferences.showTimestamps && (
+                  <span className={styles.timestamp}>{formatConsoleTimestamp(msg.timestamp)}</span>
+                )}
+                <span className={`material-symbols-outlined ${styles.messageIcon}`}>
+                  {getMessageIcon(msg)}
+                </span>
+                {msg.count && msg.count > 1 && (
+                  <span className={styles.repeatCount} title={`Repeated ${msg.count} times`}>{msg.count}</span>
+                )}
+                <span className={styles.messageText}>
+                  {msg.table ? (
+                    <ConsoleTable table={msg.table} />
+                  ) : msg.args && msg.args.length > 0
+                    ? msg.args.map((arg, index) => (
+                      <React.Fragment key={index}>
+                        {index > 0 && ' '}
+                        <ConsoleValueTree value={arg} />
+                      </React.Fragment>
+                    ))
+                    : msg.message}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
       </div>
+
+      <ConsoleInput scopes={replScopes} onEvaluate={onEvaluate} onComplete={onComplete} />
     </div>
   );
 };
@@ -0,0 +1,37 @@
+import React from 'react';
+import ConsoleValueTree from './ConsoleValueTree';
+import { ConsoleTable as ConsoleTableData } from '../utils/consoleValues';
+import styles from './ConsoleTable.module.css';
+
+interface ConsoleTableProps {
+  table: ConsoleTableData;
+}
+
+/**
+ * The output of console.table
+ */
+const ConsoleTable: React.FC<ConsoleTableProps> = ({ table }) => (
+  <div className={styles.wrapper}>
+    <table className={styles.table}>
+      <thead>
+        <tr>
+          <th>(index)</th>
+          {table.columns.map((column, index) => <th key={index}>{column}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {table.rows.map((row, rowIndex) => (
+          <tr key={rowIndex}>
+            <td className={styles.key}>{row.key}</td>
+            {row.cells.map((cell, index) => (
+              <td key={index}>{cell && <ConsoleValueTree value={cell} />}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    {!!table.more && <div className={styles.more}>… {table.more} more rows</div>}
+  </div>
+);
+
+export default ConsoleTable;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import {
+  ConsoleValue,
+  formatConsoleValue,
+  getConsoleObjectLabel,
+  isExpandableConsoleValue,
+} from '../utils/consoleValues';
+import styles from './ConsoleValueTree.module.css';
+
+interface ConsoleValueTreeProps {
+  value: ConsoleValue;
+  label?: string;   // the entry's key inside an object
+}
+
+/**
+ * A console argument: primitives as colored text, objects and errors as a
+ * one-line preview that expands into their entries
+ */
+const ConsoleValueTree: React.FC<ConsoleValueTreeProps> = ({ value, label }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const isExpandable = isExpandableConsoleValue(value);
+  const text = (
+    <span className={`${styles.value} ${styles[value.type]}`}>
+      {formatConsoleValue(value, label !== undefined)}
+    </span>
+  );
+
+  if (!isExpandable) {
+    return (
+      <span className={label !== undefined ? styles.entry : styles.inline}>
+        {label !== undefined && <span className={styles.key}>{label}: </span>}
+        {text}
+      </span>
+    );
+  }
+
+  return (
+    <span className={label !== undefined ? styles.entry : styles.node}>
+      <span
+        className={styles.header}
+        onClick={(e) => {
+          e.stopPropagation();
+          setIsExpanded(!isExpanded);
+        }}
+      >
+        <span className={`material-symbols-outlined ${styles.arrow}`} style={{ fontSize: '14px' }}>
+          {isExpanded ? 'arrow_drop_down' : 'arrow_right'}
+        </span>
+        {label !== undefined && <span className={styles.key}>{label}: </span>}
+        {isExpanded && value.type === 'object' ? (
+          <span className={styles.object}>{getConsoleObjectLabel(value)}</span>
+        ) : text}
+      </span>
+      {isExpanded && (
+        <span className={styles.children}>
+          {value.type === 'error' && <span className={styles.stack}>{value.stack}</span>}
+          {value.type === 'object' && value.entries?.map((entry, index) => (
+            <ConsoleValueTree key={index} value={entry.value} label={entry.key} />
+          ))}
+          {value.type === 'object' && !!value.more && (
+            <span className={styles.more}>… {value.more} more</span>
+          )}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default ConsoleValueTree;
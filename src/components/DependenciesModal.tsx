@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import styles from './DependenciesModal.module.css';
+import { VersionLock, LockChange, getLatestVersions, diffLocks } from '../utils/versionLock';
+
+interface DependenciesModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  lock: VersionLock;
+  onUpdate: (updates: VersionLock) => void;
+}
+
+const DependenciesModal: React.FC<DependenciesModalProps> = ({ isOpen, onClose, lock, onUpdate }) => {
+  const [changes, setChanges] = useState<LockChange[] | null>(null);
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [error, setError] = useState<string | null>(null);
+
+  // Look up the latest versions each time the modal opens (not when an update changes the lock)
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let isCurrent = true;
+    setChanges(null);
+    setError(null);
+    getLatestVersions(lock)
+      .then(latest => {
+        if (!isCurrent) return;
+        const diff = diffLocks(lock, latest);
+        setChanges(diff);
+        // Major bumps may break the scene, so they're opt-in
+        setSelected(new Set(diff.filter(c => !c.isMajor).map(c => c.packageName)));
+      })
+      .catch(err => isCurrent && setError((err as Error).message));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [isOpen]);
+
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const lockedPackages = Object.entries(lock).sort(([a], [b]) => a.localeCompare(b));
+
+  const toggle = (packageName: string) => {
+    const next = new Set(selected);
+    if (next.has(packageName)) {
+      next.delete(packageName);
+    } else {
+      next.add(packageName);
+    }
+    setSelected(next);
+  };
+
+  const handleUpdate = () => {
+    const updates: VersionLock = {};
+    for (const change of changes || []) {
+      if (selected.has(change.packageName)) {
+        updates[change.packageName] = change.to;
+      }
+    }
+    onUpdate(updates);
+  };
+
+  const renderChanges = () => {
+    if (error) {
+      return <p className={styles.emptyState}>Could not check for updates: {error}</p>;
+    }
+    if (changes === null) {
+      return <p className={styles.emptyState}>Checking for updates...</p>;
+    }
+    if (changes.length === 0) {
+      return <p className={styles.emptyState}>All locked packages are up to date</p>;
+    }
+
+    return (
+      <>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th></th>
+              <th>Package</th>
+              <th>Locked</th>
+              <th>Latest</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(change => (
+              <tr key={change.packageName}>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={selected.has(change.packageName)}
+                    onChange={() => toggle(change.packageName)}
+                  />
+                </td>
+                <td>
+                  {change.packageName}
+                  {change.isMajor && <span className={styles.majorBadge} title="May contain breaking changes">major</span>}
+                </td>
+                <td className={styles.removed}>{change.from}</td>
+                <td className={styles.added}>{change.to}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className={styles.footer}>
+          <button className={styles.button} onClick={handleUpdate} disabled={selected.size === 0}>
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>upgrade</span>
+            Update {selected.size} package{selected.size === 1 ? '' : 's'}
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <>
+      <div className={styles.overlay} onClick={onClose} />
+      <div className={styles.modal}>
+        <div className={styles.header}>
+          <h2>Dependencies</h2>
+          <button className={styles.closeButton} onClick={onClose} title="Close">
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+        <div className={styles.content}>
+          {lockedPackages.length === 0 ? (
+            <p className={styles.emptyState}>
+              No locked packages yet. Unversioned imports are locked to their exact version the first time they resolve.
+            </p>
+          ) : (
+            <>
+              <div className={styles.section}>
+                <h3 className={styles.categoryTitle}>Locked versions</h3>
+                <div className={styles.lockList}>
+                  {lockedPackages.map(([packageName, version]) => (
+                    <span key={packageName} className={styles.lockEntry}>
+                      {packageName}<span className={styles.version}>@{version}</span>
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div className={styles.section}>
+                <h3 className={styles.categoryTitle}>Available updates</h3>
+                {renderChanges()}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default DependenciesModal;
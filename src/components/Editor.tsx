@@ -1,20 +1,99 @@
-import React, { useRef, useImperativeHandle, forwardRef } from 'react';
+import React, { useRef, useEffect, useState, useImperativeHandle, forwardRef } from 'react';
 import { Editor as MonacoEditor } from '@monaco-editor/react';
 import type * as Monaco from 'monaco-editor';
+import { DEFAULT_THREE_VERSION, getThreeTypesUrl } from '../utils/threeVersions';
+import { registerGlslLanguage, embedGlslInJavaScript } from '../utils/glslLanguage';
 
 interface EditorProps {
   value: string;
+  path?: string;
+  language?: string;
+  threeVersion?: string;
+  markers?: EditorMarker[];
   onChange: (value: string | undefined) => void;
   onMount?: (editor: Monaco.editor.IStandaloneCodeEditor, monaco: typeof Monaco) => void;
 }
 
 export interface EditorRef {
   insertText: (text: string) => void;
+  revealLocation: (line: number, column: number) => void;
 }
 
-const Editor = forwardRef<EditorRef, EditorProps>(({ value, onChange, onMount }, ref) => {
+/**
+ * A problem to underline in a project file
+ */
+export interface EditorMarker {
+  path: string;
+  line: number;
+  startColumn?: number;   // without an end column, the word here (or the whole line) is marked
+  endColumn?: number;
+  severity: 'error' | 'warning';
+  message: string;
+  source: string;         // shown with the message, e.g. 'GLSL'
+}
+
+const Editor = forwardRef<EditorRef, EditorProps>(({ value, path, language = 'javascript', threeVersion = DEFAULT_THREE_VERSION, markers = [], onChange, onMount }, ref) => {
   const editorRef = useRef<Monaco.editor.IStandaloneCodeEditor | null>(null);
   const monacoRef = useRef<typeof Monaco | null>(null);
+  const [isMonacoReady, setIsMonacoReady] = useState(false);
+
+  // Swap the Three.js type definitions whenever the project's version changes
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!isMonacoReady || !monaco) return;
+
+    let typesLib: Monaco.IDisposable | null = null;
+    let isCurrent = true;
+    fetch(getThreeTypesUrl(threeVersion))
+      .then((res) => res.text())
+      .then((types) => {
+        if (isCurrent) {
+          typesLib = monaco.languages.typescript.javascriptDefaults.addExtraLib(types, 'three.d.ts');
+        }
+      })
+      .catch((error) => console.warn(`Could not load Three.js ${threeVersion} types:`, error));
+
+    return () => {
+      isCurrent = false;
+      typesLib?.dispose();
+    };
+  }, [isMonacoReady, threeVersion]);
+
+  // Set the markers on every open file they point into
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!isMonacoReady || !monaco) return;
+
+    monaco.editor.getModels().forEach((model) => {
+      const modelMarkers = markers
+        .filter(marker => monaco.Uri.parse(marker.path).toString() === model.uri.toString())
+        .filter(marker => marker.line >= 1 && marker.line <= model.getLineCount())
+        .map((marker) => {
+          let { startColumn, endColumn } = marker;
+          if (endColumn === undefined) {
+            const word = startColumn !== undefined ? model.getWordAtPosition({ lineNumber: marker.line, column: startColumn }) : null;
+            startColumn = word ? word.startColumn : model.getLineFirstNonWhitespaceColumn(marker.line) || 1;
+            endColumn = word ? word.endColumn : model.getLineMaxColumn(marker.line);
+          }
+          return {
+            startLineNumber: marker.line,
+            endLineNumber: marker.line,
+            startColumn: startColumn ?? 1,
+            endColumn,
+            message: marker.message,
+            severity: marker.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+            source: marker.source,
+          };
+        });
+      monaco.editor.setModelMarkers(model, 'ide', modelMarkers);
+    });
+  }, [isMonacoReady, path, markers]);
+
+  // GLSL has to be registered before the first GLSL model is created
+  const handleBeforeMount = (monaco: typeof Monaco) => {
+    registerGlslLanguage(monaco);
+    embedGlslInJavaScript(monaco).catch((error) => console.warn('Could not add GLSL highlighting to JavaScript:', error));
+  };
 
   const handleEditorDidMount = (editor: Monaco.editor.IStandaloneCodeEditor, monaco: typeof Monaco) => {
     editorRef.current = editor;
@@ -31,15 +110,8 @@ const Editor = forwardRef<EditorRef, EditorProps>(({ value, onChange, onMount },
       minimap: { enabled: false },
     });
 
-    // Add Three.js type definitions to the editor for autocompletion
-    fetch('https://unpkg.com/@types/three/index.d.ts')
-      .then((res) => res.text())
-      .then((types) => {
-        monaco.languages.typescript.javascriptDefaults.addExtraLib(
-          types,
-          'three.d.ts'
-        );
-      });
+    // Three.js type definitions for autocompletion are added by the effect above
+    setIsMonacoReady(true);
 
     // Call parent onMount if provided
     if (onMount) {
@@ -68,14 +140,25 @@ const Editor = forwardRef<EditorRef, EditorProps>(({ value, onChange, onMount },
         }
       }
     },
+    revealLocation(line: number, column: number) {
+      if (editorRef.current) {
+        editorRef.current.setPosition({ lineNumber: line, column });
+        editorRef.current.revealPositionInCenter({ lineNumber: line, column });
+        editorRef.current.focus();
+      }
+    },
   }));
 
   return (
     <MonacoEditor
       height="100%"
       defaultLanguage="javascript"
+      // Each path gets its own Monaco model, keeping undo history and view state per file
+      path={path}
+      language={language}
       value={value}
       onChange={onChange}
+      beforeMount={handleBeforeMount}
       onMount={handleEditorDidMount}
       options={{
         theme: 'vs-dark',
@@ -0,0 +1,47 @@
+import React from 'react';
+import styles from './EditorTabs.module.css';
+
+interface EditorTabsProps {
+  tabs: string[];
+  activePath: string;
+  onSelect: (path: string) => void;
+  onClose: (path: string) => void;
+}
+
+const EditorTabs: React.FC<EditorTabsProps> = ({ tabs, activePath, onSelect, onClose }) => {
+  return (
+    <div className={styles.tabBar}>
+      {tabs.map(path => (
+        <div
+          key={path}
+          className={`${styles.tab} ${path === activePath ? styles.active : ''}`}
+          onClick={() => onSelect(path)}
+          onMouseDown={(e) => {
+            // Middle click closes the tab
+            if (e.button === 1) {
+              e.preventDefault();
+              onClose(path);
+            }
+          }}
+          title={path}
+        >
+          <span className={styles.tabName}>{path.split('/').pop()}</span>
+          {tabs.length > 1 && (
+            <button
+              className={styles.closeButton}
+              onClick={(e) => {
+                e.stopPropagation();
+                onClose(path);
+              }}
+              title="Close"
+            >
+              <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>close</span>
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default EditorTabs;
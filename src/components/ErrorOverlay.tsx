@@ -1,32 +1,74 @@
 import React from 'react';
 import './ErrorOverlay.css';
+import { StackFrame, SourceLocation } from '../utils/runtimeErrors';
 
 interface ErrorInfo {
   message: string;
   lineno?: number;
   colno?: number;
   stack?: string;
+  path?: string;          // project file of lineno/colno
+  frames?: StackFrame[];
 }
 
 interface ErrorOverlayProps {
   error: ErrorInfo | null;
   onClose: () => void;
+  onReveal?: (location: SourceLocation) => void;
 }
 
-const ErrorOverlay: React.FC<ErrorOverlayProps> = ({ error, onClose }) => {
+// Last path segment of a URL outside the project, e.g. three.module.js
+const shortenUrl = (url: string) => url.split(/[?#]/)[0].split('/').pop() || url;
+
+const ErrorOverlay: React.FC<ErrorOverlayProps> = ({ error, onClose, onReveal }) => {
   if (!error) {
     return null;
   }
 
+  const reveal = (location: SourceLocation) => onReveal?.(location);
+
   return (
     <div className="error-overlay">
       <div className="error-content">
         <h3>Runtime Error</h3>
         <pre>{error.message}</pre>
         {error.lineno && (
-          <p>
-            Line: {error.lineno}, Column: {error.colno}
-          </p>
+          error.path ? (
+            <p>
+              <button
+                className="error-location"
+                onClick={() => reveal({ path: error.path!, line: error.lineno!, column: error.colno ?? 1 })}
+                title="Show in editor"
+              >
+                {error.path}:{error.lineno}:{error.colno}
+              </button>
+            </p>
+          ) : (
+            <p>
+              Line: {error.lineno}, Column: {error.colno}
+            </p>
+          )
+        )}
+        {error.frames && error.frames.length > 0 && (
+          <ol className="error-frames">
+            {error.frames.map((frame, index) => (
+              <li key={index} className={frame.path ? '' : 'external'}>
+                {frame.path ? (
+                  <button
+                    className="error-location"
+                    onClick={() => reveal({ path: frame.path!, line: frame.line, column: frame.column })}
+                    title="Show in editor"
+                  >
+                    {frame.functionName || '(anonymous)'} <span>{frame.path}:{frame.line}:{frame.column}</span>
+                  </button>
+                ) : (
+                  <>
+                    {frame.functionName || '(anonymous)'} <span>{shortenUrl(frame.url)}:{frame.line}:{frame.column}</span>
+                  </>
+                )}
+              </li>
+            ))}
+          </ol>
         )}
         <button onClick={onClose}>Close</button>
       </div>
@@ -0,0 +1,55 @@
+import React, { useEffect } from 'react';
+import styles from './ExportModal.module.css';
+import { EXPORT_TARGETS, ExportTarget } from '../utils/projectExporter';
+
+interface ExportModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onExport: (target: ExportTarget) => void;
+}
+
+const ExportModal: React.FC<ExportModalProps> = ({ isOpen, onClose, onExport }) => {
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  return (
+    <>
+      <div className={styles.overlay} onClick={onClose} />
+      <div className={styles.modal}>
+        <div className={styles.header}>
+          <h2>Export Scene</h2>
+          <button className={styles.closeButton} onClick={onClose} title="Close">
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+        <div className={styles.content}>
+          {EXPORT_TARGETS.map((target) => (
+            <button
+              key={target.id}
+              className={styles.targetButton}
+              onClick={() => onExport(target.id)}
+            >
+              <span className={`material-symbols-outlined ${styles.targetIcon}`}>{target.icon}</span>
+              <span className={styles.targetText}>
+                <span className={styles.targetLabel}>{target.label}</span>
+                <span className={styles.targetDescription}>{target.description}</span>
+              </span>
+            </button>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ExportModal;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import styles from './FileTree.module.css';
+import { ProjectFile, ENTRY_FILE, getFileLanguage } from '../utils/projectFiles';
+
+interface FileTreeProps {
+  files: ProjectFile[];
+  activePath: string;
+  onSelect: (path: string) => void;
+  onCreate: () => void;
+  onRename: (path: string) => void;
+  onDelete: (path: string) => void;
+}
+
+interface TreeFolder {
+  name: string;
+  path: string;
+  folders: TreeFolder[];
+  files: ProjectFile[];
+}
+
+/**
+ * Build a nested folder structure from flat file paths
+ */
+function buildTree(files: ProjectFile[]): TreeFolder {
+  const root: TreeFolder = { name: '', path: '', folders: [], files: [] };
+
+  for (const file of files) {
+    const segments = file.path.split('/');
+    let folder = root;
+
+    for (const segment of segments.slice(0, -1)) {
+      const folderPath = folder.path ? `${folder.path}/${segment}` : segment;
+      let next = folder.folders.find(f => f.path === folderPath);
+      if (!next) {
+        next = { name: segment, path: folderPath, folders: [], files: [] };
+        folder.folders.push(next);
+      }
+      folder = next;
+    }
+
+    folder.files.push(file);
+  }
+
+  const sortFolder = (folder: TreeFolder) => {
+    folder.folders.sort((a, b) => a.name.localeCompare(b.name));
+    folder.files.sort((a, b) => a.path.localeCompare(b.path));
+    folder.folders.forEach(sortFolder);
+  };
+  sortFolder(root);
+
+  return root;
+}
+
+const getFileIcon = (path: string) => {
+  switch (getFileLanguage(path)) {
+    case 'javascript':
+      return 'javascript';
+    case 'glsl':
+      return 'gradient';
+    case 'json':
+      return 'data_object';
+    default:
+      return 'description';
+  }
+};
+
+const FileTree: React.FC<FileTreeProps> = ({ files, activePath, onSelect, onCreate, onRename, onDelete }) => {
+  const [collapsed, setCollapsed] = useState<Record<string, boolean>>({});
+
+  const toggleFolder = (path: string) => {
+    setCollapsed(prev => ({ ...prev, [path]: !prev[path] }));
+  };
+
+  const renderFolder = (folder: TreeFolder, depth: number): React.ReactNode => (
+    <>
+      {folder.folders.map(child => (
+        <div key={child.path}>
+          <button
+            className={styles.treeItem}
+            style={{ paddingLeft: `${8 + depth * 12}px` }}
+            onClick={() => toggleFolder(child.path)}
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>
+              {collapsed[child.path] ? 'folder' : 'folder_open'}
+            </span>
+            <span className={styles.itemName}>{child.name}</span>
+          </button>
+          {!collapsed[child.path] && renderFolder(child, depth + 1)}
+        </div>
+      ))}
+      {folder.files.map(file => {
+        const name = file.path.split('/').pop();
+        const isEntry = file.path === ENTRY_FILE;
+        return (
+          <div
+            key={file.path}
+            className={`${styles.treeItem} ${file.path === activePath ? styles.active : ''}`}
+            style={{ paddingLeft: `${8 + depth * 12}px` }}
+            onClick={() => onSelect(file.path)}
+            title={isEntry ? `${file.path} (entry module)` : file.path}
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>
+              {getFileIcon(file.path)}
+            </span>
+            <span className={styles.itemName}>{name}</span>
+            {!isEntry && (
+              <span className={styles.itemActions}>
+                <button
+                  className={styles.actionButton}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRename(file.path);
+                  }}
+                  title="Rename"
+                >
+                  <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>edit</span>
+                </button>
+                <button
+                  className={styles.actionButton}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(file.path);
+                  }}
+                  title="Delete"
+                >
+                  <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>delete</span>
+                </button>
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </>
+  );
+
+  return (
+    <div className={styles.fileTree}>
+      <div className={styles.treeHeader}>
+        <span>Files</span>
+        <button className={styles.actionButton} onClick={onCreate} title="New file">
+          <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>note_add</span>
+        </button>
+      </div>
+      <div className={styles.treeContent}>
+        {renderFolder(buildTree(files), 0)}
+      </div>
+    </div>
+  );
+};
+
+export default FileTree;
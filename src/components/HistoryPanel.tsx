@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import styles from './HistoryPanel.module.css';
+import { ProjectFile, ProjectSettings, getFileLanguage } from '../utils/projectFiles';
+import {
+  ProjectSnapshot,
+  SnapshotKind,
+  listSnapshots,
+  addSnapshot,
+  getSnapshotLabel,
+  diffSnapshotFiles,
+} from '../utils/projectHistory';
+import { formatModifiedTime } from '../utils/projectLibrary';
+
+interface HistoryPanelProps {
+  isOpen: boolean;
+  onClose: () => void;
+  projectId: string | null;
+  files: ProjectFile[];
+  settings: ProjectSettings;
+  onRestore: (snapshot: ProjectSnapshot) => void;
+}
+
+// Selector value for the editor's current (unsnapshotted) state
+const CURRENT = 'current';
+
+const KIND_ICONS: Record<SnapshotKind, string> = {
+  run: 'play_arrow',
+  save: 'bookmark',
+  restore: 'history',
+};
+
+const HistoryPanel: React.FC<HistoryPanelProps> = ({ isOpen, onClose, projectId, files, settings, onRestore }) => {
+  const [snapshots, setSnapshots] = useState<ProjectSnapshot[]>([]);
+  const [baseId, setBaseId] = useState<string>(CURRENT);
+  const [compareId, setCompareId] = useState<string>(CURRENT);
+  const [selectedPath, setSelectedPath] = useState<string | null>(null);
+  const [savePointLabel, setSavePointLabel] = useState('');
+
+  const refresh = useCallback(async () => {
+    if (!projectId) return [];
+    const list = await listSnapshots(projectId);
+    setSnapshots(list);
+    return list;
+  }, [projectId]);
+
+  // Open on "latest snapshot -> current editor"
+  useEffect(() => {
+    if (!isOpen) return;
+    refresh().then(list => {
+      setBaseId(list[0]?.id ?? CURRENT);
+      setCompareId(CURRENT);
+      setSelectedPath(null);
+    });
+  }, [isOpen, refresh]);
+
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const getFiles = (id: string) => id === CURRENT ? files : snapshots.find(s => s.id === id)?.files ?? [];
+  const baseFiles = getFiles(baseId);
+  const compareFiles = getFiles(compareId);
+  const changes = diffSnapshotFiles(baseFiles, compareFiles);
+  const changedFiles = changes.filter(c => c.status !== 'unchanged');
+  const activePath = selectedPath && changes.some(c => c.path === selectedPath)
+    ? selectedPath
+    : (changedFiles[0] ?? changes[0])?.path;
+  const compareSnapshot = snapshots.find(s => s.id === compareId);
+
+  // Selecting a snapshot compares it with the one before it
+  const selectSnapshot = (index: number) => {
+    setCompareId(snapshots[index].id);
+    setBaseId(snapshots[index + 1]?.id ?? snapshots[index].id);
+  };
+
+  const handleAddSavePoint = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!projectId) return;
+    await addSnapshot(projectId, 'save', files, settings, savePointLabel.trim() || undefined);
+    setSavePointLabel('');
+    refresh();
+  };
+
+  const renderOption = (snapshot: ProjectSnapshot) => (
+    <option key={snapshot.id} value={snapshot.id}>
+      {getSnapshotLabel(snapshot)} - {new Date(snapshot.createdAt).toLocaleString()}
+    </option>
+  );
+
+  return (
+    <>
+      <div className={styles.overlay} onClick={onClose} />
+      <div className={styles.modal}>
+        <div className={styles.header}>
+          <h2>History</h2>
+          <button className={styles.closeButton} onClick={onClose} title="Close">
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+        <div className={styles.body}>
+          <div className={styles.timeline}>
+            <form className={styles.savePointForm} onSubmit={handleAddSavePoint}>
+              <input
+                className={styles.input}
+                placeholder="Save point name (optional)"
+                value={savePointLabel}
+                onChange={(e) => setSavePointLabel(e.target.value)}
+              />
+              <button className={styles.button} type="submit" title="Save a named snapshot of the current project">
+                <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>bookmark_add</span>
+              </button>
+            </form>
+            <div
+              className={`${styles.timelineItem} ${compareId === CURRENT ? styles.selected : ''}`}
+              onClick={() => {
+                setCompareId(CURRENT);
+                setBaseId(snapshots[0]?.id ?? CURRENT);
+              }}
+            >
+              <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>edit</span>
+              <div>
+                <div className={styles.itemLabel}>Current editor</div>
+              </div>
+            </div>
+            {snapshots.length === 0 && (
+              <p className={styles.emptyState}>Snapshots are taken on each successful run and at save points</p>
+            )}
+            {snapshots.map((snapshot, index) => (
+              <div
+                key={snapshot.id}
+                className={`${styles.timelineItem} ${compareId === snapshot.id ? styles.selected : ''} ${snapshot.kind === 'save' ? styles.savePoint : ''}`}
+                onClick={() => selectSnapshot(index)}
+                title={new Date(snapshot.createdAt).toLocaleString()}
+              >
+                <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>{KIND_ICONS[snapshot.kind]}</span>
+                <div>
+                  <div className={styles.itemLabel}>{getSnapshotLabel(snapshot)}</div>
+                  <div className={styles.itemMeta}>{formatModifiedTime(snapshot.createdAt)}</div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className={styles.diffArea}>
+            <div className={styles.toolbar}>
+              <label>
+                Base
+                <select className={styles.select} value={baseId} onChange={(e) => setBaseId(e.target.value)}>
+                  <option value={CURRENT}>Current editor</option>
+                  {snapshots.map(renderOption)}
+                </select>
+              </label>
+              <span className="material-symbols-outlined" style={{ fontSize: '16px', color: '#888' }}>arrow_forward</span>
+              <label>
+                Compare
+                <select className={styles.select} value={compareId} onChange={(e) => setCompareId(e.target.value)}>
+                  <option value={CURRENT}>Current editor</option>
+                  {snapshots.map(renderOption)}
+                </select>
+              </label>
+              {compareSnapshot && (
+                <button
+                  className={`${styles.button} ${styles.restoreButton}`}
+                  onClick={() => onRestore(compareSnapshot)}
+                  title="Replace the project with this snapshot (the current state is kept in history)"
+                >
+                  <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>restore</span>
+                  Restore
+                </button>
+              )}
+            </div>
+            <div className={styles.fileTabs}>
+              {changes.map(change => (
+                <button
+                  key={change.path}
+                  className={`${styles.fileTab} ${styles[change.status]} ${change.path === activePath ? styles.activeFile : ''}`}
+                  onClick={() => setSelectedPath(change.path)}
+                  title={change.status}
+                >
+                  {change.path}
+                </button>
+              ))}
+              {changedFiles.length === 0 && <span className={styles.noChanges}>No changes</span>}
+            </div>
+            <div className={styles.diffEditor}>
+              {activePath && (
+                <DiffEditor
+                  original={baseFiles.find(f => f.path === activePath)?.content ?? ''}
+                  modified={compareFiles.find(f => f.path === activePath)?.content ?? ''}
+                  language={getFileLanguage(activePath) === 'glsl' ? 'plaintext' : getFileLanguage(activePath)}
+                  theme="vs-dark"
+                  options={{
+                    readOnly: true,
+                    fontSize: 13,
+                    minimap: { enabled: false },
+                    scrollBeyondLastLine: false,
+                    automaticLayout: true,
+                  }}
+                />
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styles from './PackageCacheModal.module.css';
+import {
+  CachedPackage,
+  isModuleCacheSupported,
+  listCachedPackages,
+  prefetchModules,
+  setPackagePinned,
+  purgeModuleCache,
+  formatBytes,
+} from '../utils/moduleCache';
+import { resolvePackageSpec } from '../utils/cdnResolver';
+
+interface PackageCacheModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  getProjectModuleUrls: () => Promise<string[]>;
+}
+
+const PackageCacheModal: React.FC<PackageCacheModalProps> = ({ isOpen, onClose, getProjectModuleUrls }) => {
+  const [packages, setPackages] = useState<CachedPackage[]>([]);
+  const [packageSpec, setPackageSpec] = useState('');
+  const [status, setStatus] = useState<string | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPackages(await listCachedPackages());
+    } catch (error) {
+      setStatus(`Could not read cache: ${(error as Error).message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen && isModuleCacheSupported()) {
+      refresh();
+    }
+  }, [isOpen, refresh]);
+
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  // Run a cache operation with a busy state and a status line
+  const run = async (label: string, operation: () => Promise<string>) => {
+    setIsBusy(true);
+    setStatus(label);
+    try {
+      setStatus(await operation());
+    } catch (error) {
+      setStatus(`Failed: ${(error as Error).message}`);
+    } finally {
+      setIsBusy(false);
+      refresh();
+    }
+  };
+
+  const prefetch = (urls: string[]) => run(`Fetching ${urls.length} module${urls.length === 1 ? '' : 's'}...`, async () => {
+    const results = await prefetchModules(urls);
+    const failed = results.filter(r => r.error);
+    const files = results.reduce((total, r) => total + (r.files || 0), 0);
+    return failed.length > 0
+      ? `Cached ${files} files, ${failed.length} failed: ${failed.map(r => r.error).join('; ')}`
+      : `Cached ${files} files`;
+  });
+
+  const handlePrefetchPackage = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const spec = packageSpec.trim();
+    if (!spec) return;
+    const resolved = await resolvePackageSpec(spec);
+    setPackageSpec('');
+    prefetch([resolved.url]);
+  };
+
+  const handlePrefetchProject = async () => {
+    const urls = await getProjectModuleUrls();
+    prefetch(urls);
+  };
+
+  const handlePurge = (includePinned: boolean) => {
+    const message = includePinned
+      ? 'Remove every cached package, including pinned ones?'
+      : 'Remove all unpinned cached packages?';
+    if (!window.confirm(message)) return;
+    run('Purging...', async () => `Removed ${await purgeModuleCache({ includePinned })} files`);
+  };
+
+  const totalSize = packages.reduce((total, pkg) => total + pkg.size, 0);
+
+  return (
+    <>
+      <div className={styles.overlay} onClick={onClose} />
+      <div className={styles.modal}>
+        <div className={styles.header}>
+          <h2>Package Cache</h2>
+          <button className={styles.closeButton} onClick={onClose} title="Close">
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+        <div className={styles.content}>
+          {!isModuleCacheSupported() ? (
+            <p className={styles.emptyState}>This browser does not support service workers, so packages can't be cached offline.</p>
+          ) : (
+            <>
+              <p className={styles.intro}>
+                Packages loaded by the preview are cached on first use and served from the cache afterwards, so scenes keep working offline.
+              </p>
+              <form className={styles.prefetchRow} onSubmit={handlePrefetchPackage}>
+                <input
+                  className={styles.input}
+                  type="text"
+                  placeholder="Package to pre-fetch, e.g. gsap or lil-gui@0.19.1"
+                  value={packageSpec}
+                  onChange={(e) => setPackageSpec(e.target.value)}
+                  disabled={isBusy}
+                />
+                <button className={styles.button} type="submit" disabled={isBusy || !packageSpec.trim()}>
+                  <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>download</span>
+                  Fetch
+                </button>
+                <button className={styles.button} type="button" onClick={handlePrefetchProject} disabled={isBusy} title="Cache three.js and every package the project imports">
+                  <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>cloud_download</span>
+                  Project
+                </button>
+              </form>
+              {status && <div className={styles.status}>{status}</div>}
+
+              {packages.length === 0 ? (
+                <p className={styles.emptyState}>No cached packages yet</p>
+              ) : (
+                <table className={styles.packageTable}>
+                  <thead>
+                    <tr>
+                      <th>Package</th>
+                      <th>Files</th>
+                      <th>Size</th>
+                      <th>Cached</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {packages.map(pkg => (
+                      <tr key={`${pkg.name}@${pkg.version}`}>
+                        <td>{pkg.name}<span className={styles.version}>@{pkg.version}</span></td>
+                        <td>{pkg.files}</td>
+                        <td>{formatBytes(pkg.size)}</td>
+                        <td>{new Date(pkg.cachedAt).toLocaleDateString()}</td>
+                        <td className={styles.actions}>
+                          <button
+                            className={`${styles.iconButton} ${pkg.pinned ? styles.pinned : ''}`}
+                            onClick={() => run(pkg.pinned ? 'Unpinning...' : 'Pinning...', async () => {
+                              await setPackagePinned(pkg.name, !pkg.pinned);
+                              return `${pkg.pinned ? 'Unpinned' : 'Pinned'} ${pkg.name}`;
+                            })}
+                            disabled={isBusy}
+                            title={pkg.pinned ? 'Unpin' : 'Pin (keep when purging)'}
+                          >
+                            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>keep</span>
+                          </button>
+                          <button
+                            className={styles.iconButton}
+                            onClick={() => run('Removing...', async () => `Removed ${await purgeModuleCache({ packageName: pkg.name })} files`)}
+                            disabled={isBusy}
+                            title="Remove from cache"
+                          >
+                            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>delete</span>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <div className={styles.footer}>
+                <span className={styles.total}>{packages.length} packages, {formatBytes(totalSize)}</span>
+                <button className={styles.button} onClick={() => handlePurge(false)} disabled={isBusy || packages.length === 0}>
+                  Purge unpinned
+                </button>
+                <button className={styles.button} onClick={() => handlePurge(true)} disabled={isBusy || packages.length === 0}>
+                  Purge all
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default PackageCacheModal;
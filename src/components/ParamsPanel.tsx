@@ -0,0 +1,118 @@
+import React from 'react';
+import styles from './ParamsPanel.module.css';
+import { SceneParam, SceneParamValue, SceneParamOverrides, getSceneParamOverride } from '../utils/sceneParams';
+
+interface ParamsPanelProps {
+  params: SceneParam[];
+  overrides: SceneParamOverrides;
+  onChange: (param: SceneParam, value: SceneParamValue) => void;
+  onReset: () => void;
+  onWriteCode: () => void;
+  onClose: () => void;
+}
+
+const ParamControl: React.FC<{ param: SceneParam; value: SceneParamValue; onChange: (value: SceneParamValue) => void }> = ({ param, value, onChange }) => {
+  if (param.type === 'boolean') {
+    return <input type="checkbox" checked={value as boolean} onChange={(e) => onChange(e.target.checked)} />;
+  }
+
+  if (param.type === 'color') {
+    return (
+      <div className={styles.control}>
+        <input type="color" className={styles.colorInput} value={value as string} onChange={(e) => onChange(e.target.value)} />
+        <span className={styles.value}>{value as string}</span>
+      </div>
+    );
+  }
+
+  const hasRange = param.min !== undefined && param.max !== undefined;
+  const step = param.step ?? (hasRange ? (param.max! - param.min!) / 100 : undefined);
+  const handleNumber = (text: string) => {
+    const number = parseFloat(text);
+    if (Number.isFinite(number)) onChange(number);
+  };
+
+  return (
+    <div className={styles.control}>
+      {hasRange && (
+        <input
+          type="range"
+          className={styles.slider}
+          min={param.min}
+          max={param.max}
+          step={step}
+          value={value as number}
+          onChange={(e) => handleNumber(e.target.value)}
+        />
+      )}
+      <input
+        type="number"
+        className={styles.numberInput}
+        step={step ?? 'any'}
+        value={value as number}
+        onChange={(e) => handleNumber(e.target.value)}
+      />
+    </div>
+  );
+};
+
+const ParamsPanel: React.FC<ParamsPanelProps> = ({ params, overrides, onChange, onReset, onWriteCode, onClose }) => {
+  const changed = params.filter(param => {
+    const override = getSceneParamOverride(param, overrides);
+    return override && override.value !== param.value;
+  });
+  const paths = Array.from(new Set(params.map(param => param.path)));
+
+  return (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <span>Params</span>
+        <button className={styles.iconButton} onClick={onClose} title="Hide params">
+          <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>close</span>
+        </button>
+      </div>
+
+      {params.length === 0 ? (
+        <p className={styles.emptyState}>
+          Annotate a constant to tune it here, e.g.<br />
+          <code>const SPEED = 0.5; // @param 0..10 step 0.1</code>
+        </p>
+      ) : (
+        <div className={styles.list}>
+          {paths.map(path => (
+            <React.Fragment key={path}>
+              {paths.length > 1 && <div className={styles.file}>{path}</div>}
+              {params.filter(param => param.path === path).map(param => (
+                <div key={param.id} className={styles.row}>
+                  <span className={styles.name} title={`${param.path}:${param.line}`}>
+                    {param.name}
+                    {param.reload && (
+                      <span className="material-symbols-outlined" style={{ fontSize: '12px' }} title="Changing this re-runs the scene">refresh</span>
+                    )}
+                  </span>
+                  <ParamControl
+                    param={param}
+                    value={getSceneParamOverride(param, overrides)?.value ?? param.value}
+                    onChange={(value) => onChange(param, value)}
+                  />
+                </div>
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
+      {changed.length > 0 && (
+        <div className={styles.footer}>
+          <button className={styles.linkButton} onClick={onReset}>Reset</button>
+          <button className={styles.writeButton} onClick={onWriteCode} title="Write the changed values into the source">
+            <span className="material-symbols-outlined" style={{ fontSize: '14px' }}>edit_note</span>
+            Write {changed.length} to code
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParamsPanel;
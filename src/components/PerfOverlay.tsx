@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import styles from './PerfOverlay.module.css';
+import {
+  PerfSample,
+  PerfProfile,
+  PROFILE_DURATION,
+  summarizeFrameTimes,
+  comparePerfProfiles,
+  formatFrameTime,
+  formatCount,
+} from '../utils/perfStats';
+import { formatBytes } from '../utils/moduleCache';
+
+interface PerfOverlayProps {
+  samples: PerfSample[];
+  profiles: PerfProfile[];
+  recordingProgress: number | null;   // 0-1 while recording
+  onRecord: () => void;
+  onClearProfiles: () => void;
+  onClose: () => void;
+}
+
+// Frames drawn in the sparkline, and the frame time at its top edge (ms)
+const SPARKLINE_FRAMES = 180;
+const SPARKLINE_MAX = 50;
+
+const Sparkline: React.FC<{ frameTimes: number[] }> = ({ frameTimes }) => {
+  const recent = frameTimes.slice(-SPARKLINE_FRAMES);
+  const y = (ms: number) => 40 - (Math.min(ms, SPARKLINE_MAX) / SPARKLINE_MAX) * 40;
+  const points = recent.map((ms, i) => `${(i / (SPARKLINE_FRAMES - 1)) * 180},${y(ms).toFixed(1)}`).join(' ');
+
+  return (
+    <svg className={styles.sparkline} viewBox="0 0 180 40" preserveAspectRatio="none">
+      {/* 60 and 30 fps */}
+      <line x1="0" x2="180" y1={y(1000 / 60)} y2={y(1000 / 60)} className={styles.guide} />
+      <line x1="0" x2="180" y1={y(1000 / 30)} y2={y(1000 / 30)} className={styles.guide} />
+      <polyline points={points} className={styles.line} />
+    </svg>
+  );
+};
+
+const PerfOverlay: React.FC<PerfOverlayProps> = ({ samples, profiles, recordingProgress, onRecord, onClearProfiles, onClose }) => {
+  const [compareIds, setCompareIds] = useState<string[]>([]);
+
+  const frameTimes = samples.flatMap(sample => sample.frameTimes);
+  const summary = summarizeFrameTimes(frameTimes);
+  const latest = samples[samples.length - 1];
+
+  const toggleCompare = (id: string) => {
+    setCompareIds(prev => (prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id].slice(-2)));
+  };
+
+  // Older profile on the left
+  const compared = profiles
+    .filter(profile => compareIds.includes(profile.id))
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  return (
+    <div className={styles.overlay}>
+      <div className={styles.header}>
+        <span>Performance</span>
+        <button className={styles.iconButton} onClick={onClose} title="Hide overlay">
+          <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>close</span>
+        </button>
+      </div>
+
+      {!latest ? (
+        <p className={styles.waiting}>Waiting for frames…</p>
+      ) : (
+        <>
+          <div className={styles.headline}>
+            <span className={styles.fps}>{summary.fps.toFixed(0)}</span>
+            <span className={styles.unit}>fps</span>
+            <span className={styles.frameTime}>{formatFrameTime(summary.avg)}</span>
+          </div>
+          <Sparkline frameTimes={frameTimes} />
+          <div className={styles.percentiles}>
+            <span>p50 {formatFrameTime(summary.p50)}</span>
+            <span>p95 {formatFrameTime(summary.p95)}</span>
+            <span>p99 {formatFrameTime(summary.p99)}</span>
+          </div>
+          <dl className={styles.stats}>
+            <dt>Draw calls</dt><dd>{formatCount(latest.calls)}</dd>
+            <dt>Triangles</dt><dd>{formatCount(latest.triangles)}</dd>
+            <dt>Geometries</dt><dd>{latest.geometries}</dd>
+            <dt>Textures</dt><dd>{latest.textures}</dd>
+            <dt>Programs</dt><dd>{latest.programs}</dd>
+            <dt>JS heap</dt><dd>{latest.heap ? formatBytes(latest.heap.used) : 'n/a'}</dd>
+          </dl>
+          {latest.renderers === 0 && <p className={styles.note}>No WebGLRenderer found - draw stats are unavailable</p>}
+        </>
+      )}
+
+      <div className={styles.section}>
+        <button className={styles.recordButton} onClick={onRecord} disabled={recordingProgress !== null}>
+          <span className="material-symbols-outlined" style={{ fontSize: '16px', color: '#e57373' }}>fiber_manual_record</span>
+          {recordingProgress !== null
+            ? `Recording… ${Math.ceil((1 - recordingProgress) * PROFILE_DURATION / 1000)}s`
+            : `Record ${PROFILE_DURATION / 1000}s profile`}
+        </button>
+        {recordingProgress !== null && (
+          <div className={styles.progress}>
+            <div className={styles.progressBar} style={{ width: `${recordingProgress * 100}%` }} />
+          </div>
+        )}
+      </div>
+
+      {profiles.length > 0 && (
+        <div className={styles.section}>
+          <div className={styles.sectionHeader}>
+            <span>Profiles {profiles.length > 1 && <span className={styles.hint}>- tick two to compare</span>}</span>
+            <button className={styles.linkButton} onClick={onClearProfiles}>Clear</button>
+          </div>
+          {profiles.map(profile => (
+            <label key={profile.id} className={styles.profile}>
+              <input
+                type="checkbox"
+                checked={compareIds.includes(profile.id)}
+                onChange={() => toggleCompare(profile.id)}
+              />
+              <span className={styles.profileLabel}>{profile.label}</span>
+              <span className={styles.hint}>{profile.frameTime.fps.toFixed(0)} fps, p95 {formatFrameTime(profile.frameTime.p95)}</span>
+            </label>
+          ))}
+
+          {compared.length === 2 && (
+            <table className={styles.comparison}>
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>{compared[0].label}</th>
+                  <th>{compared[1].label}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparePerfProfiles(compared[0], compared[1]).map(row => (
+                  <tr key={row.label}>
+                    <th>{row.label}</th>
+                    <td>{row.a}</td>
+                    <td>{row.b}</td>
+                    <td className={row.better === null ? styles.same : row.better ? styles.better : styles.worse}>
+                      {row.change === null ? '' : `${row.change > 0 ? '+' : ''}${(row.change * 100).toFixed(0)}%`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PerfOverlay;
@@ -2,11 +2,13 @@ import React from 'react';
 
 interface PreviewProps {
   isDragging: boolean;
+  threeVersion: string;
 }
 
-const Preview = React.forwardRef<HTMLIFrameElement, PreviewProps>(({ isDragging }, ref) => {
+const Preview = React.forwardRef<HTMLIFrameElement, PreviewProps>(({ isDragging, threeVersion }, ref) => {
   // Use import.meta.env.BASE_URL to handle GitHub Pages base path
-  const previewSrc = `${import.meta.env.BASE_URL}preview.html`;
+  // The base importmap can't change after load, so a new version means a new document
+  const previewSrc = `${import.meta.env.BASE_URL}preview.html?three=${encodeURIComponent(threeVersion)}`;
 
   return (
     <iframe
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import styles from './ProjectsModal.module.css';
+import {
+  SavedProject,
+  listProjects,
+  updateProject,
+  duplicateProject,
+  deleteProject,
+  formatModifiedTime,
+} from '../utils/projectLibrary';
+import { ImportEntries, readFileListEntries, readDroppedFolder } from '../utils/projectImporter';
+
+interface ProjectsModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  currentProjectId: string | null;
+  onOpenProject: (id: string) => void;
+  onNewProject: () => void;
+  onOpenFile: (file: File) => void;
+  onOpenFolder: (name: string, entries: ImportEntries) => void;
+  onProjectRenamed: (project: SavedProject) => void;
+}
+
+const ProjectsModal: React.FC<ProjectsModalProps> = ({ isOpen, onClose, currentProjectId, onOpenProject, onNewProject, onOpenFile, onOpenFolder, onProjectRenamed }) => {
+  const [projects, setProjects] = useState<SavedProject[]>([]);
+  const [renamingId, setRenamingId] = useState<string | null>(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [isDragOver, setIsDragOver] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const folderInputRef = useRef<HTMLInputElement>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (error) {
+      console.error('Failed to list projects:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      refresh();
+    } else {
+      setRenamingId(null);
+    }
+  }, [isOpen, refresh]);
+
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen && !renamingId) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose, renamingId]);
+
+  if (!isOpen) return null;
+
+  const startRename = (project: SavedProject) => {
+    setRenamingId(project.id);
+    setRenameValue(project.name);
+  };
+
+  const commitRename = async () => {
+    const id = renamingId;
+    const name = renameValue.trim();
+    setRenamingId(null);
+    if (!id || !name || projects.find(p => p.id === id)?.name === name) return;
+
+    if (projects.some(p => p.id !== id && p.name === name)) {
+      alert(`A project named "${name}" already exists`);
+      return;
+    }
+    onProjectRenamed(await updateProject(id, { name }));
+    refresh();
+  };
+
+  const handleDuplicate = async (id: string) => {
+    await duplicateProject(id);
+    refresh();
+  };
+
+  const handleDelete = async (project: SavedProject) => {
+    if (!window.confirm(`Delete "${project.name}"? This can't be undone.`)) return;
+    await deleteProject(project.id);
+    refresh();
+  };
+
+  // A dropped ZIP or share file, or a whole folder
+  const handleDrop = async (e: React.DragEvent) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    const item = e.dataTransfer.items[0];
+    const entry = item?.webkitGetAsEntry();
+    if (entry?.isDirectory) {
+      onOpenFolder(entry.name, await readDroppedFolder(entry as FileSystemDirectoryEntry));
+      return;
+    }
+    const file = e.dataTransfer.files[0];
+    if (file) onOpenFile(file);
+  };
+
+  return (
+    <>
+      <div className={styles.overlay} onClick={onClose} />
+      <div
+        className={`${styles.modal} ${isDragOver ? styles.dragOver : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget as Node)) setIsDragOver(false);
+        }}
+        onDrop={handleDrop}
+      >
+        <div className={styles.header}>
+          <h2>Projects</h2>
+          <div className={styles.headerActions}>
+            <button className={styles.newButton} onClick={onNewProject}>
+              <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>add</span>
+              New project
+            </button>
+            <button className={styles.newButton} onClick={() => fileInputRef.current?.click()} title="Import a ZIP (e.g. an export) or a share file - or drop one here">
+              <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>upload_file</span>
+              Open file
+            </button>
+            <button className={styles.newButton} onClick={() => folderInputRef.current?.click()} title="Import a project folder - or drop one here">
+              <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>drive_folder_upload</span>
+              Open folder
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".zip,.json,application/zip,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) onOpenFile(file);
+              }}
+            />
+            <input
+              ref={folderInputRef}
+              type="file"
+              {...{ webkitdirectory: '' }}
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                const files = Array.from(e.target.files ?? []);
+                e.target.value = '';
+                if (files.length > 0) {
+                  onOpenFolder(files[0].webkitRelativePath.split('/')[0] || 'Imported scene', readFileListEntries(files));
+                }
+              }}
+            />
+            <button className={styles.closeButton} onClick={onClose} title="Close">
+              <span className="material-symbols-outlined">close</span>
+            </button>
+          </div>
+        </div>
+        <div className={styles.content}>
+          {projects.length === 0 ? (
+            <p className={styles.emptyState}>No saved projects</p>
+          ) : (
+            <div className={styles.projectGrid}>
+              {projects.map(project => {
+                const isCurrent = project.id === currentProjectId;
+                return (
+                  <div
+                    key={project.id}
+                    className={`${styles.projectCard} ${isCurrent ? styles.current : ''}`}
+                    onClick={() => !isCurrent && renamingId !== project.id && onOpenProject(project.id)}
+                    title={isCurrent ? 'Open now' : `Open ${project.name}`}
+                  >
+                    <div className={styles.thumbnail}>
+                      {project.thumbnail ? (
+                        <img src={project.thumbnail} alt="" />
+                      ) : (
+                        <span className="material-symbols-outlined" style={{ fontSize: '40px' }}>view_in_ar</span>
+                      )}
+                    </div>
+                    <div className={styles.details}>
+                      {renamingId === project.id ? (
+                        <input
+                          className={styles.renameInput}
+                          value={renameValue}
+                          autoFocus
+                          onClick={(e) => e.stopPropagation()}
+                          onChange={(e) => setRenameValue(e.target.value)}
+                          onBlur={commitRename}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') commitRename();
+                            if (e.key === 'Escape') setRenamingId(null);
+                          }}
+                        />
+                      ) : (
+                        <div className={styles.name}>{project.name}</div>
+                      )}
+                      <div className={styles.meta}>
+                        {formatModifiedTime(project.updatedAt)} · {project.files.length} file{project.files.length === 1 ? '' : 's'}
+                      </div>
+                    </div>
+                    <div className={styles.actions} onClick={(e) => e.stopPropagation()}>
+                      <button className={styles.iconButton} onClick={() => startRename(project)} title="Rename">
+                        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>edit</span>
+                      </button>
+                      <button className={styles.iconButton} onClick={() => handleDuplicate(project.id)} title="Duplicate">
+                        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>content_copy</span>
+                      </button>
+                      <button
+                        className={styles.iconButton}
+                        onClick={() => handleDelete(project)}
+                        disabled={isCurrent}
+                        title={isCurrent ? "The open project can't be deleted" : 'Delete'}
+                      >
+                        <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>delete</span>
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ProjectsModal;
@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import styles from './SceneInspector.module.css';
+import {
+  SceneTree,
+  SceneEdits,
+  SceneEditProperty,
+  SceneEditValue,
+  Vector3Tuple,
+  findSceneNode,
+  getSceneNodeAncestors,
+  filterSceneTree,
+  getSceneTreeRows,
+  formatVertexCount,
+  formatVector,
+  getSceneNodeIcon,
+  generateSceneEditCode,
+} from '../utils/sceneInspector';
+
+interface SceneInspectorProps {
+  tree: SceneTree | null;
+  selectedId: string | null;
+  onSelect: (id: string | null) => void;
+  onEdit: (id: string, property: SceneEditProperty, value: SceneEditValue) => void;
+  onWriteCode: (code: string) => boolean;   // false if the code couldn't be written
+  onClose: () => void;
+}
+
+const toDegrees = (vector: Vector3Tuple) => vector.map(radians => (radians * 180) / Math.PI) as Vector3Tuple;
+const toRadians = (vector: Vector3Tuple) => vector.map(degrees => (degrees * Math.PI) / 180) as Vector3Tuple;
+
+interface NumberInputProps {
+  value: number;
+  step: number;
+  min?: number;
+  max?: number;
+  onChange: (value: number) => void;
+}
+
+/**
+ * Number field that keeps what's being typed while the scene tree refreshes underneath it
+ */
+const NumberInput: React.FC<NumberInputProps> = ({ value, step, min, max, onChange }) => {
+  const [draft, setDraft] = useState<string | null>(null);
+  const rounded = String(Number(value.toFixed(3)));
+
+  return (
+    <input
+      type="number"
+      className={styles.numberInput}
+      value={draft ?? rounded}
+      step={step}
+      min={min}
+      max={max}
+      onFocus={() => setDraft(rounded)}
+      onBlur={() => setDraft(null)}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        const next = parseFloat(e.target.value);
+        if (Number.isFinite(next)) onChange(next);
+      }}
+    />
+  );
+};
+
+const VectorInput: React.FC<{ value: Vector3Tuple; step: number; onChange: (value: Vector3Tuple) => void }> = ({ value, step, onChange }) => (
+  <div className={styles.vectorInput}>
+    {value.map((component, index) => (
+      <NumberInput
+        key={index}
+        value={component}
+        step={step}
+        onChange={(next) => onChange(value.map((v, i) => (i === index ? next : v)) as Vector3Tuple)}
+      />
+    ))}
+  </div>
+);
+
+const SceneInspector: React.FC<SceneInspectorProps> = ({ tree, selectedId, onSelect, onEdit, onWriteCode, onClose }) => {
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+  const [query, setQuery] = useState('');
+  const [edits, setEdits] = useState<SceneEdits>({});
+
+  const root = tree?.root ?? null;
+  const rootId = root?.id;
+
+  // A new run builds a new scene: start with its top level open, and forget edits to the old one
+  useEffect(() => {
+    setExpanded(new Set(rootId ? [rootId] : []));
+    setEdits({});
+  }, [rootId]);
+
+  // Reveal the selected object when the selection changes
+  const selectedAncestors = selectedId ? getSceneNodeAncestors(root, selectedId).join('/') : '';
+  useEffect(() => {
+    if (!selectedAncestors) return;
+    setExpanded(prev => new Set([...Array.from(prev), ...selectedAncestors.split('/')]));
+  }, [selectedAncestors]);
+
+  const toggleExpanded = (id: string) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const edit = (id: string, property: SceneEditProperty, value: SceneEditValue) => {
+    setEdits(prev => ({ ...prev, [id]: { ...prev[id], [property]: value } }));
+    onEdit(id, property, value);
+  };
+
+  const editedCount = Object.keys(edits).length;
+  const handleWriteCode = () => {
+    const code = generateSceneEditCode(root, edits);
+    if (code && onWriteCode(code)) {
+      setEdits({});
+    }
+  };
+
+  const shown = filterSceneTree(root, query);
+  const rows = getSceneTreeRows(root, expanded, shown);
+  const selected = findSceneNode(root, selectedId);
+
+  return (
+    <div className={styles.inspector}>
+      <div className={styles.header}>
+        <span>Scene</span>
+        <div className={styles.headerInfo}>
+          {tree?.source && (
+            <span title={tree.source === 'window.scene' ? 'The scene on window.scene' : 'Detected automatically - set window.scene to choose one'}>
+              {tree.source === 'window.scene' ? 'window.scene' : 'auto'}
+            </span>
+          )}
+          <button className={styles.iconButton} onClick={onClose} title="Close">
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>close</span>
+          </button>
+        </div>
+      </div>
+
+      <input
+        className={styles.search}
+        placeholder="Filter by name or type"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        spellCheck={false}
+      />
+
+      <div className={styles.tree}>
+        {!root ? (
+          <p className={styles.emptyState}>
+            {tree?.error ? `Could not read the scene: ${tree.error}` : 'No scene found. Create a THREE.Scene, or set window.scene = scene.'}
+          </p>
+        ) : (
+          rows.map(({ node, depth }) => (
+            <div
+              key={node.id}
+              className={`${styles.row} ${node.id === selectedId ? styles.selected : ''} ${node.visible ? '' : styles.hidden}`}
+              style={{ paddingLeft: `${depth * 12 + 4}px` }}
+              onClick={() => onSelect(node.id === selectedId ? null : node.id)}
+            >
+              <span
+                className={`material-symbols-outlined ${styles.chevron}`}
+                style={{ fontSize: '16px', visibility: node.children.length > 0 && !shown ? 'visible' : 'hidden' }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  toggleExpanded(node.id);
+                }}
+              >
+                {expanded.has(node.id) ? 'expand_more' : 'chevron_right'}
+              </span>
+              <span className="material-symbols-outlined" style={{ fontSize: '15px', color: '#888' }}>{getSceneNodeIcon(node.type)}</span>
+              <span className={styles.name}>
+                {node.name || <span className={styles.type}>{node.type}</span>}
+              </span>
+              {!node.visible && (
+                <span className="material-symbols-outlined" style={{ fontSize: '14px', color: '#666' }} title="Hidden">visibility_off</span>
+              )}
+              {node.vertices > 0 && <span className={styles.count}>{formatVertexCount(node.vertices)}</span>}
+            </div>
+          ))
+        )}
+        {tree?.truncated && (
+          <p className={styles.emptyState}>Showing the first {tree.nodeCount} objects</p>
+        )}
+      </div>
+
+      {selected && (
+        <div className={styles.details}>
+          <table>
+            <tbody>
+              <tr><th>Type</th><td>{selected.type}</td></tr>
+              {selected.name && <tr><th>Name</th><td>{selected.name}</td></tr>}
+              <tr>
+                <th>Visible</th>
+                <td>
+                  <input type="checkbox" checked={selected.visible} onChange={(e) => edit(selected.id, 'visible', e.target.checked)} />
+                </td>
+              </tr>
+              <tr>
+                <th>Position</th>
+                <td><VectorInput value={selected.position} step={0.1} onChange={(value) => edit(selected.id, 'position', value)} /></td>
+              </tr>
+              <tr>
+                <th>Rotation °</th>
+                <td>
+                  <VectorInput
+                    value={toDegrees(selected.rotation)}
+                    step={5}
+                    onChange={(value) => edit(selected.id, 'rotation', toRadians(value))}
+                  />
+                </td>
+              </tr>
+              <tr>
+                <th>Scale</th>
+                <td><VectorInput value={selected.scale} step={0.1} onChange={(value) => edit(selected.id, 'scale', value)} /></td>
+              </tr>
+              {selected.light && (
+                <tr>
+                  <th>Intensity</th>
+                  <td>
+                    <NumberInput value={selected.light.intensity} step={0.1} min={0} onChange={(value) => edit(selected.id, 'light.intensity', value)} />
+                  </td>
+                </tr>
+              )}
+              {selected.camera && (
+                <tr>
+                  <th>FOV</th>
+                  <td>
+                    <NumberInput value={selected.camera.fov} step={1} min={1} max={179} onChange={(value) => edit(selected.id, 'camera.fov', value)} />
+                  </td>
+                </tr>
+              )}
+              {selected.geometry && (
+                <tr>
+                  <th>Geometry</th>
+                  <td>
+                    {selected.geometry.type}
+                    <div className={styles.sub}>
+                      {selected.geometry.vertices.toLocaleString()} vertices
+                      {selected.geometry.triangles > 0 && `, ${selected.geometry.triangles.toLocaleString()} triangles`}
+                      {selected.geometry.instances !== undefined && ` × ${selected.geometry.instances.toLocaleString()} instances`}
+                    </div>
+                  </td>
+                </tr>
+              )}
+              {selected.material && (
+                <>
+                  <tr>
+                    <th>Material</th>
+                    <td>
+                      {selected.material.type}
+                      {selected.material.name && ` "${selected.material.name}"`}
+                      {selected.material.count > 1 && <div className={styles.sub}>First of {selected.material.count}</div>}
+                    </td>
+                  </tr>
+                  {selected.material.color && (
+                    <tr>
+                      <th>Color</th>
+                      <td>
+                        <input
+                          type="color"
+                          className={styles.colorInput}
+                          value={selected.material.color}
+                          onChange={(e) => edit(selected.id, 'material.color', e.target.value)}
+                        />
+                        <span className={styles.sub}> {selected.material.color}</span>
+                      </td>
+                    </tr>
+                  )}
+                  {selected.material.roughness !== undefined && (
+                    <tr>
+                      <th>Roughness</th>
+                      <td>
+                        <NumberInput value={selected.material.roughness} step={0.05} min={0} max={1} onChange={(value) => edit(selected.id, 'material.roughness', value)} />
+                      </td>
+                    </tr>
+                  )}
+                  {selected.material.metalness !== undefined && (
+                    <tr>
+                      <th>Metalness</th>
+                      <td>
+                        <NumberInput value={selected.material.metalness} step={0.05} min={0} max={1} onChange={(value) => edit(selected.id, 'material.metalness', value)} />
+                      </td>
+                    </tr>
+                  )}
+                  {selected.material.wireframe !== undefined && (
+                    <tr>
+                      <th>Wireframe</th>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selected.material.wireframe}
+                          onChange={(e) => edit(selected.id, 'material.wireframe', e.target.checked)}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </>
+              )}
+              {selected.children.length > 0 && (
+                <tr><th>Subtree</th><td>{selected.children.length} children, {selected.vertices.toLocaleString()} vertices</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {editedCount > 0 && (
+        <div className={styles.editBar}>
+          <span>{editedCount} object{editedCount === 1 ? '' : 's'} edited</span>
+          <button
+            className={styles.writeButton}
+            onClick={handleWriteCode}
+            title="Add code that sets these values to the end of the entry module"
+          >
+            <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>code</span>
+            Write to code
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SceneInspector;
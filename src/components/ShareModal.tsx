@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import styles from './ShareModal.module.css';
+import {
+  SharePayload,
+  SAFE_URL_LENGTH,
+  MAX_LINK_ASSET_SIZE,
+  MAX_FILE_ASSET_SIZE,
+  createShareLink,
+  createShareFile,
+} from '../utils/sharePayload';
+import { formatBytes } from '../utils/moduleCache';
+
+export interface ShareBuild {
+  payload: SharePayload;
+  omitted: string[];   // asset paths too large to include
+}
+
+interface ShareModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  projectName: string;
+  buildPayload: (maxAssetSize: number) => Promise<ShareBuild>;
+}
+
+const ShareModal: React.FC<ShareModalProps> = ({ isOpen, onClose, projectName, buildPayload }) => {
+  const [link, setLink] = useState<string | null>(null);
+  const [omitted, setOmitted] = useState<string[]>([]);
+  const [assetCount, setAssetCount] = useState(0);
+  const [status, setStatus] = useState<string | null>(null);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    setLink(null);
+    setStatus(null);
+
+    buildPayload(MAX_LINK_ASSET_SIZE)
+      .then(({ payload, omitted }) => {
+        if (cancelled) return;
+        setLink(createShareLink(payload, `${window.location.origin}${window.location.pathname}`));
+        setOmitted(omitted);
+        setAssetCount(Object.keys(payload.assets ?? {}).length);
+      })
+      .catch((error) => {
+        console.error('Failed to create share link:', error);
+        if (!cancelled) setStatus('Failed to create share link');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, buildPayload]);
+
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && isOpen) {
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const isTooLong = link !== null && link.length > SAFE_URL_LENGTH;
+
+  const handleCopy = () => {
+    if (!link) return;
+    navigator.clipboard.writeText(link)
+      .then(() => setStatus('Link copied to clipboard'))
+      .catch(() => prompt('Copy this link to share:', link));
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const { payload, omitted } = await buildPayload(MAX_FILE_ASSET_SIZE);
+      const url = URL.createObjectURL(createShareFile(payload));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${projectName.replace(/[^\w.-]+/g, '-') || 'scene'}.share.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      setStatus(omitted.length > 0
+        ? `Share file saved without ${omitted.join(', ')} (over ${formatBytes(MAX_FILE_ASSET_SIZE)})`
+        : 'Share file saved - open it from Projects > Open file');
+    } catch (error) {
+      console.error('Failed to create share file:', error);
+      setStatus('Failed to create share file');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <>
+      <div className={styles.overlay} onClick={onClose} />
+      <div className={styles.modal}>
+        <div className={styles.header}>
+          <h2>Share Scene</h2>
+          <button className={styles.closeButton} onClick={onClose} title="Close">
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+        <div className={styles.content}>
+          <p className={styles.description}>
+            The link carries every file, the Three.js version, locked package versions, the editor layout
+            {assetCount > 0 ? ` and ${assetCount} asset${assetCount > 1 ? 's' : ''}` : ''}.
+          </p>
+          <div className={styles.linkRow}>
+            <input
+              className={styles.linkInput}
+              value={link ?? 'Preparing link...'}
+              readOnly
+              onFocus={(e) => e.target.select()}
+            />
+            <button className={styles.button} onClick={handleCopy} disabled={!link}>
+              <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>link</span>
+              Copy link
+            </button>
+          </div>
+          {link && (
+            <div className={styles.meta}>{link.length.toLocaleString()} characters</div>
+          )}
+
+          {isTooLong && (
+            <div className={styles.warning}>
+              <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>warning</span>
+              This link is longer than {SAFE_URL_LENGTH.toLocaleString()} characters. Some browsers, chat apps and
+              servers cut off long links - share it as a file instead.
+            </div>
+          )}
+          {omitted.length > 0 && (
+            <div className={styles.warning}>
+              <span className="material-symbols-outlined" style={{ fontSize: '18px' }}>info</span>
+              Too large for a link (over {formatBytes(MAX_LINK_ASSET_SIZE)}): {omitted.join(', ')}. The share file includes them.
+            </div>
+          )}
+
+          <div className={styles.fileRow}>
+            <button className={styles.button} onClick={handleDownload} disabled={isDownloading}>
+              <span className="material-symbols-outlined" style={{ fontSize: '16px' }}>download</span>
+              {isDownloading ? 'Preparing...' : 'Share as file'}
+            </button>
+            <span className={styles.meta}>A single .json file with the project and its assets</span>
+          </div>
+
+          {status && <div className={styles.status}>{status}</div>}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ShareModal;
@@ -27,7 +27,7 @@ const ShortcutsModal: React.FC<ShortcutsModalProps> = ({ isOpen, onClose }) => {
     { category: 'Editor', items: [
       { keys: `${modKey}+R`, description: 'Run code' },
       { keys: `${modKey}+Shift+R`, description: 'Reset to default code' },
-      { keys: `${modKey}+S`, description: 'Save (auto-saves to localStorage)' },
+      { keys: `${modKey}+S`, description: 'Add a save point to the project history' },
       { keys: `${modKey}+F`, description: 'Find in code' },
       { keys: `${modKey}+/`, description: 'Toggle line comment' },
     ]},
@@ -1,4 +1,5 @@
 import React from 'react';
+import { THREE_VERSIONS, getThreeRevision } from '../utils/threeVersions';
 
 interface StatusBarProps {
   onToggleSnippets: () => void;
@@ -7,14 +8,32 @@ interface StatusBarProps {
   isExporting: boolean;
   onShowShortcuts: () => void;
   onShowCheatsheet: () => void;
+  onShowPackageCache: () => void;
+  onShowDependencies: () => void;
+  projectName?: string;
+  onShowProjects: () => void;
+  onShowHistory: () => void;
+  onShowAssets: () => void;
+  threeVersion: string;
+  onThreeVersionChange: (version: string) => void;
   onToggleConsole: () => void;
   isConsoleOpen: boolean;
+  onToggleInspector: () => void;
+  isInspectorOpen: boolean;
+  onTogglePerfMonitor: () => void;
+  isPerfMonitorOn: boolean;
+  perfReadout: string | null;
+  onTogglePerfOverlay: () => void;
+  isPerfOverlayOpen: boolean;
+  onToggleParams: () => void;
+  isParamsOpen: boolean;
+  paramCount: number;
   onShareCode: () => void;
   onSendToFlowBoard?: () => void;
   isFlowBoardConnected?: boolean;
 }
 
-const StatusBar: React.FC<StatusBarProps> = ({ onToggleSnippets, isSnippetDrawerOpen, onExportCode, isExporting, onShowShortcuts, onShowCheatsheet, onToggleConsole, isConsoleOpen, onShareCode, onSendToFlowBoard, isFlowBoardConnected }) => {
+const StatusBar: React.FC<StatusBarProps> = ({ onToggleSnippets, isSnippetDrawerOpen, onExportCode, isExporting, onShowShortcuts, onShowCheatsheet, onShowPackageCache, onShowDependencies, projectName, onShowProjects, onShowHistory, onShowAssets, threeVersion, onThreeVersionChange, onToggleConsole, isConsoleOpen, onToggleInspector, isInspectorOpen, onTogglePerfMonitor, isPerfMonitorOn, perfReadout, onTogglePerfOverlay, isPerfOverlayOpen, onToggleParams, isParamsOpen, paramCount, onShareCode, onSendToFlowBoard, isFlowBoardConnected }) => {
   return (
     <div className="status-bar">
       <div style={{ display: 'flex', alignItems: 'center' }}>
@@ -32,6 +51,37 @@ const StatusBar: React.FC<StatusBarProps> = ({ onToggleSnippets, isSnippetDrawer
         >
           <span className="material-symbols-outlined">terminal</span>
         </button>
+        <button
+          className={`status-bar-button ${isInspectorOpen ? 'active' : ''}`}
+          onClick={onToggleInspector}
+          title="Scene Inspector"
+        >
+          <span className="material-symbols-outlined">account_tree</span>
+        </button>
+        <button
+          className={`status-bar-button ${isPerfMonitorOn ? 'active' : ''}`}
+          onClick={onTogglePerfMonitor}
+          title="Performance Monitor"
+        >
+          <span className="material-symbols-outlined">speed</span>
+        </button>
+        {isPerfMonitorOn && (
+          <button
+            className={`status-bar-button ${isPerfOverlayOpen ? 'active' : ''}`}
+            onClick={onTogglePerfOverlay}
+            title={isPerfOverlayOpen ? 'Hide performance overlay' : 'Show performance overlay'}
+            style={{ fontFamily: 'monospace', fontSize: '12px', minWidth: '120px' }}
+          >
+            {perfReadout ?? '-- fps'}
+          </button>
+        )}
+        <button
+          className={`status-bar-button ${isParamsOpen ? 'active' : ''}`}
+          onClick={onToggleParams}
+          title={paramCount > 0 ? `Scene Params (${paramCount})` : 'Scene Params'}
+        >
+          <span className="material-symbols-outlined">tune</span>
+        </button>
         <button
           className="status-bar-button"
           onClick={onShareCode}
@@ -95,6 +145,56 @@ const StatusBar: React.FC<StatusBarProps> = ({ onToggleSnippets, isSnippetDrawer
         </a>
       </div>
       <div style={{ display: 'flex', alignItems: 'center', marginLeft: 'auto', paddingRight: '8px' }}>
+        <button
+          className="status-bar-button"
+          onClick={onShowProjects}
+          title="Projects"
+          style={{ display: 'flex', alignItems: 'center', gap: '6px' }}
+        >
+          <span className="material-symbols-outlined">folder_open</span>
+          {projectName && <span style={{ fontSize: '13px', maxWidth: '160px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{projectName}</span>}
+        </button>
+        <button
+          className="status-bar-button"
+          onClick={onShowHistory}
+          title="History (snapshots and save points)"
+        >
+          <span className="material-symbols-outlined">history</span>
+        </button>
+        <button
+          className="status-bar-button"
+          onClick={onShowAssets}
+          title="Assets (models, textures, HDRs)"
+        >
+          <span className="material-symbols-outlined">perm_media</span>
+        </button>
+        <select
+          className="status-bar-select"
+          value={threeVersion}
+          onChange={(e) => onThreeVersionChange(e.target.value)}
+          title="Three.js version for this project"
+        >
+          {THREE_VERSIONS.map(({ version, label }) => (
+            <option key={version} value={version}>Three.js {label}</option>
+          ))}
+          {!THREE_VERSIONS.some(option => option.version === threeVersion) && (
+            <option value={threeVersion}>Three.js {getThreeRevision(threeVersion)}</option>
+          )}
+        </select>
+        <button
+          className="status-bar-button"
+          onClick={onShowDependencies}
+          title="Dependencies (locked versions)"
+        >
+          <span className="material-symbols-outlined">lock</span>
+        </button>
+        <button
+          className="status-bar-button"
+          onClick={onShowPackageCache}
+          title="Package Cache"
+        >
+          <span className="material-symbols-outlined">cloud_sync</span>
+        </button>
         <button
           className="status-bar-button"
           onClick={onShowCheatsheet}
@@ -3,3 +3,23 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// Node has no localStorage - an in-memory one for the utilities that keep
+// preferences and legacy projects in it
+if (typeof globalThis.localStorage === 'undefined') {
+  const items = new Map<string, string>();
+  globalThis.localStorage = {
+    get length() {
+      return items.size;
+    },
+    key: (index: number) => Array.from(items.keys())[index] ?? null,
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key: string) => {
+      items.delete(key);
+    },
+    clear: () => items.clear(),
+  };
+}
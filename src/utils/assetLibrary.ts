@@ -0,0 +1,65 @@
+/**
+ * Asset Library Utility
+ * A project's own asset files (models, textures, HDRs) stored in the project
+ * library database. The preview serves them at their paths, ahead of the
+ * app's public files.
+ */
+
+import { ProjectAssets, normalizeAssetPath } from './projectAssets';
+import { StoredAsset, ASSET_STORE_NAME, withLibraryStore, createAssetRecord, getAssetRecords } from './projectLibrary';
+import { normalizeFilePath } from './projectFiles';
+
+/**
+ * A project's assets, sorted by path
+ */
+export async function listAssets(projectId: string): Promise<StoredAsset[]> {
+  const assets = await getAssetRecords(projectId);
+  return assets.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * A project's assets as a path -> file map, for the preview and exports
+ */
+export async function getProjectAssets(projectId: string): Promise<ProjectAssets> {
+  const assets: ProjectAssets = {};
+  for (const asset of await getAssetRecords(projectId)) {
+    assets[asset.path] = asset.blob;
+  }
+  return assets;
+}
+
+/**
+ * Normalize a user-entered asset path
+ * @returns Normalized path, or null if the path is not usable
+ */
+export function normalizeAssetLibraryPath(path: string): string | null {
+  return normalizeFilePath(normalizeAssetPath(path.trim()));
+}
+
+/**
+ * Add an asset, replacing any file already at that path
+ */
+export async function putAsset(projectId: string, path: string, blob: Blob): Promise<void> {
+  await withLibraryStore(ASSET_STORE_NAME, 'readwrite', store => store.put(createAssetRecord(projectId, path, blob)));
+}
+
+export async function deleteAsset(projectId: string, path: string): Promise<void> {
+  await withLibraryStore(ASSET_STORE_NAME, 'readwrite', store => store.delete(`${projectId}/${path}`));
+}
+
+/**
+ * Move an asset to a new path
+ * @throws If another asset already uses the new path
+ */
+export async function renameAsset(projectId: string, path: string, newPath: string): Promise<void> {
+  const assets = await getAssetRecords(projectId);
+  const asset = assets.find(a => a.path === path);
+  if (!asset) {
+    throw new Error(`Asset not found: ${path}`);
+  }
+  if (assets.some(a => a.path === newPath)) {
+    throw new Error(`An asset already exists at ${newPath}`);
+  }
+  await putAsset(projectId, newPath, asset.blob);
+  await deleteAsset(projectId, path);
+}
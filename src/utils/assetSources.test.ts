@@ -0,0 +1,59 @@
+import {
+  DEFAULT_ASSET_SOURCES,
+  DEFAULT_DEV_SERVER_URL,
+  parseAssetSources,
+  moveAssetSource,
+  getActiveAssetSources,
+  isValidDevServerUrl,
+} from './assetSources';
+
+describe('parseAssetSources', () => {
+  test('falls back to the defaults', () => {
+    expect(parseAssetSources(null)).toEqual(DEFAULT_ASSET_SOURCES);
+    expect(parseAssetSources('project')).toEqual(DEFAULT_ASSET_SOURCES);
+  });
+
+  test('keeps the stored order and fills in missing sources', () => {
+    const sources = parseAssetSources([
+      { type: 'public', enabled: false },
+      { type: 'devServer', enabled: true, url: 'http://localhost:3000/' },
+      { type: 'devServer', enabled: false },
+      { type: 'unknown' },
+    ]);
+
+    expect(sources).toEqual([
+      { type: 'project', enabled: true },
+      { type: 'public', enabled: true },
+      { type: 'devServer', enabled: true, url: 'http://localhost:3000' },
+    ]);
+  });
+
+  test('replaces dev server URLs the preview cannot reach', () => {
+    const [, devServer] = parseAssetSources([
+      { type: 'project' },
+      { type: 'devServer', url: 'http://192.168.1.5:8080' },
+      { type: 'public' },
+    ]);
+
+    expect(devServer.url).toBe(DEFAULT_DEV_SERVER_URL);
+    expect(isValidDevServerUrl('https://assets.example.com/models')).toBe(true);
+    expect(isValidDevServerUrl('http://localhost:8080?x=1')).toBe(false);
+  });
+});
+
+describe('getActiveAssetSources', () => {
+  test('lists the enabled sources in priority order', () => {
+    const sources = moveAssetSource(
+      DEFAULT_ASSET_SOURCES.map(source => ({ ...source, enabled: true })),
+      'devServer',
+      -1
+    );
+
+    expect(getActiveAssetSources(sources)).toEqual([
+      { type: 'devServer', url: DEFAULT_DEV_SERVER_URL },
+      { type: 'project' },
+      { type: 'public' },
+    ]);
+    expect(getActiveAssetSources(DEFAULT_ASSET_SOURCES).map(source => source.type)).toEqual(['project', 'public']);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Asset Sources Utility
+ * The places the preview looks for asset files, in priority order: the
+ * project's own assets, a local dev server (e.g. `npx http-server` serving a
+ * models folder) and the IDE's bundled public files. The list is an IDE-wide
+ * preference kept in localStorage; the preview's asset resolver receives the
+ * enabled sources with every run.
+ */
+
+export type AssetSourceType = 'project' | 'devServer' | 'public';
+
+export interface AssetSource {
+  type: AssetSourceType;
+  enabled: boolean;
+  url?: string;       // devServer only
+}
+
+export const DEFAULT_DEV_SERVER_URL = 'http://localhost:8080';
+
+// The dev server is opt-in but ranks above the bundled files once enabled
+export const DEFAULT_ASSET_SOURCES: AssetSource[] = [
+  { type: 'project', enabled: true },
+  { type: 'devServer', enabled: false, url: DEFAULT_DEV_SERVER_URL },
+  { type: 'public', enabled: true },
+];
+
+export const ASSET_SOURCE_LABELS: Record<AssetSourceType, string> = {
+  project: 'Project assets',
+  devServer: 'Local dev server',
+  public: 'Bundled public files',
+};
+
+const ASSET_SOURCES_STORAGE_KEY = 'threejs-ide-asset-sources';
+
+/**
+ * Check a dev server URL: https, or http on localhost (what the preview's CSP
+ * lets it connect to), without a query or hash
+ */
+export function isValidDevServerUrl(url: string): boolean {
+  try {
+    const parsed = new URL(url);
+    const allowed = parsed.protocol === 'https:' || (parsed.protocol === 'http:' && parsed.hostname === 'localhost');
+    return allowed && !!parsed.host && !parsed.search && !parsed.hash;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Normalize a dev server URL: no trailing slash
+ */
+export function normalizeDevServerUrl(url: string): string {
+  return url.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Read a stored source list, keeping each known source once and adding any
+ * that are missing at their default position
+ */
+export function parseAssetSources(value: unknown): AssetSource[] {
+  if (!Array.isArray(value)) {
+    return DEFAULT_ASSET_SOURCES.map(source => ({ ...source }));
+  }
+
+  const sources: AssetSource[] = [];
+  for (const item of value) {
+    const type = item?.type as AssetSourceType;
+    if (!(type in ASSET_SOURCE_LABELS) || sources.some(source => source.type === type)) continue;
+
+    // The bundled files are where unresolved URLs go anyway, so they can't be turned off
+    const source: AssetSource = { type, enabled: type === 'public' || item.enabled !== false };
+    if (type === 'devServer') {
+      const url = typeof item.url === 'string' ? normalizeDevServerUrl(item.url) : '';
+      source.url = isValidDevServerUrl(url) ? url : DEFAULT_DEV_SERVER_URL;
+    }
+    sources.push(source);
+  }
+
+  DEFAULT_ASSET_SOURCES.forEach((defaultSource, index) => {
+    if (!sources.some(source => source.type === defaultSource.type)) {
+      sources.splice(Math.min(index, sources.length), 0, { ...defaultSource });
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Load the source list, or the defaults
+ */
+export function loadAssetSources(): AssetSource[] {
+  try {
+    const saved = localStorage.getItem(ASSET_SOURCES_STORAGE_KEY);
+    return parseAssetSources(saved ? JSON.parse(saved) : null);
+  } catch (error) {
+    return parseAssetSources(null);
+  }
+}
+
+export function saveAssetSources(sources: AssetSource[]): void {
+  localStorage.setItem(ASSET_SOURCES_STORAGE_KEY, JSON.stringify(sources));
+}
+
+/**
+ * Move a source up (-1) or down (+1) in the priority order
+ */
+export function moveAssetSource(sources: AssetSource[], type: AssetSourceType, offset: number): AssetSource[] {
+  const from = sources.findIndex(source => source.type === type);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= sources.length) return sources;
+
+  const moved = [...sources];
+  [moved[from], moved[to]] = [moved[to], moved[from]];
+  return moved;
+}
+
+/**
+ * The enabled sources, in order, as the preview's asset resolver expects them
+ */
+export function getActiveAssetSources(sources: AssetSource[]): Array<{ type: AssetSourceType; url?: string }> {
+  return sources
+    .filter(source => source.enabled)
+    .map(source => (source.type === 'devServer' ? { type: source.type, url: source.url } : { type: source.type }));
+}
@@ -0,0 +1,81 @@
+import { resolvePackageSpec, resolveImports, markUrlUnreachable, getResolutionSummary } from './cdnResolver';
+import { parseImports } from './importParser';
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// Serve HEAD requests from a set of hosts that are "up"
+function mockCdns(upHosts: string[]) {
+  const requested: string[] = [];
+  globalThis.fetch = (async (input: RequestInfo | URL) => {
+    const url = String(input);
+    requested.push(url);
+    if (!upHosts.includes(new URL(url).hostname)) {
+      throw new TypeError('Failed to fetch');
+    }
+    // jsDelivr's version API: every package's latest release is 2.0.0
+    return { ok: true, json: async () => ({ version: '2.0.0' }) } as Response;
+  }) as typeof fetch;
+  return requested;
+}
+
+describe('CDN fallback', () => {
+  test('uses the primary CDN when it responds', async () => {
+    mockCdns(['cdn.skypack.dev', 'unpkg.com', 'esm.sh']);
+
+    const resolved = await resolvePackageSpec('primary-ok@1.0.0');
+
+    expect(resolved.url).toBe('https://cdn.skypack.dev/primary-ok@1.0.0');
+    expect(resolved.cdn).toBe('skypack');
+    expect(resolved.failedCdns).toBeUndefined();
+  });
+
+  test('falls back through the chain and records the CDN used', async () => {
+    mockCdns(['esm.sh']);
+
+    const resolved = await resolvePackageSpec('needs-fallback');
+
+    expect(resolved.url).toBe('https://esm.sh/needs-fallback');
+    expect(resolved.cdn).toBe('esm.sh');
+    expect(resolved.failedCdns).toEqual(['skypack', 'unpkg']);
+    expect(getResolutionSummary([resolved])).toContain('needs-fallback@latest (esm.sh, skypack, unpkg unreachable)');
+  });
+
+  test('keeps the primary URL when no CDN is reachable', async () => {
+    mockCdns([]);
+
+    const resolved = await resolvePackageSpec('offline-pkg@2.0.0');
+
+    expect(resolved.url).toBe('https://cdn.skypack.dev/offline-pkg@2.0.0');
+    expect(resolved.failedCdns).toEqual(['skypack', 'unpkg', 'esm.sh']);
+  });
+
+  test('skips URLs the preview reported as failing', async () => {
+    const requested = mockCdns(['cdn.skypack.dev', 'unpkg.com', 'esm.sh']);
+
+    expect(markUrlUnreachable('https://cdn.skypack.dev/reported-pkg')).toBe(true);
+    expect(markUrlUnreachable('https://cdn.skypack.dev/reported-pkg')).toBe(false);
+    const resolved = await resolvePackageSpec('reported-pkg');
+
+    expect(resolved.cdn).toBe('unpkg');
+    expect(requested).toEqual(['https://unpkg.com/reported-pkg']);
+  });
+});
+
+describe('version lock', () => {
+  test('uses locked versions and pins unlocked packages to their latest release', async () => {
+    mockCdns(['cdn.skypack.dev', 'data.jsdelivr.com']);
+    const imports = parseImports("import gsap from 'locked-pkg';\nimport { ScrollTrigger } from 'new-pkg/ScrollTrigger';");
+
+    const resolved = await resolveImports(imports, undefined, undefined, { 'locked-pkg': '1.4.2' });
+
+    expect(resolved.map(r => r.url)).toEqual([
+      'https://cdn.skypack.dev/locked-pkg@1.4.2',
+      'https://cdn.skypack.dev/new-pkg@2.0.0/ScrollTrigger',
+    ]);
+    expect(resolved.every(r => r.lockable)).toBe(true);
+  });
+});
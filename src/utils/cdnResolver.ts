@@ -4,10 +4,14 @@
  */
 
 import { ImportStatement, normalizePackageName } from './importParser';
+import { DEFAULT_THREE_VERSION } from './threeVersions';
+import { VersionLock, getBasePackageName, resolveExactVersion } from './versionLock';
+
+export type CDNName = 'jsdelivr' | 'skypack' | 'unpkg' | 'esm.sh';
 
 export interface CDNConfig {
-  primary: 'jsdelivr' | 'skypack' | 'unpkg' | 'esm.sh';
-  fallbacks: Array<'jsdelivr' | 'skypack' | 'unpkg' | 'esm.sh'>;
+  primary: CDNName;
+  fallbacks: CDNName[];
 }
 
 export interface ResolvedImport {
@@ -16,6 +20,8 @@ export interface ResolvedImport {
   version: string;
   cdn: string;
   originalSource: string;
+  failedCdns?: string[];  // CDNs tried before `cdn` that were unreachable
+  lockable?: boolean;     // unversioned bare import - its exact version belongs in the lock
 }
 
 /**
@@ -28,6 +34,22 @@ export const DEFAULT_CDN_CONFIG: CDNConfig = {
   fallbacks: ['unpkg', 'esm.sh'],
 };
 
+/**
+ * How long a reachability check may take before the CDN counts as down
+ */
+const REACHABILITY_TIMEOUT = 4000;
+
+/**
+ * How long an unreachable URL is skipped before it's checked again
+ */
+const UNREACHABLE_TTL = 60 * 1000;
+
+/**
+ * Reachability per module URL, shared by every resolution in the session
+ * failedAt is set once a check fails (or the preview reports a load error)
+ */
+const reachability = new Map<string, { reachable: Promise<boolean>; failedAt?: number }>();
+
 /**
  * Packages that should always use the IDE's bundled version
  */
@@ -37,11 +59,15 @@ const BUNDLED_PACKAGES = new Set(['three', 'three/addons']);
  * Resolve a single import statement to a CDN URL
  * @param importStmt - Parsed import statement
  * @param config - CDN configuration
+ * @param threeVersion - The project's Three.js version
+ * @param lock - The project's locked package versions
  * @returns Resolved import with CDN URL
  */
 export async function resolveCDN(
   importStmt: ImportStatement,
-  config: CDNConfig = DEFAULT_CDN_CONFIG
+  config: CDNConfig = DEFAULT_CDN_CONFIG,
+  threeVersion: string = DEFAULT_THREE_VERSION,
+  lock: VersionLock = {}
 ): Promise<ResolvedImport> {
   const packageName = normalizePackageName(importStmt.source);
 
@@ -50,7 +76,7 @@ export async function resolveCDN(
     return {
       packageName: packageName,  // Use normalized package name, not original source
       url: '<use-existing-importmap>',
-      version: '0.157.0',
+      version: threeVersion,
       cdn: 'jsdelivr',
       originalSource: importStmt.source,
     };
@@ -61,8 +87,15 @@ export async function resolveCDN(
     return normalizeUrlImport(importStmt);
   }
 
-  // Resolve from CDN
-  return resolveFromCDN(importStmt.source, config, importStmt.version);
+  if (importStmt.version) {
+    return resolveFromCDN(importStmt.source, config, importStmt.version);
+  }
+
+  // Unversioned: use the locked version, or pin whatever 'latest' is right now
+  const basePackage = getBasePackageName(importStmt.source);
+  const version = lock[basePackage] || (await resolveExactVersion(basePackage)) || undefined;
+  const resolved = await resolveFromCDN(importStmt.source, config, version);
+  return { ...resolved, lockable: true };
 }
 
 /**
@@ -92,8 +125,46 @@ function detectCDN(url: string): string {
   return 'unknown';
 }
 
+/**
+ * Check whether a CDN serves a module URL
+ * Results are cached; failures expire after UNREACHABLE_TTL so a recovered CDN is used again.
+ */
+function isReachable(url: string): Promise<boolean> {
+  const cached = reachability.get(url);
+  if (cached && (cached.failedAt === undefined || Date.now() - cached.failedAt < UNREACHABLE_TTL)) {
+    return cached.reachable;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REACHABILITY_TIMEOUT);
+  const entry: { reachable: Promise<boolean>; failedAt?: number } = {
+    reachable: fetch(url, { method: 'HEAD', signal: controller.signal })
+      .then(response => response.ok)
+      .catch(() => false)
+      .then(ok => {
+        clearTimeout(timeoutId);
+        if (!ok) entry.failedAt = Date.now();
+        return ok;
+      }),
+  };
+
+  reachability.set(url, entry);
+  return entry.reachable;
+}
+
+/**
+ * Record a module URL that failed to load in the preview
+ * @returns true if the URL wasn't already known to be unreachable
+ */
+export function markUrlUnreachable(url: string): boolean {
+  const alreadyFailed = reachability.get(url)?.failedAt !== undefined;
+  reachability.set(url, { reachable: Promise.resolve(false), failedAt: Date.now() });
+  return !alreadyFailed;
+}
+
 /**
  * Resolve package from CDN
+ * Tries the primary CDN, then each fallback, and uses the first one that responds.
  */
 async function resolveFromCDN(
   packageName: string,
@@ -101,16 +172,32 @@ async function resolveFromCDN(
   requestedVersion?: string
 ): Promise<ResolvedImport> {
   const version = requestedVersion || 'latest';
+  const chain = [config.primary, ...config.fallbacks.filter(cdn => cdn !== config.primary)];
+  const failedCdns: string[] = [];
+
+  for (const cdn of chain) {
+    const url = buildCdnUrl(packageName, version, cdn);
+    if (await isReachable(url)) {
+      return {
+        packageName,
+        url,
+        version,
+        cdn,
+        originalSource: packageName,
+        ...(failedCdns.length > 0 && { failedCdns }),
+      };
+    }
+    failedCdns.push(cdn);
+  }
 
-  // Build URL based on primary CDN
-  const url = buildCdnUrl(packageName, version, config.primary);
-
+  // Nothing answered (probably offline) - keep the primary URL so the module cache can serve it
   return {
     packageName,
-    url,
+    url: buildCdnUrl(packageName, version, config.primary),
     version,
     cdn: config.primary,
     originalSource: packageName,
+    failedCdns,
   };
 }
 
@@ -118,39 +205,60 @@ async function resolveFromCDN(
  * Build CDN URL for package
  */
 function buildCdnUrl(packageName: string, version: string, cdn: string): string {
-  const versionStr = version === 'latest' ? '' : `@${version}`;
+  // The version follows the package, not the subpath: gsap@3.12.5/ScrollTrigger
+  const basePackage = getBasePackageName(packageName);
+  const subpath = packageName.slice(basePackage.length);
+  const spec = version === 'latest' ? packageName : `${basePackage}@${version}${subpath}`;
 
   switch (cdn) {
     case 'skypack':
-      return `https://cdn.skypack.dev/${packageName}${versionStr}`;
+      return `https://cdn.skypack.dev/${spec}`;
 
     case 'unpkg':
-      return `https://unpkg.com/${packageName}${versionStr}`;
+      return `https://unpkg.com/${spec}`;
 
     case 'jsdelivr':
-      return `https://cdn.jsdelivr.net/npm/${packageName}${versionStr}`;
+      return `https://cdn.jsdelivr.net/npm/${spec}`;
 
     case 'esm.sh':
-      return `https://esm.sh/${packageName}${versionStr}`;
+      return `https://esm.sh/${spec}`;
 
     default:
       // Default to Skypack
-      return `https://cdn.skypack.dev/${packageName}${versionStr}`;
+      return `https://cdn.skypack.dev/${spec}`;
   }
 }
 
+/**
+ * Resolve a package spec typed by the user, e.g. 'gsap' or 'gsap@3.12.2'
+ */
+export async function resolvePackageSpec(
+  spec: string,
+  config: CDNConfig = DEFAULT_CDN_CONFIG
+): Promise<ResolvedImport> {
+  // The version separator is the last '@' that isn't a scope prefix
+  const versionIndex = spec.lastIndexOf('@');
+  const hasVersion = versionIndex > 0;
+  const packageName = hasVersion ? spec.slice(0, versionIndex) : spec;
+  const version = hasVersion ? spec.slice(versionIndex + 1) : undefined;
+
+  return resolveFromCDN(packageName, config, version);
+}
+
 /**
  * Resolve multiple imports
  */
 export async function resolveImports(
   imports: ImportStatement[],
-  config: CDNConfig = DEFAULT_CDN_CONFIG
+  config: CDNConfig = DEFAULT_CDN_CONFIG,
+  threeVersion: string = DEFAULT_THREE_VERSION,
+  lock: VersionLock = {}
 ): Promise<ResolvedImport[]> {
   const resolved: ResolvedImport[] = [];
 
   for (const importStmt of imports) {
     try {
-      const resolvedImport = await resolveCDN(importStmt, config);
+      const resolvedImport = await resolveCDN(importStmt, config, threeVersion, lock);
       resolved.push(resolvedImport);
     } catch (error) {
       console.error(`Failed to resolve import: ${importStmt.source}`, error);
@@ -172,7 +280,10 @@ export async function resolveImports(
  * Check for version conflicts
  * Returns array of warnings for packages with conflicting versions
  */
-export function checkVersionConflicts(resolved: ResolvedImport[]): string[] {
+export function checkVersionConflicts(
+  resolved: ResolvedImport[],
+  threeVersion: string = DEFAULT_THREE_VERSION
+): string[] {
   const warnings: string[] = [];
   const packageVersions = new Map<string, Set<string>>();
 
@@ -195,10 +306,10 @@ export function checkVersionConflicts(resolved: ResolvedImport[]): string[] {
   // Special warning for Three.js version mismatch
   for (const resolvedImport of resolved) {
     if (resolvedImport.packageName === 'three' &&
-        resolvedImport.version !== '0.157.0' &&
+        resolvedImport.version !== threeVersion &&
         resolvedImport.version !== 'latest') {
       warnings.push(
-        `Three.js version mismatch: requested ${resolvedImport.version}, IDE uses 0.157.0`
+        `Three.js version mismatch: requested ${resolvedImport.version}, project uses ${threeVersion}`
       );
     }
   }
@@ -217,6 +328,10 @@ export function getResolutionSummary(resolved: ResolvedImport[]): string {
       lines.push(`  • ${res.packageName}@${res.version} (bundled)`);
     } else if (res.url === '<resolution-failed>') {
       lines.push(`  ✗ ${res.packageName} (failed to resolve)`);
+    } else if (res.failedCdns?.includes(res.cdn)) {
+      lines.push(`  ⚠ ${res.packageName}@${res.version} (${res.cdn}, no CDN reachable - cached copy only)`);
+    } else if (res.failedCdns && res.failedCdns.length > 0) {
+      lines.push(`  • ${res.packageName}@${res.version} (${res.cdn}, ${res.failedCdns.join(', ')} unreachable)`);
     } else {
       lines.push(`  • ${res.packageName}@${res.version} (${res.cdn})`);
     }
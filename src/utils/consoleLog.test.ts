@@ -0,0 +1,60 @@
+import {
+  ConsoleMessage,
+  appendConsoleMessages,
+  createConsoleLog,
+  getConsoleSearchPattern,
+  formatConsoleTimestamp,
+  formatConsoleLog,
+} from './consoleLog';
+
+let nextId = 0;
+const createMessage = (message: string, details: Partial<ConsoleMessage> = {}): ConsoleMessage => ({
+  id: ++nextId,
+  type: 'log',
+  message,
+  timestamp: new Date(2024, 0, 1, 9, 5, 3, 42),
+  ...details,
+});
+
+describe('consoleLog', () => {
+  it('counts repeated messages', () => {
+    const first = appendConsoleMessages(createConsoleLog(), [createMessage('frame'), createMessage('frame'), createMessage('frame')]);
+    expect(first.messages).toHaveLength(1);
+    expect(first.messages[0].count).toBe(3);
+
+    const next = appendConsoleMessages(first, [createMessage('frame', { type: 'warn' }), createMessage('frame', { depth: 1 })]);
+    expect(next.messages.map(message => [message.type, message.count ?? 1])).toEqual([['log', 3], ['warn', 1], ['log', 1]]);
+
+    const commands = appendConsoleMessages(createConsoleLog(), [createMessage('scene', { type: 'input' }), createMessage('scene', { type: 'input' })]);
+    expect(commands.messages).toHaveLength(2);
+    const groups = appendConsoleMessages(createConsoleLog(), [createMessage('Loop', { group: 'open' }), createMessage('Loop', { group: 'open' })]);
+    expect(groups.messages).toHaveLength(2);
+  });
+
+  it('drops the oldest messages past the limit, in place', () => {
+    const log = appendConsoleMessages(createConsoleLog(), ['a', 'b', 'c'].map(text => createMessage(text)), 3);
+    expect(log.trimmed).toBe(0);
+
+    const next = appendConsoleMessages(log, ['d', 'e'].map(text => createMessage(text)), 3);
+    expect(next).not.toBe(log);
+    expect(next.messages).toBe(log.messages);
+    expect(next.messages.map(message => message.message)).toEqual(['c', 'd', 'e']);
+    expect(next.trimmed).toBe(2);
+  });
+
+  it('searches as text or regular expression', () => {
+    expect(getConsoleSearchPattern('a.b', false)!.test('A.B')).toBe(true);
+    expect(getConsoleSearchPattern('a.b', false)!.test('axb')).toBe(false);
+    expect(getConsoleSearchPattern('^fps \\d+$', true)!.test('FPS 60')).toBe(true);
+    expect(getConsoleSearchPattern('(', true)).toBeNull();
+  });
+
+  it('formats timestamps and exported logs', () => {
+    expect(formatConsoleTimestamp(new Date(2024, 0, 1, 9, 5, 3, 42))).toBe('09:05:03.042');
+    const log = formatConsoleLog([
+      createMessage('Setup', { group: 'open' }),
+      createMessage('line 1\nline 2', { type: 'warn', depth: 1, count: 2 }),
+    ]);
+    expect(log).toBe('09:05:03.042 [log] Setup\n09:05:03.042 [warn]   line 1\n      line 2 (×2)\n');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Console Log Utility
+ * The console panel's message list: repeats of the last message are counted
+ * instead of added, the list is capped, and it can be searched, shown with
+ * timestamps and exported as text. The panel's display preferences are kept
+ * in localStorage.
+ */
+
+import { ConsoleLevel, ConsoleValue, ConsoleTable } from './consoleValues';
+
+export interface ConsoleMessage {
+  id: number;
+  type: ConsoleLevel | 'input' | 'result';   // input and result: console commands
+  message: string;
+  timestamp: Date;                   // of the latest repeat
+  args?: ConsoleValue[];
+  table?: ConsoleTable;              // console.table output, shown in place of args
+  depth?: number;                    // console.group nesting
+  group?: 'open' | 'collapsed';      // a console.group header and how it starts
+  timer?: boolean;                   // console.timeLog/timeEnd output
+  count?: number;                    // times the message repeated in a row
+}
+
+/**
+ * The console's messages. The list is appended to and trimmed in place, so
+ * an update doesn't copy it; each update makes a new ConsoleLog instead.
+ */
+export interface ConsoleLog {
+  messages: ConsoleMessage[];
+  trimmed: number;                   // messages dropped from the start so far
+}
+
+export interface ConsolePreferences {
+  preserveLog: boolean;      // keep messages when the project runs again
+  showTimestamps: boolean;
+}
+
+/**
+ * Oldest messages are dropped past this many
+ */
+export const CONSOLE_MESSAGE_LIMIT = 100000;
+
+const CONSOLE_PREFERENCES_STORAGE_KEY = 'threejs-ide-console-preferences';
+
+const DEFAULT_CONSOLE_PREFERENCES: ConsolePreferences = {
+  preserveLog: false,
+  showTimestamps: false,
+};
+
+// Group headers and commands always get their own line
+function isRepeat(previous: ConsoleMessage, message: ConsoleMessage): boolean {
+  return previous.type === message.type
+    && previous.message === message.message
+    && (previous.depth ?? 0) === (message.depth ?? 0)
+    && !previous.group && !message.group
+    && message.type !== 'input' && message.type !== 'result';
+}
+
+/**
+ * An empty log
+ */
+export function createConsoleLog(): ConsoleLog {
+  return { messages: [], trimmed: 0 };
+}
+
+/**
+ * Add messages to the log's list, counting repeats and dropping the oldest
+ * past the limit
+ */
+export function appendConsoleMessages(
+  log: ConsoleLog,
+  incoming: ConsoleMessage[],
+  limit = CONSOLE_MESSAGE_LIMIT
+): ConsoleLog {
+  const { messages } = log;
+  for (const message of incoming) {
+    const previous = messages[messages.length - 1];
+    if (previous && isRepeat(previous, message)) {
+      messages[messages.length - 1] = { ...previous, timestamp: message.timestamp, count: (previous.count ?? 1) + (message.count ?? 1) };
+    } else {
+      messages.push(message);
+    }
+  }
+  const excess = Math.max(messages.length - limit, 0);
+  if (excess > 0) messages.splice(0, excess);
+  return { messages, trimmed: log.trimmed + excess };
+}
+
+/**
+ * The pattern a search matches messages with, case-insensitive
+ * @returns null for an invalid regular expression
+ */
+export function getConsoleSearchPattern(query: string, isRegex: boolean): RegExp | null {
+  try {
+    return new RegExp(isRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Time of day with milliseconds, e.g. 14:03:27.512
+ */
+export function formatConsoleTimestamp(date: Date): string {
+  const pad = (value: number, length = 2) => String(value).padStart(length, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * The messages as a text file, one per line with group indentation
+ */
+export function formatConsoleLog(messages: ConsoleMessage[]): string {
+  return messages.map(message => {
+    const indent = '  '.repeat(message.depth ?? 0);
+    const repeats = message.count && message.count > 1 ? ` (×${message.count})` : '';
+    const text = message.message.split('\n').join(`\n${indent}    `);
+    return `${formatConsoleTimestamp(message.timestamp)} [${message.type}] ${indent}${text}${repeats}`;
+  }).join('\n') + '\n';
+}
+
+/**
+ * Load the console panel's preferences
+ */
+export function loadConsolePreferences(): ConsolePreferences {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONSOLE_PREFERENCES_STORAGE_KEY) ?? '{}');
+    return {
+      preserveLog: typeof saved.preserveLog === 'boolean' ? saved.preserveLog : DEFAULT_CONSOLE_PREFERENCES.preserveLog,
+      showTimestamps: typeof saved.showTimestamps === 'boolean' ? saved.showTimestamps : DEFAULT_CONSOLE_PREFERENCES.showTimestamps,
+    };
+  } catch (error) {
+    return { ...DEFAULT_CONSOLE_PREFERENCES };
+  }
+}
+
+/**
+ * Save the console panel's preferences
+ */
+export function saveConsolePreferences(preferences: ConsolePreferences): void {
+  localStorage.setItem(CONSOLE_PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+}
@@ -0,0 +1,55 @@
+import {
+  instrumentReplScope,
+  getModuleBindings,
+  getCompletionTarget,
+  filterCompletions,
+  addToReplHistory,
+} from './consoleRepl';
+
+describe('consoleRepl', () => {
+  it('registers a module evaluator after the imports without moving lines or columns', () => {
+    const hook = 'globalThis.__replScopes?.register("main.js", (__code) => eval(__code));';
+    const code = "import * as THREE from 'three'\nconst scene = new THREE.Scene();";
+    expect(instrumentReplScope(code, 'main.js')).toBe(`import * as THREE from 'three' ;${hook}\nconst scene = new THREE.Scene();`);
+  });
+
+  it('registers at the end when code shares the imports line, or there are no imports', () => {
+    const hook = 'globalThis.__replScopes?.register("main.js", (__code) => eval(__code));';
+    const sharedLine = "#!/usr/bin/env node\nimport * as THREE from 'three'; // engine\nconst scene = new THREE.Scene();";
+    expect(instrumentReplScope(sharedLine, 'main.js')).toBe(`${sharedLine}\n;${hook}\n`);
+    expect(instrumentReplScope('#!/usr/bin/env node\nconst a = 1;', 'main.js')).toBe(`#!/usr/bin/env node\nconst a = 1;\n;${hook}\n`);
+  });
+
+  it('finds top-level bindings', () => {
+    const code = [
+      "import * as THREE from 'three';",
+      "import { OrbitControls as Controls } from 'three/addons/controls/OrbitControls.js';",
+      'const scene = new THREE.Scene(), { width, height: h = 1, ...rest } = sizes;',
+      'let [camera, , renderer] = setup();',
+      'export function animate() { const inner = 1; }',
+      'class Planet {}',
+      'export default class {}',
+    ].join('\n');
+    expect(getModuleBindings(code)).toEqual(['THREE', 'Controls', 'scene', 'width', 'h', 'rest', 'camera', 'renderer', 'animate', 'Planet']);
+    expect(getModuleBindings('const = ;')).toEqual([]);
+  });
+
+  it('finds the name being completed', () => {
+    expect(getCompletionTarget('scen')).toEqual({ object: '', prefix: 'scen', start: 0 });
+    expect(getCompletionTarget('camera.position.se')).toEqual({ object: 'camera.position', prefix: 'se', start: 16 });
+    expect(getCompletionTarget('log(scene.')).toEqual({ object: 'scene', prefix: '', start: 10 });
+    expect(getCompletionTarget('foo().ba')).toBeNull();
+    expect(getCompletionTarget('1.5')).toBeNull();
+    expect(getCompletionTarget('a + ')).toBeNull();
+  });
+
+  it('filters completions and history', () => {
+    expect(filterCompletions(['_private', 'position', 'parent', 'position', 'p'], 'p')).toEqual(['parent', 'position']);
+    expect(filterCompletions(['_a', 'b', 'a'], '')).toEqual(['a', 'b', '_a']);
+
+    const history = addToReplHistory(['scene'], ' camera ');
+    expect(history).toEqual(['scene', 'camera']);
+    expect(addToReplHistory(history, 'camera')).toBe(history);
+    expect(addToReplHistory(history, '   ')).toBe(history);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Console REPL Utility
+ * The console's command line evaluates input inside a running module or the
+ * preview's global scope (see consoleRepl in public/preview.html). Module
+ * scope is reached through an evaluator each JS module registers after its
+ * imports while the console is open; completions combine the module's
+ * top-level bindings, found here, with the globals and properties the
+ * preview reports.
+ */
+
+import { ParsedNode, parseStrictModule } from './importParser';
+
+/**
+ * Global the preview's module evaluators register on
+ */
+export const REPL_SCOPES_GLOBAL = '__replScopes';
+
+const REPL_HISTORY_STORAGE_KEY = 'threejs-ide-repl-history';
+const MAX_HISTORY = 100;
+const MAX_COMPLETIONS = 50;
+
+export interface CompletionTarget {
+  object: string;   // property path to complete on, '' for scope bindings: 'camera.position'
+  prefix: string;   // the partial name typed after it
+  start: number;    // where the partial name starts in the input
+}
+
+/**
+ * Make a module's scope reachable from the console. The evaluator goes at
+ * the end of the line the module's imports finish on, or after the last line
+ * when there is other code there, so no line or column moves for stack
+ * traces and a hashbang stays first.
+ */
+export function instrumentReplScope(content: string, path: string): string {
+  const hook = `globalThis.${REPL_SCOPES_GLOBAL}?.register(${JSON.stringify(path)}, (__code) => eval(__code));`;
+  const insertAt = getImportsLineEnd(content);
+  return insertAt === null
+    ? `${content}\n;${hook}\n`
+    : `${content.slice(0, insertAt)} ;${hook}${content.slice(insertAt)}`;
+}
+
+/**
+ * End of the line the leading imports finish on
+ * @returns null if there are no leading imports, other code follows them on
+ *          that line, or the code doesn't parse
+ */
+function getImportsLineEnd(code: string): number | null {
+  const ast = parseStrictModule(code);
+  if (!ast) return null;
+
+  let end = -1;
+  for (const node of ast.body as ParsedNode[]) {
+    if (node.type !== 'ImportDeclaration') break;
+    end = node.end;
+  }
+  if (end < 0) return null;
+  const lineEnd = code.slice(end).search(/\r?\n|$/) + end;
+  return code.slice(end, lineEnd).trim() ? null : lineEnd;
+}
+
+function collectPatternNames(pattern: ParsedNode | null, names: string[]): void {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach((property: ParsedNode) => collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names));
+      break;
+    case 'ArrayPattern':
+      pattern.elements.forEach((element: ParsedNode | null) => collectPatternNames(element, names));
+      break;
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names);
+      break;
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names);
+      break;
+  }
+}
+
+/**
+ * Names a module declares at its top level - imports, variables, functions
+ * and classes
+ * @returns an empty list if the code doesn't parse
+ */
+export function getModuleBindings(code: string): string[] {
+  const ast = parseStrictModule(code);
+  if (!ast) return [];
+
+  const names: string[] = [];
+  const collect = (node: ParsedNode | null) => {
+    if (!node) return;
+    if (node.type === 'ImportDeclaration') {
+      node.specifiers.forEach((specifier: ParsedNode) => names.push(specifier.local.name));
+    } else if (node.type === 'VariableDeclaration') {
+      node.declarations.forEach((declaration: ParsedNode) => collectPatternNames(declaration.id, names));
+    } else if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+      names.push(node.id.name);
+    } else if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') {
+      collect(node.declaration);
+    }
+  };
+  ast.body.forEach(collect);
+  return Array.from(new Set(names));
+}
+
+/**
+ * The name being typed at the end of the input, e.g. `camera.position.se`
+ * @returns null if the input doesn't end in a name or property access
+ */
+export function getCompletionTarget(input: string): CompletionTarget | null {
+  const match = input.match(/(?:^|[^\w$.])((?:[A-Za-z_$][\w$]*\.)*)([A-Za-z_$][\w$]*)?$/);
+  if (!match) return null;
+  const object = match[1].slice(0, -1);
+  const prefix = match[2] ?? '';
+  if (!object && !prefix) return null;
+  return { object, prefix, start: input.length - prefix.length };
+}
+
+/**
+ * The completions for a partial name, private (_-prefixed) names last
+ */
+export function filterCompletions(names: string[], prefix: string): string[] {
+  return Array.from(new Set(names))
+    .filter(name => name.startsWith(prefix) && name !== prefix)
+    .sort((a, b) => Number(a.startsWith('_')) - Number(b.startsWith('_')) || a.localeCompare(b))
+    .slice(0, MAX_COMPLETIONS);
+}
+
+/**
+ * Add a command to the history, skipping repeats of the last one
+ */
+export function addToReplHistory(history: string[], command: string): string[] {
+  const trimmed = command.trim();
+  if (!trimmed || history[history.length - 1] === trimmed) return history;
+  return [...history, trimmed].slice(-MAX_HISTORY);
+}
+
+/**
+ * Load the command history
+ */
+export function loadReplHistory(): string[] {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REPL_HISTORY_STORAGE_KEY) ?? '[]');
+    return Array.isArray(saved) ? saved.filter((command): command is string => typeof command === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Save the command history
+ */
+export function saveReplHistory(history: string[]): void {
+  localStorage.setItem(REPL_HISTORY_STORAGE_KEY, JSON.stringify(history));
+}
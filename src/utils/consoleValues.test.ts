@@ -0,0 +1,94 @@
+import {
+  ConsoleValue,
+  ConsoleTable,
+  formatConsoleValue,
+  getConsoleValueText,
+  getConsoleTableText,
+  isExpandableConsoleValue,
+} from './consoleValues';
+
+const num = (value: number): ConsoleValue => ({ type: 'number', value: String(value) });
+
+const vector: ConsoleValue = {
+  type: 'object',
+  subtype: 'three',
+  className: 'Vector3',
+  summary: 'Vector3 (1, 2, 3)',
+  entries: [{ key: 'x', value: num(1) }, { key: 'y', value: num(2) }, { key: 'z', value: num(3) }],
+};
+
+describe('consoleValues', () => {
+  it('formats primitives, quoting nested strings', () => {
+    const text: ConsoleValue = { type: 'string', value: 'hello' };
+    expect(formatConsoleValue(text)).toBe('hello');
+    expect(formatConsoleValue(text, true)).toBe('"hello"');
+    expect(formatConsoleValue({ type: 'string', value: 'abc', truncated: 20000 })).toBe('abc…');
+    expect(formatConsoleValue({ type: 'bigint', value: '12' })).toBe('12n');
+    expect(formatConsoleValue({ type: 'function', name: '' })).toBe('ƒ anonymous()');
+    expect(formatConsoleValue({ type: 'circular', className: 'Scene' })).toBe('[Circular Scene]');
+  });
+
+  it('previews objects, arrays and maps on one line', () => {
+    const mesh: ConsoleValue = {
+      type: 'object',
+      subtype: 'three',
+      className: 'Mesh',
+      entries: [
+        { key: 'name', value: { type: 'string', value: 'box' } },
+        { key: 'position', value: vector },
+        { key: 'children', value: { type: 'object', subtype: 'array', className: 'Array', size: 0, entries: [] } },
+      ],
+    };
+    expect(formatConsoleValue(mesh)).toBe('Mesh {name: "box", position: Vector3 (1, 2, 3), children: Array(0)}');
+
+    const list: ConsoleValue = {
+      type: 'object',
+      subtype: 'array',
+      className: 'Array',
+      size: 300,
+      entries: [1, 2, 3, 4, 5, 6].map((n, i) => ({ key: String(i), value: num(n) })),
+      more: 294,
+    };
+    expect(formatConsoleValue(list)).toBe('[1, 2, 3, 4, 5, …]');
+
+    const map: ConsoleValue = {
+      type: 'object',
+      subtype: 'map',
+      className: 'Map',
+      size: 1,
+      entries: [{ key: '"speed"', value: num(2) }],
+    };
+    expect(formatConsoleValue(map)).toBe('Map(1) {"speed" => 2}');
+    expect(formatConsoleValue({ type: 'object', className: 'Object' })).toBe('Object {…}');
+  });
+
+  it('knows which values expand', () => {
+    expect(isExpandableConsoleValue(vector)).toBe(true);
+    expect(isExpandableConsoleValue({ type: 'object', className: 'Object' })).toBe(false);
+    expect(isExpandableConsoleValue({ type: 'error', name: 'Error', message: 'boom', stack: 'at x' })).toBe(true);
+    expect(isExpandableConsoleValue(num(1))).toBe(false);
+  });
+
+  it('builds message text with error stacks', () => {
+    const values: ConsoleValue[] = [
+      { type: 'string', value: 'Failed:' },
+      { type: 'error', name: 'TypeError', message: 'x is undefined', stack: '    at animate (main.js:3:1)' },
+    ];
+    expect(getConsoleValueText(values)).toBe('Failed: TypeError: x is undefined\n    at animate (main.js:3:1)');
+
+    const v8: ConsoleValue = { type: 'error', name: 'Error', message: 'boom', stack: 'Error: boom\n    at main.js:1:1' };
+    expect(getConsoleValueText([v8])).toBe('Error: boom\n    at main.js:1:1');
+  });
+
+  it('builds table text', () => {
+    const table: ConsoleTable = {
+      columns: ['name', 'Value'],
+      rows: [
+        { key: '0', cells: [{ type: 'string', value: 'box' }, null] },
+        { key: '1', cells: [null, num(5)] },
+      ],
+      more: 3,
+    };
+    expect(getConsoleTableText(table)).toBe('(index)\tname\tValue\n0\t"box"\t\n1\t\t5\n… 3 more');
+  });
+});
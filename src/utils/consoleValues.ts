@@ -0,0 +1,139 @@
+/**
+ * Console Values Utility
+ * The structured form console arguments are sent in by the preview (see
+ * consoleSerializer in public/preview.html). Objects are serialized a few
+ * levels deep, with cycles marked, long strings and collections cut, and
+ * Three.js math types, buffer attributes and Object3Ds summarized, so the
+ * console panel can show them as collapsible trees. console.table data
+ * arrives as rows of those values.
+ */
+
+export type ConsoleLevel = 'log' | 'info' | 'debug' | 'warn' | 'error';
+
+export type ConsoleValue =
+  | { type: 'string'; value: string; truncated?: number }   // truncated: the original length
+  | { type: 'number'; value: string }                       // String(n), keeps NaN, Infinity and -0
+  | { type: 'bigint'; value: string }
+  | { type: 'boolean'; value: boolean }
+  | { type: 'symbol'; value: string }
+  | { type: 'undefined' }
+  | { type: 'null' }
+  | { type: 'function'; name: string }
+  | { type: 'error'; name: string; message: string; stack?: string }
+  | { type: 'circular'; className: string }
+  | ConsoleObject;
+
+export interface ConsoleObject {
+  type: 'object';
+  subtype?: 'array' | 'typedarray' | 'map' | 'set' | 'three' | 'element' | 'date' | 'regexp';
+  className: string;       // 'Object', 'Float32Array', 'Mesh'
+  summary?: string;        // shown in place of an entry preview: 'Vector3 (1, 2, 3)'
+  size?: number;           // length of arrays, typed arrays, maps and sets
+  entries?: ConsoleEntry[];   // missing past the depth limit
+  more?: number;           // entries left out
+}
+
+export interface ConsoleEntry {
+  key: string;
+  value: ConsoleValue;
+}
+
+export interface ConsoleTable {
+  columns: string[];   // a final 'Value' column holds entries that aren't objects
+  rows: { key: string; cells: (ConsoleValue | null)[] }[];   // null: the entry has no such property
+  more?: number;       // rows left out
+}
+
+// Entries shown in a collapsed object's one-line preview
+const PREVIEW_ENTRIES = 5;
+
+/**
+ * Whether a value has anything to show when expanded
+ */
+export function isExpandableConsoleValue(value: ConsoleValue): boolean {
+  if (value.type === 'error') return !!value.stack;
+  return value.type === 'object' && !!value.entries && (value.entries.length > 0 || !!value.more);
+}
+
+/**
+ * The header of an object: class name and size, e.g. "Array(3)"
+ */
+export function getConsoleObjectLabel(value: ConsoleObject): string {
+  return value.size !== undefined ? `${value.className}(${value.size})` : value.className;
+}
+
+function formatPreview(value: ConsoleObject): string {
+  if (value.summary !== undefined) return value.summary;
+  if (!value.entries) return value.subtype === 'array' ? getConsoleObjectLabel(value) : `${getConsoleObjectLabel(value)} {…}`;
+
+  const shown = value.entries.slice(0, PREVIEW_ENTRIES);
+  const hidden = value.entries.length - shown.length + (value.more ?? 0);
+  const isList = value.subtype === 'array' || value.subtype === 'typedarray' || value.subtype === 'set';
+  const items = shown.map(({ key, value: entry }) => {
+    const text = entry.type === 'object' ? (entry.summary ?? getConsoleObjectLabel(entry)) : formatConsoleValue(entry, true);
+    if (isList) return text;
+    return value.subtype === 'map' ? `${key} => ${text}` : `${key}: ${text}`;
+  });
+  if (hidden > 0) items.push('…');
+
+  if (value.subtype === 'array') {
+    return `${value.className === 'Array' ? '' : value.className + ' '}[${items.join(', ')}]`;
+  }
+  const prefix = value.className === 'Object' ? '' : getConsoleObjectLabel(value) + ' ';
+  return `${prefix}{${items.join(', ')}}`;
+}
+
+/**
+ * One-line text for a value
+ * @param nested - Quote strings, as inside objects; top-level strings print as-is like console.log
+ */
+export function formatConsoleValue(value: ConsoleValue, nested = false): string {
+  switch (value.type) {
+    case 'string': {
+      const text = value.truncated ? `${value.value}…` : value.value;
+      return nested ? JSON.stringify(text) : text;
+    }
+    case 'number':
+    case 'symbol':
+      return value.value;
+    case 'bigint':
+      return `${value.value}n`;
+    case 'boolean':
+      return String(value.value);
+    case 'undefined':
+    case 'null':
+      return value.type;
+    case 'function':
+      return `ƒ ${value.name || 'anonymous'}()`;
+    case 'error':
+      return value.message ? `${value.name}: ${value.message}` : value.name;
+    case 'circular':
+      return `[Circular ${value.className}]`;
+    case 'object':
+      return formatPreview(value);
+  }
+}
+
+/**
+ * Plain text of a console message's arguments, with error stacks
+ */
+export function getConsoleValueText(values: ConsoleValue[]): string {
+  return values.map(value => {
+    const text = formatConsoleValue(value);
+    if (value.type !== 'error' || !value.stack) return text;
+    // V8 stacks start with the message, Firefox and Safari stacks don't
+    return value.stack.startsWith(text) ? value.stack : `${text}\n${value.stack}`;
+  }).join(' ');
+}
+
+/**
+ * Plain text of a console.table, tab separated
+ */
+export function getConsoleTableText(table: ConsoleTable): string {
+  const lines = [
+    ['(index)', ...table.columns].join('\t'),
+    ...table.rows.map(row => [row.key, ...row.cells.map(cell => cell ? formatConsoleValue(cell, true) : '')].join('\t')),
+  ];
+  if (table.more) lines.push(`… ${table.more} more`);
+  return lines.join('\n');
+}
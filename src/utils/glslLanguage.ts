@@ -0,0 +1,146 @@
+/**
+ * GLSL Language Utility
+ * Monaco has no GLSL support: this registers a Monarch tokenizer for GLSL
+ * files and extends the JavaScript tokenizer to highlight GLSL inside
+ * template literals that follow a `glsl` block comment or are assigned to a
+ * vertex/fragment shader (`fragmentShader:`, `material.vertexShader =`,
+ * `const inkFragmentShader =`).
+ */
+
+import type * as Monaco from 'monaco-editor';
+
+export const GLSL_LANGUAGE_ID = 'glsl';
+
+const glslConfiguration: Monaco.languages.LanguageConfiguration = {
+  comments: { lineComment: '//', blockComment: ['/*', '*/'] },
+  brackets: [['{', '}'], ['[', ']'], ['(', ')']],
+  autoClosingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+  ],
+  surroundingPairs: [
+    { open: '{', close: '}' },
+    { open: '[', close: ']' },
+    { open: '(', close: ')' },
+  ],
+};
+
+const glslLanguage: Monaco.languages.IMonarchLanguage = {
+  tokenPostfix: '.glsl',
+  keywords: [
+    'attribute', 'break', 'case', 'centroid', 'const', 'continue', 'default', 'discard', 'do', 'else',
+    'false', 'flat', 'for', 'highp', 'if', 'in', 'inout', 'invariant', 'layout', 'lowp', 'mediump',
+    'out', 'precision', 'return', 'smooth', 'struct', 'switch', 'true', 'uniform', 'varying', 'while',
+  ],
+  types: [
+    'void', 'bool', 'int', 'uint', 'float',
+    'vec2', 'vec3', 'vec4', 'bvec2', 'bvec3', 'bvec4', 'ivec2', 'ivec3', 'ivec4', 'uvec2', 'uvec3', 'uvec4',
+    'mat2', 'mat3', 'mat4', 'mat2x2', 'mat2x3', 'mat2x4', 'mat3x2', 'mat3x3', 'mat3x4', 'mat4x2', 'mat4x3', 'mat4x4',
+    'sampler2D', 'sampler3D', 'samplerCube', 'sampler2DShadow', 'samplerCubeShadow', 'sampler2DArray',
+    'sampler2DArrayShadow', 'isampler2D', 'isampler3D', 'isamplerCube', 'isampler2DArray',
+    'usampler2D', 'usampler3D', 'usamplerCube', 'usampler2DArray',
+  ],
+  builtins: [
+    'radians', 'degrees', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh', 'asinh',
+    'acosh', 'atanh', 'pow', 'exp', 'log', 'exp2', 'log2', 'sqrt', 'inversesqrt', 'abs', 'sign', 'floor',
+    'trunc', 'round', 'roundEven', 'ceil', 'fract', 'mod', 'modf', 'min', 'max', 'clamp', 'mix', 'step',
+    'smoothstep', 'isnan', 'isinf', 'floatBitsToInt', 'floatBitsToUint', 'intBitsToFloat', 'uintBitsToFloat',
+    'packSnorm2x16', 'unpackSnorm2x16', 'packUnorm2x16', 'unpackUnorm2x16', 'packHalf2x16', 'unpackHalf2x16',
+    'length', 'distance', 'dot', 'cross', 'normalize', 'faceforward', 'reflect', 'refract', 'matrixCompMult',
+    'outerProduct', 'transpose', 'determinant', 'inverse', 'lessThan', 'lessThanEqual', 'greaterThan',
+    'greaterThanEqual', 'equal', 'notEqual', 'any', 'all', 'not', 'texture', 'textureProj', 'textureLod',
+    'textureOffset', 'texelFetch', 'texelFetchOffset', 'textureGrad', 'textureSize', 'texture2D',
+    'texture2DProj', 'texture2DLod', 'textureCube', 'textureCubeLod', 'dFdx', 'dFdy', 'fwidth',
+    'gl_Position', 'gl_PointSize', 'gl_FragCoord', 'gl_FrontFacing', 'gl_FragColor', 'gl_FragData',
+    'gl_PointCoord', 'gl_FragDepth', 'gl_VertexID', 'gl_InstanceID',
+  ],
+  operators: [
+    '=', '>', '<', '!', '~', '?', ':', '==', '<=', '>=', '!=', '&&', '||', '^^', '++', '--', '+', '-', '*',
+    '/', '&', '|', '^', '%', '<<', '>>', '+=', '-=', '*=', '/=', '&=', '|=', '^=', '%=', '<<=', '>>=',
+  ],
+  symbols: /[=><!~?:&|+\-*/^%]+/,
+  tokenizer: {
+    root: [
+      [/^\s*#\s*\w+/, 'keyword.directive'],
+      [/[a-zA-Z_]\w*/, {
+        cases: {
+          '@keywords': 'keyword',
+          '@types': 'type',
+          '@builtins': 'variable.predefined',
+          '@default': 'identifier',
+        },
+      }],
+      { include: '@whitespace' },
+      [/[{}()[\]]/, '@brackets'],
+      [/@symbols/, { cases: { '@operators': 'operator', '@default': '' } }],
+      [/\d*\.\d+([eE][-+]?\d+)?[fF]?/, 'number.float'],
+      [/\d+\.\d*([eE][-+]?\d+)?[fF]?/, 'number.float'],
+      [/\d+[eE][-+]?\d+[fF]?/, 'number.float'],
+      [/0[xX][0-9a-fA-F]+[uU]?/, 'number.hex'],
+      [/\d+[uU]?/, 'number'],
+      [/[;,.]/, 'delimiter'],
+    ],
+    whitespace: [
+      [/[ \t\r\n]+/, ''],
+      [/\/\*/, 'comment', '@comment'],
+      [/\/\/.*$/, 'comment'],
+    ],
+    comment: [
+      [/[^/*]+/, 'comment'],
+      [/\*\//, 'comment', '@pop'],
+      [/[/*]/, 'comment'],
+    ],
+  },
+};
+
+/**
+ * Register the GLSL language (once per Monaco instance)
+ */
+export function registerGlslLanguage(monaco: typeof Monaco): void {
+  if (monaco.languages.getLanguages().some(language => language.id === GLSL_LANGUAGE_ID)) return;
+
+  monaco.languages.register({ id: GLSL_LANGUAGE_ID, extensions: ['.glsl', '.vert', '.frag', '.vs', '.fs'] });
+  monaco.languages.setLanguageConfiguration(GLSL_LANGUAGE_ID, glslConfiguration);
+  monaco.languages.setMonarchTokensProvider(GLSL_LANGUAGE_ID, glslLanguage);
+}
+
+// Monaco's built-in languages are registered with a loader for their Monarch definition
+type LazyLanguage = Monaco.languages.ILanguageExtensionPoint & {
+  loader?: () => Promise<{ language: Monaco.languages.IMonarchLanguage }>;
+};
+
+const GLSL_TEMPLATE_START = { token: 'string', next: '@glslTemplate', nextEmbedded: GLSL_LANGUAGE_ID };
+
+/**
+ * Highlight GLSL template literals in JavaScript. Resolves without changes
+ * if Monaco's JavaScript definition can't be loaded.
+ */
+export async function embedGlslInJavaScript(monaco: typeof Monaco): Promise<void> {
+  const javascript = monaco.languages.getLanguages().find(language => language.id === 'javascript') as LazyLanguage | undefined;
+  if (!javascript?.loader) return;
+
+  const { language } = await javascript.loader();
+  const { tokenizer } = language;
+  if (!tokenizer.common) return;
+
+  monaco.languages.setMonarchTokensProvider('javascript', {
+    ...language,
+    tokenizer: {
+      ...tokenizer,
+      common: [
+        [/(\/\*\s*glsl\s*\*\/)(\s*)(`)/, ['comment', '', GLSL_TEMPLATE_START]],
+        [/([\w$]*(?:[vV]ertex|[fF]ragment)Shader)(\s*[:=]\s*)(`)/, ['identifier', 'delimiter', GLSL_TEMPLATE_START]],
+        ...tokenizer.common,
+      ],
+      // The closing backtick is handed back to JavaScript
+      glslTemplate: [
+        [/`/, { token: '@rematch', switchTo: '@glslTemplateEnd', nextEmbedded: '@pop' }],
+        [/[^`]+/, ''],
+      ],
+      glslTemplateEnd: [
+        [/`/, 'string', '@pop'],
+      ],
+    },
+  });
+}
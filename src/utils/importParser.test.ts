@@ -0,0 +1,178 @@
+import { parseImports, replaceImportSources, normalizePackageName } from './importParser';
+
+describe('parseImports', () => {
+  test('parses namespace, named, default and side-effect imports', () => {
+    const code = [
+      "import * as THREE from 'three';",
+      "import { OrbitControls, GLTFLoader as Loader } from 'three/addons/controls/OrbitControls.js';",
+      "import gsap from 'gsap';",
+      "import 'side-effect';",
+    ].join('\n');
+
+    const imports = parseImports(code);
+
+    expect(imports.map(imp => [imp.source, imp.type])).toEqual([
+      ['three', 'namespace'],
+      ['three/addons/controls/OrbitControls.js', 'named'],
+      ['gsap', 'default'],
+      ['side-effect', 'side-effect'],
+    ]);
+    expect(imports[0].bindings).toEqual([{ imported: '*', local: 'THREE' }]);
+    expect(imports[1].bindings).toEqual([
+      { imported: 'OrbitControls', local: 'OrbitControls' },
+      { imported: 'GLTFLoader', local: 'Loader' },
+    ]);
+    expect(imports[1].specifiers).toEqual(['OrbitControls', 'Loader']);
+    expect(imports[3].bindings).toEqual([]);
+  });
+
+  test('parses default combined with named and namespace imports', () => {
+    const imports = parseImports([
+      "import Default, { named } from 'a';",
+      "import Other, * as ns from 'b';",
+    ].join('\n'));
+
+    expect(imports[0].bindings).toEqual([
+      { imported: 'default', local: 'Default' },
+      { imported: 'named', local: 'named' },
+    ]);
+    expect(imports[0].type).toBe('named');
+    expect(imports[1].bindings).toEqual([
+      { imported: 'default', local: 'Other' },
+      { imported: '*', local: 'ns' },
+    ]);
+    expect(imports[1].type).toBe('namespace');
+  });
+
+  test('parses multi-line imports', () => {
+    const code = `import {
+  Scene,
+  PerspectiveCamera,
+  WebGLRenderer
+} from 'three';`;
+
+    const [imp] = parseImports(code);
+
+    expect(imp.source).toBe('three');
+    expect(imp.specifiers).toEqual(['Scene', 'PerspectiveCamera', 'WebGLRenderer']);
+    expect(imp.rawStatement).toBe(code);
+  });
+
+  test('parses every export-from form', () => {
+    const imports = parseImports([
+      "export * from './all.js';",
+      "export * as helpers from './helpers.js';",
+      "export { makePlanet, orbit as makeOrbit } from './planets.js';",
+      "export { default } from './scene.js';",
+      'export const notAnImport = 1;',
+    ].join('\n'));
+
+    expect(imports.map(imp => [imp.kind, imp.source])).toEqual([
+      ['export', './all.js'],
+      ['export', './helpers.js'],
+      ['export', './planets.js'],
+      ['export', './scene.js'],
+    ]);
+    expect(imports[0].bindings).toEqual([]);
+    expect(imports[1].bindings).toEqual([{ imported: '*', local: 'helpers' }]);
+    expect(imports[2].bindings).toEqual([
+      { imported: 'makePlanet', local: 'makePlanet' },
+      { imported: 'orbit', local: 'makeOrbit' },
+    ]);
+    expect(imports[3].bindings).toEqual([{ imported: 'default', local: 'default' }]);
+  });
+
+  test('parses dynamic imports with static specifiers only', () => {
+    const code = [
+      "const gui = await import('lil-gui');",
+      'const mod = await import(`./module.js`);',
+      'const lazy = await import(moduleName);',
+      "button.onclick = () => import('gsap').then(m => m.default);",
+    ].join('\n');
+
+    const imports = parseImports(code);
+
+    expect(imports.map(imp => [imp.kind, imp.source, imp.type])).toEqual([
+      ['dynamic', 'lil-gui', 'dynamic'],
+      ['dynamic', './module.js', 'dynamic'],
+      ['dynamic', 'gsap', 'dynamic'],
+    ]);
+    expect(imports[0].rawStatement).toBe("import('lil-gui')");
+  });
+
+  test('ignores import-like text in strings, templates and comments', () => {
+    const code = [
+      "import * as THREE from 'three';",
+      "const url = 'https://example.com/import x from \"fake\"'; // import y from 'comment'",
+      'const doc = `import z from "template"`;',
+      "/* import w from 'block-comment'; */",
+      "import gsap from 'gsap';",
+    ].join('\n');
+
+    expect(parseImports(code).map(imp => imp.source)).toEqual(['three', 'gsap']);
+  });
+
+  test('returns exact source ranges and line numbers', () => {
+    const code = "// header\nimport * as THREE from 'three';\n\nexport { a } from \"./a.js\";\nimport('./b.js');";
+
+    const imports = parseImports(code);
+
+    for (const imp of imports) {
+      expect(code.slice(imp.range.start, imp.range.end)).toBe(imp.rawStatement);
+      expect(code.slice(imp.sourceRange.start + 1, imp.sourceRange.end - 1)).toBe(imp.source);
+    }
+    expect(imports[0].rawStatement).toBe("import * as THREE from 'three';");
+    expect(code.slice(imports[1].sourceRange.start, imports[1].sourceRange.end)).toBe('"./a.js"');
+    expect(imports.map(imp => imp.line)).toEqual([2, 4, 5]);
+  });
+
+  test('extracts versions from URL imports', () => {
+    const [imp] = parseImports("import * as THREE from 'https://cdn.skypack.dev/three@0.136.0';");
+
+    expect(imp.isUrl).toBe(true);
+    expect(imp.version).toBe('0.136.0');
+  });
+
+  test('parses imports with import attributes', () => {
+    const [imp] = parseImports("import data from './data.json' with { type: 'json' };");
+
+    expect(imp.source).toBe('./data.json');
+    expect(imp.bindings).toEqual([{ imported: 'default', local: 'data' }]);
+  });
+
+  test('keeps returning imports while the code has syntax errors', () => {
+    const code = "import * as THREE from 'three';\nimport { a } from './a.js';\nfunction broken( {\n";
+
+    expect(parseImports(code).map(imp => imp.source)).toEqual(['three', './a.js']);
+  });
+
+  test('skips incomplete import statements', () => {
+    expect(parseImports("import * as THREE from 'three';\nimport { a } from")).toHaveLength(1);
+  });
+
+  test('returns an empty list for code without imports', () => {
+    expect(parseImports('const scene = new THREE.Scene();')).toEqual([]);
+    expect(parseImports('')).toEqual([]);
+  });
+});
+
+describe('replaceImportSources', () => {
+  test('replaces selected specifiers and keeps quote style', () => {
+    const code = "import a from './a.js';\nexport * from \"./b.js\";\nimport('./c.js');\nimport 'three';";
+
+    const result = replaceImportSources(code, parseImports(code), (imp) =>
+      imp.source.startsWith('./') ? `@project/${imp.source.slice(2)}` : null
+    );
+
+    expect(result).toBe("import a from '@project/a.js';\nexport * from \"@project/b.js\";\nimport('@project/c.js');\nimport 'three';");
+  });
+});
+
+describe('normalizePackageName', () => {
+  test('normalizes CDN URLs to package names', () => {
+    expect(normalizePackageName('gsap')).toBe('gsap');
+    expect(normalizePackageName('https://cdn.skypack.dev/gsap@3.12.0')).toBe('gsap');
+    expect(normalizePackageName('https://unpkg.com/three@0.157.0/examples/jsm/controls/OrbitControls.js'))
+      .toBe('three/addons/controls/OrbitControls.js');
+  });
+});
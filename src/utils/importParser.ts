@@ -1,108 +1,220 @@
 /**
  * Import Parser Utility
- * Extracts import statements from JavaScript/TypeScript code
- * for dynamic importmap generation
+ * Extracts import/export-from statements and dynamic imports from JavaScript
+ * code with an ES module parser, for dynamic importmap generation and
+ * source rewriting (exact ranges)
  */
 
+import { parse as parseStrict, Node } from 'acorn';
+import { parse as parseLoose } from 'acorn-loose';
+import { simple as walkSimple } from 'acorn-walk';
+
+export interface ImportBinding {
+  imported: string;         // name in the source module ('default', '*', 'OrbitControls')
+  local: string;            // name in this module (the exported name for re-exports)
+}
+
+export interface SourceRange {
+  start: number;            // offset of the first character
+  end: number;              // offset after the last character
+}
+
 export interface ImportStatement {
   source: string;           // 'three' or 'https://cdn.skypack.dev/three'
-  specifiers: string[];     // ['THREE'] or ['OrbitControls']
+  specifiers: string[];     // ['THREE'] or ['OrbitControls'] - local names
+  bindings: ImportBinding[];
   isUrl: boolean;           // true if source is full URL
   version?: string;         // extracted from URL if present (e.g., '0.136.0')
-  rawStatement: string;     // original import statement for debugging
-  type: 'namespace' | 'named' | 'default'; // import type
+  rawStatement: string;     // original statement text
+  type: 'namespace' | 'named' | 'default' | 'side-effect' | 'dynamic';
+  kind: 'import' | 'export' | 'dynamic';
+  range: SourceRange;       // the whole statement (or import() expression)
+  sourceRange: SourceRange; // the module specifier literal, including quotes
+  line: number;             // 1-based line of the statement
+}
+
+/**
+ * acorn node with the properties of its ESTree node type
+ */
+export interface ParsedNode extends Node {
+  [key: string]: any;
 }
 
 /**
- * Parse all import statements from JavaScript code
+ * Parse all imports from JavaScript code
+ * Covers import declarations (default, named, namespace and combinations,
+ * side-effect), export-from forms and dynamic import() with a string literal.
+ * Code that doesn't parse (e.g. while typing) falls back to the
+ * error-tolerant parser.
  * @param code - JavaScript code string
- * @returns Array of parsed import statements
+ * @returns Import statements in source order
  */
 export function parseImports(code: string): ImportStatement[] {
+  const ast = parseModule(code);
+  if (!ast) {
+    return [];
+  }
+
   const imports: ImportStatement[] = [];
 
-  // Remove comments to avoid false positives
-  const codeWithoutComments = removeComments(code);
-
-  // Regex patterns for different import types
-  const patterns = [
-    // import * as Name from 'module'
-    /import\s+\*\s+as\s+(\w+)\s+from\s+['"]([^'"]+)['"]/g,
-    // import { Name1, Name2 } from 'module'
-    /import\s+\{([^}]+)\}\s+from\s+['"]([^'"]+)['"]/g,
-    // import Name from 'module'
-    /import\s+(\w+)\s+from\s+['"]([^'"]+)['"]/g,
-    // import 'module' (side-effect only)
-    /import\s+['"]([^'"]+)['"]/g,
-  ];
+  for (const node of ast.body as ParsedNode[]) {
+    if (node.type === 'ImportDeclaration' && isQuoted(code, node.source)) {
+      imports.push(createImportStatement(code, node, node.source, 'import', getImportBindings(node)));
+    } else if ((node.type === 'ExportNamedDeclaration' || node.type === 'ExportAllDeclaration') && isQuoted(code, node.source)) {
+      imports.push(createImportStatement(code, node, node.source, 'export', getExportBindings(node)));
+    }
+  }
 
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(codeWithoutComments)) !== null) {
-      const parsed = parseImportMatch(match, pattern);
-      if (parsed && !isDuplicate(imports, parsed)) {
-        imports.push(parsed);
+  walkSimple(ast, {
+    ImportExpression(node: ParsedNode) {
+      const literal = getStaticSource(node.source);
+      if (literal && isQuoted(code, literal)) {
+        imports.push(createImportStatement(code, node, literal, 'dynamic', []));
       }
+    },
+  });
+
+  return imports.sort((a, b) => a.range.start - b.range.start);
+}
+
+const MODULE_OPTIONS = { ecmaVersion: 'latest' as const, sourceType: 'module' as const, allowHashBang: true };
+
+/**
+ * Parse code as an ES module, tolerating syntax errors
+ */
+export function parseModule(code: string): ParsedNode | null {
+  try {
+    return parseStrict(code, MODULE_OPTIONS) as ParsedNode;
+  } catch {
+    try {
+      return parseLoose(code, MODULE_OPTIONS) as ParsedNode;
+    } catch {
+      return null;
     }
   }
-
-  return imports;
 }
 
 /**
- * Parse a regex match into an ImportStatement
+ * Parse code as an ES module
+ * @param locations - Add line and column positions to the nodes
+ * @returns null if the code doesn't parse
  */
-function parseImportMatch(match: RegExpExecArray, pattern: RegExp): ImportStatement | null {
-  const fullMatch = match[0];
-
-  // Determine import type and extract source
-  if (fullMatch.includes('* as')) {
-    // import * as Name from 'source'
-    const specifier = match[1];
-    const source = match[2];
-    return createImportStatement(source, [specifier], 'namespace', fullMatch);
-  } else if (fullMatch.includes('{')) {
-    // import { Name1, Name2 } from 'source'
-    const specifiersStr = match[1];
-    const source = match[2];
-    const specifiers = specifiersStr.split(',').map(s => s.trim().split(/\s+as\s+/)[0]);
-    return createImportStatement(source, specifiers, 'named', fullMatch);
-  } else if (match.length === 3) {
-    // import Name from 'source'
-    const specifier = match[1];
-    const source = match[2];
-    return createImportStatement(source, [specifier], 'default', fullMatch);
-  } else if (match.length === 2) {
-    // import 'source' (side-effect)
-    const source = match[1];
-    return createImportStatement(source, [], 'default', fullMatch);
+export function parseStrictModule(code: string, locations = false): ParsedNode | null {
+  try {
+    return parseStrict(code, { ...MODULE_OPTIONS, locations }) as ParsedNode;
+  } catch {
+    return null;
   }
+}
 
+/**
+ * Check that a source node is an actual string in the code
+ * (the error-tolerant parser fills in placeholders for missing sources)
+ */
+function isQuoted(code: string, node: ParsedNode | null | undefined): node is ParsedNode {
+  if (!node || node.end - node.start < 2) return false;
+  const quote = code[node.start];
+  return (quote === "'" || quote === '"' || quote === '`') && code[node.end - 1] === quote;
+}
+
+/**
+ * Get the specifier literal of a dynamic import, if it is static
+ * import('x') and import(`x`) qualify; import(variable) does not
+ */
+function getStaticSource(node: ParsedNode | null | undefined): ParsedNode | null {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') {
+    return node;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return { ...node, value: node.quasis[0].value.cooked } as ParsedNode;
+  }
   return null;
 }
 
+function getImportBindings(node: ParsedNode): ImportBinding[] {
+  return node.specifiers.map((spec: ParsedNode) => {
+    switch (spec.type) {
+      case 'ImportDefaultSpecifier':
+        return { imported: 'default', local: spec.local.name };
+      case 'ImportNamespaceSpecifier':
+        return { imported: '*', local: spec.local.name };
+      default:
+        return { imported: getName(spec.imported), local: spec.local.name };
+    }
+  });
+}
+
+function getExportBindings(node: ParsedNode): ImportBinding[] {
+  if (node.type === 'ExportAllDeclaration') {
+    // export * from 'x' re-exports everything; export * as ns from 'x' binds one name
+    return node.exported ? [{ imported: '*', local: getName(node.exported) }] : [];
+  }
+  return node.specifiers.map((spec: ParsedNode) => ({
+    imported: getName(spec.local),
+    local: getName(spec.exported),
+  }));
+}
+
+/**
+ * Identifier name, or string value for arbitrary module namespace names
+ * (export { a as "string name" } from 'x')
+ */
+function getName(node: ParsedNode): string {
+  return node.type === 'Identifier' ? node.name : String(node.value);
+}
+
+/**
+ * Classify an import for the legacy 'type' field
+ */
+function getImportType(kind: ImportStatement['kind'], bindings: ImportBinding[]): ImportStatement['type'] {
+  if (kind === 'dynamic') return 'dynamic';
+  if (bindings.length === 0) return kind === 'export' ? 'namespace' : 'side-effect';
+  if (bindings.some(b => b.imported === '*')) return 'namespace';
+  if (bindings.every(b => b.imported === 'default')) return 'default';
+  return 'named';
+}
+
 /**
  * Create an ImportStatement object
  */
 function createImportStatement(
-  source: string,
-  specifiers: string[],
-  type: ImportStatement['type'],
-  rawStatement: string
+  code: string,
+  node: ParsedNode,
+  sourceNode: ParsedNode,
+  kind: ImportStatement['kind'],
+  bindings: ImportBinding[]
 ): ImportStatement {
+  const source = String(sourceNode.value);
   const isUrl = source.startsWith('http://') || source.startsWith('https://');
   const version = isUrl ? extractVersionFromUrl(source) : undefined;
 
   return {
     source,
-    specifiers,
+    specifiers: bindings.map(b => b.local),
+    bindings,
     isUrl,
     version,
-    rawStatement,
-    type,
+    rawStatement: code.slice(node.start, node.end),
+    type: getImportType(kind, bindings),
+    kind,
+    range: { start: node.start, end: node.end },
+    sourceRange: { start: sourceNode.start, end: sourceNode.end },
+    line: getLineNumber(code, node.start),
   };
 }
 
+/**
+ * 1-based line number of an offset
+ */
+function getLineNumber(code: string, offset: number): number {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (code.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
 /**
  * Extract version from CDN URL
  * e.g., 'https://cdn.skypack.dev/three@0.136.0' -> '0.136.0'
@@ -113,25 +225,29 @@ function extractVersionFromUrl(url: string): string | undefined {
 }
 
 /**
- * Check if import is duplicate
+ * Replace the module specifiers of the given imports, keeping the quote style
+ * @param code - Original code
+ * @param imports - Imports parsed from the same code
+ * @param replace - Returns the new specifier, or null to keep the original
  */
-function isDuplicate(imports: ImportStatement[], newImport: ImportStatement): boolean {
-  return imports.some(imp =>
-    imp.source === newImport.source &&
-    imp.type === newImport.type
-  );
-}
+export function replaceImportSources(
+  code: string,
+  imports: ImportStatement[],
+  replace: (imp: ImportStatement) => string | null
+): string {
+  let result = code;
 
-/**
- * Remove JavaScript comments from code
- * Handles both single-line (//) and multi-line (/* *\/) comments
- */
-function removeComments(code: string): string {
-  // Remove multi-line comments
-  let result = code.replace(/\/\*[\s\S]*?\*\//g, '');
+  // Replace from the end so earlier ranges stay valid
+  const sorted = [...imports].sort((a, b) => b.sourceRange.start - a.sourceRange.start);
+  for (const imp of sorted) {
+    const specifier = replace(imp);
+    if (specifier === null) continue;
 
-  // Remove single-line comments (but not URLs with //)
-  result = result.replace(/\/\/(?![^\n]*['"])[^\n]*/g, '');
+    const quote = code[imp.sourceRange.start];
+    result = result.slice(0, imp.sourceRange.start)
+      + quote + specifier + quote
+      + result.slice(imp.sourceRange.end);
+  }
 
   return result;
 }
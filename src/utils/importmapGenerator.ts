@@ -4,39 +4,46 @@
  */
 
 import { ResolvedImport } from './cdnResolver';
+import { DEFAULT_THREE_VERSION, getThreeImportmap } from './threeVersions';
 
 export interface Importmap {
   imports: Record<string, string>;
 }
 
+/**
+ * Base importmap for a project's Three.js version
+ * Mirrors the importmap preview.html builds on load. Other packages (gsap,
+ * lil-gui, ...) go through the dynamic importmap so their locked versions apply.
+ */
+export function getBaseImportmap(threeVersion: string): Importmap {
+  return {
+    imports: getThreeImportmap(threeVersion),
+  };
+}
+
 /**
  * Default/base importmap that's always included
- * This is what's currently in preview.html
+ * Keys are the same for every Three.js version
  */
-export const BASE_IMPORTMAP: Importmap = {
-  imports: {
-    'three': 'https://cdn.jsdelivr.net/npm/three@0.157.0/build/three.module.js',
-    'three/addons/': 'https://cdn.jsdelivr.net/npm/three@0.157.0/examples/jsm/',
-    'gsap': 'https://cdn.skypack.dev/gsap',
-    'lil-gui': 'https://cdn.skypack.dev/lil-gui',
-  },
-};
+export const BASE_IMPORTMAP: Importmap = getBaseImportmap(DEFAULT_THREE_VERSION);
 
 /**
  * Generate importmap from resolved imports
  * @param resolved - Array of resolved imports
  * @param includeBase - Whether to include base imports (default: true)
+ * @param threeVersion - Three.js version for the base imports
  * @returns Importmap object ready for injection
  */
 export function generateImportmap(
   resolved: ResolvedImport[],
-  includeBase: boolean = true
+  includeBase: boolean = true,
+  threeVersion: string = DEFAULT_THREE_VERSION
 ): Importmap {
   const imports: Record<string, string> = {};
 
   // Include base imports if requested
   if (includeBase) {
-    Object.assign(imports, BASE_IMPORTMAP.imports);
+    Object.assign(imports, getBaseImportmap(threeVersion).imports);
   }
 
   // Get set of base import keys for quick lookup
@@ -0,0 +1,117 @@
+/**
+ * Module Cache Utility
+ * Registers the module cache service worker (public/module-cache-sw.js)
+ * and wraps its postMessage API: list, prefetch, pin and purge cached packages
+ */
+
+export interface CachedPackage {
+  name: string;
+  version: string;    // exact version, or 'latest' for unversioned URLs
+  files: number;
+  size: number;       // bytes
+  cachedAt: number;   // ms timestamp of the newest file
+  pinned: boolean;
+}
+
+export interface PrefetchResult {
+  url: string;
+  files?: number;
+  error?: string;
+}
+
+const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}module-cache-sw.js`;
+
+/**
+ * Check if the browser can run the module cache
+ */
+export function isModuleCacheSupported(): boolean {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Register the module cache service worker
+ * Scope is the app base path, so it also controls the preview iframe.
+ */
+export async function registerModuleCache(): Promise<boolean> {
+  if (!isModuleCacheSupported()) {
+    return false;
+  }
+
+  try {
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: import.meta.env.BASE_URL });
+    return true;
+  } catch (error) {
+    console.warn('Module cache unavailable:', error);
+    return false;
+  }
+}
+
+/**
+ * Send a request to the service worker and wait for its reply
+ */
+async function request<T>(type: string, payload?: unknown): Promise<T> {
+  if (!isModuleCacheSupported()) {
+    throw new Error('Service workers are not supported in this browser');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const worker = registration.active;
+  if (!worker) {
+    throw new Error('Module cache service worker is not active');
+  }
+
+  return new Promise<T>((resolve, reject) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => {
+      const { result, error } = event.data || {};
+      if (error) {
+        reject(new Error(error));
+      } else {
+        resolve(result as T);
+      }
+    };
+    worker.postMessage({ type, payload }, [channel.port2]);
+  });
+}
+
+/**
+ * List cached packages, grouped by name and version
+ */
+export function listCachedPackages(): Promise<CachedPackage[]> {
+  return request<CachedPackage[]>('list');
+}
+
+/**
+ * Fetch modules (and the modules they import) into the cache
+ * @param urls - Module entry URLs, e.g. from resolveImports
+ */
+export function prefetchModules(urls: string[]): Promise<PrefetchResult[]> {
+  return request<PrefetchResult[]>('prefetch', { urls });
+}
+
+/**
+ * Pin or unpin a package - pinned packages survive "purge unpinned"
+ */
+export function setPackagePinned(packageName: string, pinned: boolean): Promise<void> {
+  return request<void>('pin', { packageName, pinned });
+}
+
+/**
+ * Remove cached files
+ * @param options.packageName - Only this package (pinned or not)
+ * @param options.includePinned - Also remove pinned packages when purging everything
+ * @returns Number of files removed
+ */
+export async function purgeModuleCache(options: { packageName?: string; includePinned?: boolean } = {}): Promise<number> {
+  const { removed } = await request<{ removed: number }>('purge', options);
+  return removed;
+}
+
+/**
+ * Format a byte count for display
+ */
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
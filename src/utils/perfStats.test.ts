@@ -0,0 +1,69 @@
+import { PerfSample, percentile, summarizeFrameTimes, createPerfProfile, comparePerfProfiles } from './perfStats';
+
+function sample(frameTimes: number[], overrides: Partial<PerfSample> = {}): PerfSample {
+  return {
+    time: 0,
+    interval: 500,
+    frameTimes,
+    renderers: 1,
+    calls: 10,
+    triangles: 1000,
+    points: 0,
+    lines: 0,
+    geometries: 5,
+    textures: 2,
+    programs: 3,
+    heap: null,
+    ...overrides,
+  };
+}
+
+describe('summarizeFrameTimes', () => {
+  test('computes FPS and nearest-rank percentiles', () => {
+    const frameTimes = Array.from({ length: 100 }, (_, i) => (i < 95 ? 10 : 50));
+    const summary = summarizeFrameTimes(frameTimes);
+
+    expect(summary.frames).toBe(100);
+    expect(summary.avg).toBe(12);
+    expect(summary.fps).toBeCloseTo(83.33, 1);
+    expect(summary.p50).toBe(10);
+    expect(summary.p95).toBe(10);
+    expect(summary.p99).toBe(50);
+    expect(summary.max).toBe(50);
+    expect(summarizeFrameTimes([]).fps).toBe(0);
+    expect(percentile([1, 2, 3, 4], 50)).toBe(2);
+  });
+});
+
+describe('createPerfProfile', () => {
+  test('aggregates samples', () => {
+    const profile = createPerfProfile([
+      sample([16, 17], { calls: 10, heap: { used: 10, limit: 100 } }),
+      sample([16, 18], { calls: 20, textures: 4, heap: { used: 30, limit: 100 } }),
+      sample([17], { calls: 30, heap: { used: 20, limit: 100 } }),
+    ], 'Run 1');
+
+    expect(profile.label).toBe('Run 1');
+    expect(profile.duration).toBe(1500);
+    expect(profile.frameTime.frames).toBe(5);
+    expect(profile.calls).toEqual({ avg: 20, max: 30 });
+    expect(profile.textures).toBe(4);
+    expect(profile.heap).toEqual({ start: 10, end: 20, max: 30 });
+    expect(createPerfProfile([sample([16])], 'No heap').heap).toBeNull();
+  });
+});
+
+describe('comparePerfProfiles', () => {
+  test('marks improvements by direction and ignores noise', () => {
+    const a = createPerfProfile([sample([20, 20], { calls: 100, geometries: 10 })], 'A');
+    const b = createPerfProfile([sample([10, 10], { calls: 101, geometries: 20 })], 'B');
+    const rows = comparePerfProfiles(a, b);
+    const byLabel = (label: string) => rows.find(row => row.label === label)!;
+
+    expect(byLabel('FPS')).toMatchObject({ a: '50.0', b: '100.0', change: 1, better: true });
+    expect(byLabel('Frame time (avg)')).toMatchObject({ a: '20.0 ms', b: '10.0 ms', better: true });
+    expect(byLabel('Draw calls (avg)').better).toBeNull();
+    expect(byLabel('Geometries').better).toBe(false);
+    expect(rows.some(row => row.label.startsWith('JS heap'))).toBe(false);
+  });
+});
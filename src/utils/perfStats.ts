@@ -0,0 +1,166 @@
+/**
+ * Performance Stats Utility
+ * Samples from the preview's performance monitor (see perfMonitor in
+ * public/preview.html): frame times, renderer draw stats and JS heap size.
+ * Summarizes them for the HUD and turns a recording into a profile that can
+ * be compared with one from another run.
+ */
+
+import { formatVertexCount } from './sceneInspector';
+
+export interface PerfSample {
+  time: number;           // ms, preview clock
+  interval: number;       // ms since the previous sample
+  frameTimes: number[];   // ms between animation frames in this interval
+  renderers: number;
+  calls: number;          // draw calls in the last rendered frame
+  triangles: number;
+  points: number;
+  lines: number;
+  geometries: number;
+  textures: number;
+  programs: number;
+  heap: { used: number; limit: number } | null;   // Chromium only
+}
+
+export interface FrameTimeSummary {
+  frames: number;
+  fps: number;
+  avg: number;
+  p50: number;
+  p95: number;
+  p99: number;
+  max: number;
+}
+
+export interface PerfProfile {
+  id: string;
+  label: string;
+  createdAt: number;
+  duration: number;       // ms
+  frameTime: FrameTimeSummary;
+  calls: { avg: number; max: number };
+  triangles: { avg: number; max: number };
+  geometries: number;     // max
+  textures: number;       // max
+  programs: number;       // max
+  heap: { start: number; end: number; max: number } | null;
+}
+
+export interface PerfComparisonRow {
+  label: string;
+  a: string;
+  b: string;
+  change: number | null;  // relative change from a to b, e.g. 0.25 for +25%
+  better: boolean | null; // whether b improves on a
+}
+
+/**
+ * Length of a recorded profile
+ */
+export const PROFILE_DURATION = 10000;
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+export function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * FPS and frame time percentiles
+ */
+export function summarizeFrameTimes(frameTimes: number[]): FrameTimeSummary {
+  const sorted = [...frameTimes].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, time) => sum + time, 0);
+  const avg = sorted.length > 0 ? total / sorted.length : 0;
+  return {
+    frames: sorted.length,
+    fps: avg > 0 ? 1000 / avg : 0,
+    avg,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1] ?? 0,
+  };
+}
+
+const average = (values: number[]) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+/**
+ * Turn the samples of a recording into a profile
+ */
+export function createPerfProfile(samples: PerfSample[], label: string): PerfProfile {
+  const heapSamples = samples.filter(sample => sample.heap).map(sample => sample.heap!.used);
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    label,
+    createdAt: Date.now(),
+    duration: samples.reduce((total, sample) => total + sample.interval, 0),
+    frameTime: summarizeFrameTimes(samples.flatMap(sample => sample.frameTimes)),
+    calls: {
+      avg: average(samples.map(sample => sample.calls)),
+      max: Math.max(0, ...samples.map(sample => sample.calls)),
+    },
+    triangles: {
+      avg: average(samples.map(sample => sample.triangles)),
+      max: Math.max(0, ...samples.map(sample => sample.triangles)),
+    },
+    geometries: Math.max(0, ...samples.map(sample => sample.geometries)),
+    textures: Math.max(0, ...samples.map(sample => sample.textures)),
+    programs: Math.max(0, ...samples.map(sample => sample.programs)),
+    heap: heapSamples.length > 0
+      ? { start: heapSamples[0], end: heapSamples[heapSamples.length - 1], max: Math.max(...heapSamples) }
+      : null,
+  };
+}
+
+/**
+ * Format a frame time: 16.7 ms
+ */
+export function formatFrameTime(ms: number): string {
+  return `${ms.toFixed(1)} ms`;
+}
+
+/**
+ * Format a count that may be an average: 950, 12.4k, 1.2M
+ */
+export function formatCount(count: number): string {
+  return formatVertexCount(Math.round(count));
+}
+
+function formatMegabytes(bytes: number): string {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Side-by-side rows for two profiles - lower is better for every metric but FPS
+ */
+export function comparePerfProfiles(a: PerfProfile, b: PerfProfile): PerfComparisonRow[] {
+  const row = (label: string, valueA: number, valueB: number, format: (value: number) => string, higherIsBetter = false): PerfComparisonRow => {
+    const change = valueA !== 0 ? (valueB - valueA) / valueA : null;
+    // Changes under 2% are noise
+    const better = change === null || Math.abs(change) < 0.02 ? null : (change > 0) === higherIsBetter;
+    return { label, a: format(valueA), b: format(valueB), change, better };
+  };
+
+  const rows = [
+    row('FPS', a.frameTime.fps, b.frameTime.fps, value => value.toFixed(1), true),
+    row('Frame time (avg)', a.frameTime.avg, b.frameTime.avg, formatFrameTime),
+    row('Frame time (p95)', a.frameTime.p95, b.frameTime.p95, formatFrameTime),
+    row('Frame time (p99)', a.frameTime.p99, b.frameTime.p99, formatFrameTime),
+    row('Worst frame', a.frameTime.max, b.frameTime.max, formatFrameTime),
+    row('Draw calls (avg)', a.calls.avg, b.calls.avg, formatCount),
+    row('Triangles (avg)', a.triangles.avg, b.triangles.avg, formatCount),
+    row('Geometries', a.geometries, b.geometries, formatCount),
+    row('Textures', a.textures, b.textures, formatCount),
+    row('Shader programs', a.programs, b.programs, formatCount),
+  ];
+  if (a.heap && b.heap) {
+    rows.push(row('JS heap (max)', a.heap.max, b.heap.max, formatMegabytes));
+    rows.push(row('JS heap growth', a.heap.end - a.heap.start, b.heap.end - b.heap.start, formatMegabytes));
+  }
+  return rows;
+}
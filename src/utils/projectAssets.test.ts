@@ -0,0 +1,43 @@
+import { findAssetPaths, normalizeAssetPath, getDefaultAssetPath, dataUrlToBlob } from './projectAssets';
+
+describe('findAssetPaths', () => {
+  test('finds asset paths and the material library next to each .obj', () => {
+    const files = [
+      { path: 'main.js', content: "loader.load('/models/spiked.obj');\nconst tex = textureLoader.load('./textures/wood.png?v=2');" },
+      { path: 'lib/sky.js', content: "new RGBELoader().load('sky.hdr'); fetch('https://example.com/models/remote.glb');" },
+    ];
+
+    expect(findAssetPaths(files).sort()).toEqual([
+      'models/spiked.mtl',
+      'models/spiked.obj',
+      'sky.hdr',
+      'textures/wood.png',
+    ]);
+  });
+});
+
+describe('normalizeAssetPath', () => {
+  test('strips leading slashes, ./ and query strings', () => {
+    expect(normalizeAssetPath('/models/a.obj')).toBe('models/a.obj');
+    expect(normalizeAssetPath('./images/b.png#x')).toBe('images/b.png');
+  });
+});
+
+describe('getDefaultAssetPath', () => {
+  test('puts models under models/ and everything else under textures/', () => {
+    expect(getDefaultAssetPath('robot.glb')).toBe('models/robot.glb');
+    expect(getDefaultAssetPath('robot.MTL')).toBe('models/robot.MTL');
+    expect(getDefaultAssetPath('studio.hdr')).toBe('textures/studio.hdr');
+  });
+});
+
+describe('dataUrlToBlob', () => {
+  test('decodes base64 and percent-encoded data URLs', async () => {
+    const base64 = dataUrlToBlob('data:text/plain;base64,aGVsbG8=');
+    const encoded = dataUrlToBlob('data:,a%20b');
+
+    expect(base64.type).toBe('text/plain');
+    expect(await base64.text()).toBe('hello');
+    expect(await encoded.text()).toBe('a b');
+  });
+});
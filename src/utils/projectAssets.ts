@@ -0,0 +1,113 @@
+/**
+ * Project Assets Utility
+ * Finds the asset files (models, textures, HDRs) a project loads. Projects
+ * carry their own asset files keyed by the path the code loads them from,
+ * relative to the app's public directory - e.g. 'models/spiked.obj'.
+ * Share payloads carry them as data URLs.
+ */
+
+import { ProjectFile } from './projectFiles';
+
+export type ProjectAssets = Record<string, Blob>;
+
+/**
+ * Files the asset manager and importers treat as assets
+ */
+export const ASSET_EXTENSIONS = /\.(obj|mtl|glb|gltf|bin|fbx|stl|ply|dae|3ds|drc|png|jpe?g|webp|gif|avif|svg|hdr|exr|ktx2?|basis|mp3|ogg|wav|mp4|webm|ttf|otf|woff2?)$/i;
+
+const MODEL_EXTENSIONS = /\.(obj|mtl|glb|gltf|bin|fbx|stl|ply|dae|3ds|drc)$/i;
+
+// Quoted asset paths, plus any model/texture file passed straight to a loader
+const ASSET_PATTERNS = [
+  /['"`](\.?\/?(?:models|images|textures|assets)\/[^'"`]+)['"`]/g,
+  /\.load\s*\(\s*['"`](\/?[^'"`]+\.(?:obj|glb|gltf|jpg|jpeg|png|hdr|exr))['"`]/g,
+];
+
+/**
+ * Normalize an asset path to its key: no leading './' or '/', no query or hash
+ */
+export function normalizeAssetPath(path: string): string {
+  return path.replace(/[?#].*$/, '').replace(/^\.?\/+/, '');
+}
+
+/**
+ * Where a dropped file goes: models/ for model files, textures/ for the rest
+ */
+export function getDefaultAssetPath(fileName: string): string {
+  const name = fileName.replace(/[\\/]/g, '_');
+  return MODEL_EXTENSIONS.test(name) ? `models/${name}` : `textures/${name}`;
+}
+
+/**
+ * Asset paths referenced by the project's files
+ */
+export function findAssetPaths(files: ProjectFile[]): string[] {
+  const assetPaths = new Set<string>();
+  const allCode = files.map(f => f.content).join('\n');
+
+  for (const pattern of ASSET_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(allCode)) !== null) {
+      // Remote files load as-is
+      if (/^[a-z]+:/i.test(match[1]) || match[1].startsWith('//')) continue;
+      assetPaths.add(normalizeAssetPath(match[1]));
+    }
+  }
+
+  // An .obj's material library usually sits next to it
+  for (const path of Array.from(assetPaths)) {
+    if (path.endsWith('.obj')) {
+      assetPaths.add(path.replace(/\.obj$/, '.mtl'));
+    }
+  }
+
+  return Array.from(assetPaths);
+}
+
+/**
+ * Read a blob as a data URL
+ */
+export function blobToDataUrl(blob: Blob): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Convert a data URL back to a blob
+ * Synchronous so it can run inside an IndexedDB upgrade.
+ */
+export function dataUrlToBlob(dataUrl: string): Blob {
+  const comma = dataUrl.indexOf(',');
+  const header = dataUrl.slice(0, comma);
+  const data = dataUrl.slice(comma + 1);
+  const type = header.match(/^data:([^;,]*)/)?.[1] || 'application/octet-stream';
+  const bytes = header.endsWith(';base64')
+    ? Uint8Array.from(atob(data), c => c.charCodeAt(0))
+    : new TextEncoder().encode(decodeURIComponent(data));
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Load an asset: the project's own copy first, then the app's public files
+ * @returns null when neither has it
+ */
+export async function fetchAsset(path: string, assets: ProjectAssets = {}): Promise<Blob | null> {
+  if (assets[path]) {
+    return assets[path];
+  }
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}${path}`);
+    // Vite's dev server answers unknown paths with index.html
+    if (!response.ok || (response.headers.get('content-type') || '').includes('text/html')) {
+      return null;
+    }
+    return await response.blob();
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,124 @@
+import { buildExport, generateSceneModule, splitModuleImports, CANCELLATION_CHECK, PROJECT_MANIFEST_FILE } from './projectExporter';
+import { unwrapSceneModule } from './projectImporter';
+
+const files = [
+  { path: 'main.js', content: "import * as THREE from 'three';\nimport { makePlanet } from './lib/planets.js';\n\nconst scene = new THREE.Scene();\nscene.add(makePlanet());\n" },
+  { path: 'lib/planets.js', content: "import * as THREE from 'three';\nexport const makePlanet = () => new THREE.Mesh();\n" },
+];
+const settings = { threeVersion: '0.165.0', lock: {} };
+
+const sceneCode = `import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+export { makePlanet } from './lib/planets.js';
+
+const loader = new GLTFLoader();
+const gltf = await loader.loadAsync('/models/ship.glb');
+await new Promise(resolve => setTimeout(resolve, 100))
+const spin = async () => {
+  await Promise.resolve();
+};
+for (const name of ['a', 'b']) {
+  await loader.loadAsync(\`/models/\${name}.glb\`);
+}
+`;
+
+describe('splitModuleImports', () => {
+  it('separates imports and export-from declarations from the body', () => {
+    const { imports, body } = splitModuleImports(sceneCode);
+    expect(imports).toEqual([
+      "import * as THREE from 'three';",
+      "import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';",
+      "export { makePlanet } from './lib/planets.js';",
+    ]);
+    expect(body.startsWith('const loader = new GLTFLoader();')).toBe(true);
+    expect(body).not.toContain('import ');
+  });
+});
+
+describe('generateSceneModule', () => {
+  it('keeps imports at the top and wraps the body in runScene()', () => {
+    const module = generateSceneModule(sceneCode);
+    expect(module.startsWith("import * as THREE from 'three';\n")).toBe(true);
+    expect(module).toContain("\nexport { makePlanet } from './lib/planets.js';\n");
+    expect(module).toContain('export function mount(container = document.body) {');
+    expect(module).toContain('export function dispose() {');
+    expect(module).toMatch(/\nasync function runScene\(\{[^)]*__mountSignal \}\) \{\nconst loader = new GLTFLoader\(\);\n/);
+    expect(module.endsWith('\n}\n')).toBe(true);
+  });
+
+  it('checks for cancellation after each top-level statement that awaits', () => {
+    const module = generateSceneModule(sceneCode);
+    expect(module).toContain(`const gltf = await loader.loadAsync('/models/ship.glb'); ${CANCELLATION_CHECK}\n`);
+    expect(module).toContain(`await new Promise(resolve => setTimeout(resolve, 100));${CANCELLATION_CHECK}\n`);
+    expect(module).toContain(`  await loader.loadAsync(\`/models/\${name}.glb\`);\n};${CANCELLATION_CHECK}\n`);
+    expect(module).toContain('  await Promise.resolve();\n};\n');
+    expect(module.split(CANCELLATION_CHECK)).toHaveLength(4);
+  });
+
+  it('passes string timer callbacks to the native setTimeout', () => {
+    expect(generateSceneModule(sceneCode)).toContain("if (typeof callback !== 'function') {\n        const id = window.setTimeout(callback, delay, ...args);");
+  });
+
+  it('refuses entry code that exports its own bindings', () => {
+    expect(() => generateSceneModule("const speed = 1;\nexport { speed };\n")).toThrow('line 2');
+    expect(() => generateSceneModule("export const speed = 1;\n")).toThrow('line 1');
+    expect(() => generateSceneModule("export default function animate() {}\n")).toThrow('Move those exports into another module');
+  });
+});
+
+describe('unwrapSceneModule', () => {
+  it('restores the entry code from a generated module', () => {
+    expect(unwrapSceneModule(generateSceneModule(sceneCode))).toBe(sceneCode);
+    expect(unwrapSceneModule(generateSceneModule(files[0].content))).toBe(files[0].content);
+  });
+});
+
+describe('buildExport', () => {
+  const getPaths = (bundle: { files: Record<string, string> }) => Object.keys(bundle.files).sort();
+
+  it('builds a standalone page with the entry inlined', () => {
+    const bundle = buildExport('html', files, settings);
+    expect(getPaths(bundle)).toEqual(['README.md', 'index.html', 'lib/planets.js', PROJECT_MANIFEST_FILE].sort());
+    expect(bundle.files['index.html']).toContain(files[0].content);
+    expect(bundle.files['index.html']).toContain('three@0.165.0');
+    expect(bundle.assetDirectory).toBe('');
+  });
+
+  it('builds a Vite project, with a shader loader only when there are shaders', () => {
+    const bundle = buildExport('vite', files, settings);
+    expect(getPaths(bundle)).toEqual(['README.md', 'index.html', 'package.json', 'src/lib/planets.js', 'src/main.js', 'src/scene.js', PROJECT_MANIFEST_FILE].sort());
+    expect(bundle.files['src/scene.js']).toBe(generateSceneModule(files[0].content));
+    expect(bundle.files['src/main.js']).toContain('.catch((error) => {');
+    expect(JSON.parse(bundle.files['package.json']).dependencies).toEqual({ three: '^0.165.0' });
+    expect(bundle.assetDirectory).toBe('public/');
+
+    const withShader = buildExport('vite', [...files, { path: 'shaders/ink.frag', content: 'void main() {}' }], settings);
+    expect(withShader.files['vite.config.js']).toContain('glsl-as-string');
+    expect(withShader.files['src/shaders/ink.frag']).toBe('void main() {}');
+  });
+
+  it('builds a Webpack project', () => {
+    const bundle = buildExport('webpack', files, settings);
+    expect(getPaths(bundle)).toEqual(['README.md', 'index.html', 'package.json', 'src/index.js', 'src/lib/planets.js', 'src/scene.js', 'webpack.config.js', PROJECT_MANIFEST_FILE].sort());
+    expect(bundle.files['src/index.js']).toContain('import.meta.webpackHot.dispose');
+    expect(bundle.assetDirectory).toBe('public/');
+  });
+
+  it('builds an ES module with an example page', () => {
+    const bundle = buildExport('module', files, settings);
+    expect(getPaths(bundle)).toEqual(['README.md', 'example.html', 'lib/planets.js', 'scene.js', PROJECT_MANIFEST_FILE].sort());
+    expect(bundle.assetDirectory).toBe('');
+  });
+
+  it('builds a React component that reports mount errors', () => {
+    const bundle = buildExport('react', files, settings);
+    expect(getPaths(bundle)).toEqual(['README.md', 'ThreeScene.jsx', 'lib/planets.js', 'scene.js', PROJECT_MANIFEST_FILE].sort());
+    expect(bundle.files['ThreeScene.jsx']).toContain("mount(containerRef.current).catch((error) => {\n      console.error('Scene failed to start:', error);");
+    expect(bundle.files['ThreeScene.jsx']).toContain('return () => dispose();');
+  });
+
+  it('records the project in a manifest', () => {
+    const bundle = buildExport('module', files, settings);
+    expect(JSON.parse(bundle.files[PROJECT_MANIFEST_FILE])).toMatchObject({ files, settings });
+  });
+});
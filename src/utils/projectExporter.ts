@@ -0,0 +1,907 @@
+/**
+ * Project Exporter Utility
+ * Generates export packages for different targets (standalone HTML, Vite,
+ * Webpack, ES module, React) with auto-generated cleanup and HMR hooks
+ */
+
+import { ParsedNode, parseImports, parseStrictModule, normalizePackageName } from './importParser';
+import { ProjectFile, ProjectSettings, DEFAULT_PROJECT_SETTINGS, getEntryFile, getFileLanguage, isRelativeSpecifier } from './projectFiles';
+import { getThreeImportmap } from './threeVersions';
+import { VersionLock, getBasePackageName } from './versionLock';
+import { SHARE_PAYLOAD_VERSION } from './sharePayload';
+
+export type ExportTarget = 'html' | 'vite' | 'webpack' | 'module' | 'react';
+
+export interface ExportTargetInfo {
+  id: ExportTarget;
+  label: string;
+  description: string;
+  icon: string;
+}
+
+export interface ExportBundle {
+  files: Record<string, string>;  // path -> text content
+  assetDirectory: string;         // where /models, /images... go ('' = zip root)
+  fileName: string;               // suggested .zip name
+}
+
+/**
+ * Files and settings as the IDE saw them, so importing an export restores the project exactly
+ */
+export const PROJECT_MANIFEST_FILE = 'threejs-ide.json';
+
+export const EXPORT_TARGETS: ExportTargetInfo[] = [
+  {
+    id: 'html',
+    label: 'Standalone HTML',
+    description: 'Single index.html with an importmap. Open with any static server.',
+    icon: 'html',
+  },
+  {
+    id: 'vite',
+    label: 'Vite project',
+    description: 'npm project with HMR-safe mount/dispose wiring for the Vite dev server.',
+    icon: 'bolt',
+  },
+  {
+    id: 'webpack',
+    label: 'Webpack project',
+    description: 'npm project with webpack-dev-server and hot module disposal.',
+    icon: 'deployed_code',
+  },
+  {
+    id: 'module',
+    label: 'ES module',
+    description: 'scene.js exporting mount(container) and dispose() for your own app.',
+    icon: 'extension',
+  },
+  {
+    id: 'react',
+    label: 'React component',
+    description: 'ThreeScene.jsx that mounts the scene on mount and disposes it on unmount.',
+    icon: 'code',
+  },
+];
+
+/**
+ * Split a module into its import and export-from declarations and the remaining body
+ * Imports must stay at module top level when the body is wrapped in a function;
+ * export-from declarations don't touch the body's bindings, so they move with them.
+ */
+export function splitModuleImports(code: string): { imports: string[]; body: string } {
+  const declarations = parseImports(code).filter(imp => imp.kind !== 'dynamic');
+
+  let body = code;
+  // Cut from the end so earlier ranges stay valid
+  for (const imp of [...declarations].reverse()) {
+    body = body.slice(0, imp.range.start) + body.slice(imp.range.end);
+  }
+
+  return {
+    imports: declarations.map(imp => imp.rawStatement),
+    body: body.replace(/^\s*\n/, ''),
+  };
+}
+
+/**
+ * Collect npm dependencies (besides three) imported by the project
+ * Unversioned imports use the project's locked version when there is one.
+ */
+function getExternalDependencies(files: ProjectFile[], lock: VersionLock): Record<string, string> {
+  const dependencies: Record<string, string> = {};
+
+  for (const file of files) {
+    if (getFileLanguage(file.path) !== 'javascript') continue;
+
+    for (const imp of parseImports(file.content)) {
+      if (imp.isUrl || isRelativeSpecifier(imp.source)) continue;
+
+      // 'lil-gui' -> 'lil-gui', '@scope/pkg/sub' -> '@scope/pkg'
+      const packageName = getBasePackageName(normalizePackageName(imp.source));
+      if (packageName !== 'three') {
+        dependencies[packageName] = imp.version || lock[packageName] || 'latest';
+      }
+    }
+  }
+
+  return dependencies;
+}
+
+/**
+ * Check generated scene code runs after each top-level statement that awaits,
+ * so a scene disposed while loading stops there
+ */
+export const CANCELLATION_CHECK = 'if (__mountSignal.aborted) return;';
+
+/**
+ * Runtime embedded in generated scene modules.
+ * Scene code runs with scoped window/document/timer bindings, so every frame
+ * loop, timer, global listener, observer and Three.js renderer it creates is
+ * recorded and released by dispose().
+ */
+const SCENE_RUNTIME = `// --- Generated by the 3js IDE: resource tracking for mount()/dispose() ---
+
+let activeScope = null;
+let isInitialized = false;
+
+function createSceneScope(container) {
+  const frames = new Set();
+  const intervals = new Set();
+  const timeouts = new Set();
+  const listeners = [];
+  const observers = [];
+  const renderers = new Set();
+  const scenes = new Set();
+  const initialChildren = new Set(container.children);
+  const controller = new AbortController();
+  let capturing = true;
+  let containerReleased = false;
+
+  // Three.js announces renderers and scenes to the devtools hook
+  if (typeof window.__THREE_DEVTOOLS__ === 'undefined') {
+    window.__THREE_DEVTOOLS__ = new EventTarget();
+  }
+  const onThreeObject = (event) => {
+    const object = event.detail;
+    if (!capturing || !object) return;
+    if (object.isWebGLRenderer) renderers.add(object);
+    if (object.isScene) scenes.add(object);
+  };
+  window.__THREE_DEVTOOLS__.addEventListener('observe', onThreeObject);
+
+  const trackObserver = (Observer) => Observer && class extends Observer {
+    constructor(callback, options) {
+      super(callback, options);
+      observers.push(this);
+    }
+  };
+
+  const api = {
+    requestAnimationFrame(callback) {
+      const id = window.requestAnimationFrame((time) => {
+        frames.delete(id);
+        callback(time);
+      });
+      frames.add(id);
+      return id;
+    },
+    cancelAnimationFrame(id) {
+      frames.delete(id);
+      window.cancelAnimationFrame(id);
+    },
+    setInterval(callback, delay, ...args) {
+      const id = window.setInterval(callback, delay, ...args);
+      intervals.add(id);
+      return id;
+    },
+    clearInterval(id) {
+      intervals.delete(id);
+      window.clearInterval(id);
+    },
+    setTimeout(callback, delay, ...args) {
+      // String callbacks go to the native API as they are
+      if (typeof callback !== 'function') {
+        const id = window.setTimeout(callback, delay, ...args);
+        timeouts.add(id);
+        return id;
+      }
+      const id = window.setTimeout((...callbackArgs) => {
+        timeouts.delete(id);
+        callback(...callbackArgs);
+      }, delay, ...args);
+      timeouts.add(id);
+      return id;
+    },
+    clearTimeout(id) {
+      timeouts.delete(id);
+      window.clearTimeout(id);
+    },
+    ResizeObserver: trackObserver(window.ResizeObserver),
+    IntersectionObserver: trackObserver(window.IntersectionObserver),
+  };
+
+  const trackedAddEventListener = (target) => (type, listener, options) => {
+    listeners.push({ target, type, listener, options });
+    target.addEventListener(type, listener, options);
+  };
+
+  // Plain functions are bound to their real owner; constructors are passed through
+  const scoped = (target, overrides) => new Proxy(target, {
+    get(obj, prop) {
+      if (prop in overrides) return overrides[prop];
+      const value = obj[prop];
+      return typeof value === 'function' && !/^[A-Z]/.test(String(prop)) ? value.bind(obj) : value;
+    },
+    set(obj, prop, value) {
+      obj[prop] = value;
+      return true;
+    },
+  });
+
+  const scopedDocument = scoped(document, {
+    body: container,
+    addEventListener: trackedAddEventListener(document),
+  });
+  const scopedWindow = scoped(window, {
+    ...api,
+    document: scopedDocument,
+    addEventListener: trackedAddEventListener(window),
+  });
+
+  function disposeScene(scene, disposed) {
+    const disposeTexture = (texture) => {
+      if (texture && texture.isTexture && !disposed.has(texture)) {
+        disposed.add(texture);
+        texture.dispose();
+      }
+    };
+    const disposeMaterial = (material) => {
+      if (!material || disposed.has(material)) return;
+      disposed.add(material);
+      Object.values(material).forEach(disposeTexture);
+      if (material.uniforms) {
+        Object.values(material.uniforms).forEach((uniform) => uniform && disposeTexture(uniform.value));
+      }
+      material.dispose();
+    };
+
+    disposeTexture(scene.background);
+    disposeTexture(scene.environment);
+    scene.traverse((object) => {
+      if (object.geometry && !disposed.has(object.geometry)) {
+        disposed.add(object.geometry);
+        object.geometry.dispose();
+      }
+      if (Array.isArray(object.material)) {
+        object.material.forEach(disposeMaterial);
+      } else {
+        disposeMaterial(object.material);
+      }
+    });
+  }
+
+  // Runs again once a scene disposed while loading stops, so nothing is
+  // released twice
+  function cleanup() {
+    controller.abort();
+
+    // Cancel animations and timers
+    frames.forEach((id) => window.cancelAnimationFrame(id));
+    intervals.forEach((id) => window.clearInterval(id));
+    timeouts.forEach((id) => window.clearTimeout(id));
+    frames.clear();
+    intervals.clear();
+    timeouts.clear();
+
+    // Remove global listeners and disconnect observers
+    listeners.splice(0).forEach(({ target, type, listener, options }) => {
+      target.removeEventListener(type, listener, options);
+    });
+    observers.splice(0).forEach((observer) => observer.disconnect());
+
+    // Dispose scene objects
+    const disposed = new Set();
+    scenes.forEach((scene) => disposeScene(scene, disposed));
+    scenes.clear();
+
+    // Dispose renderers and release their WebGL contexts
+    renderers.forEach((renderer) => {
+      renderer.setAnimationLoop(null);
+      renderer.dispose();
+      renderer.forceContextLoss();
+      renderer.domElement.remove();
+    });
+    renderers.clear();
+
+    // Remove anything else the scene added to the container. Only the first
+    // time: by the second run the next mount() may have added its own.
+    if (containerReleased) return;
+    containerReleased = true;
+    Array.from(container.children).forEach((child) => {
+      if (!initialChildren.has(child)) child.remove();
+    });
+  }
+
+  return {
+    globals: { ...api, window: scopedWindow, document: scopedDocument, __mountSignal: controller.signal },
+    signal: controller.signal,
+    stopCapturing() {
+      capturing = false;
+      window.__THREE_DEVTOOLS__.removeEventListener('observe', onThreeObject);
+    },
+    cleanup,
+  };
+}
+
+/**
+ * Mount the scene into a container (defaults to document.body).
+ * Mounting again disposes the previous instance first. A scene disposed while
+ * it is still loading stops after its current top-level await, and what it
+ * created until then is released once it stops.
+ * @returns Promise that settles when the scene code has run, rejecting with its error
+ */
+export function mount(container = document.body) {
+  if (isInitialized) {
+    console.warn('Scene already mounted, cleaning up...');
+    dispose();
+  }
+
+  const scope = createSceneScope(container);
+  activeScope = scope;
+  isInitialized = true;
+
+  return runScene(scope.globals)
+    .catch((error) => {
+      // Errors after dispose() come from a scene nobody is showing
+      if (!scope.signal.aborted) throw error;
+    })
+    .finally(() => {
+      scope.stopCapturing();
+      if (scope.signal.aborted) scope.cleanup();
+    });
+}
+
+/**
+ * Cancel animations, remove listeners and dispose every Three.js resource
+ */
+export function dispose() {
+  if (!activeScope) return;
+  activeScope.cleanup();
+  activeScope = null;
+  isInitialized = false;
+}
+`;
+
+/**
+ * Line of the first export declaring one of the module's own bindings
+ * (export const, export function, export default, export { name })
+ * @returns null if there is none or the code doesn't parse
+ */
+function findLocalExportLine(code: string): number | null {
+  const ast = parseStrictModule(code, true);
+  if (!ast) return null;
+
+  const node = (ast.body as ParsedNode[]).find(statement =>
+    statement.type === 'ExportDefaultDeclaration' || (statement.type === 'ExportNamedDeclaration' && !statement.source)
+  );
+  return node?.loc ? node.loc.start.line : null;
+}
+
+// Whether a statement awaits outside of the functions it declares
+function hasTopLevelAwait(node: ParsedNode | ParsedNode[] | null): boolean {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(hasTopLevelAwait);
+  if (/Function/.test(node.type ?? '')) return false;
+  if (node.type === 'AwaitExpression' || (node.type === 'ForOfStatement' && node.await)) return true;
+  return Object.keys(node).some(key => key !== 'loc' && hasTopLevelAwait(node[key]));
+}
+
+/**
+ * Add CANCELLATION_CHECK after every top-level statement that awaits
+ * It goes right after the statement, so line numbers stay the same.
+ */
+function addCancellationChecks(body: string): string {
+  const ast = parseStrictModule(body);
+  if (!ast) return body;
+
+  let result = body;
+  // Insert from the end so earlier offsets stay valid
+  for (const statement of [...(ast.body as ParsedNode[])].reverse()) {
+    if (!hasTopLevelAwait(statement)) continue;
+    const check = body[statement.end - 1] === ';' ? ` ${CANCELLATION_CHECK}` : `;${CANCELLATION_CHECK}`;
+    result = result.slice(0, statement.end) + check + result.slice(statement.end);
+  }
+  return result;
+}
+
+/**
+ * Wrap scene code into an ES module exporting mount(container) and dispose()
+ * The body is not re-indented so multi-line template strings (shaders) stay intact.
+ * @throws if the code exports its own bindings, which can't leave the wrapper function
+ */
+export function generateSceneModule(code: string): string {
+  const exportLine = findLocalExportLine(code);
+  if (exportLine !== null) {
+    throw new Error(`The entry module exports its own bindings (line ${exportLine}), which the mount()/dispose() wrapper can't keep. Move those exports into another module and import them instead.`);
+  }
+
+  const { imports, body } = splitModuleImports(code);
+
+  return `${imports.join('\n')}
+
+${SCENE_RUNTIME}
+// --- Scene code (from the IDE) ---
+
+async function runScene({ window, document, requestAnimationFrame, cancelAnimationFrame, setInterval, clearInterval, setTimeout, clearTimeout, ResizeObserver, IntersectionObserver, __mountSignal }) {
+${addCancellationChecks(body.trimEnd())}
+}
+`;
+}
+
+/**
+ * Importmap entries for three and the project's external packages
+ */
+function getImportmapJSON(files: ProjectFile[], settings: ProjectSettings): string {
+  const imports: Record<string, string> = getThreeImportmap(settings.threeVersion);
+
+  for (const [name, version] of Object.entries(getExternalDependencies(files, settings.lock))) {
+    imports[name] = `https://esm.sh/${name}${version === 'latest' ? '' : `@${version}`}`;
+  }
+
+  return JSON.stringify({ imports }, null, 4).replace(/\n/g, '\n    ');
+}
+
+function getPackageJSON(name: string, files: ProjectFile[], settings: ProjectSettings, scripts: Record<string, string>, devDependencies: Record<string, string>): string {
+  const externals = getExternalDependencies(files, settings.lock);
+  const dependencies: Record<string, string> = { three: `^${settings.threeVersion}` };
+  for (const [packageName, version] of Object.entries(externals)) {
+    dependencies[packageName] = version === 'latest' ? '*' : `^${version}`;
+  }
+
+  return JSON.stringify({
+    name,
+    private: true,
+    version: '0.1.0',
+    type: 'module',
+    scripts,
+    dependencies,
+    devDependencies,
+  }, null, 2) + '\n';
+}
+
+/**
+ * Project files other than the entry module, placed under a directory
+ */
+function getModuleFiles(files: ProjectFile[], directory: string): Record<string, string> {
+  const entry = getEntryFile(files);
+  const result: Record<string, string> = {};
+
+  for (const file of files) {
+    if (file !== entry) {
+      result[`${directory}${file.path}`] = file.content;
+    }
+  }
+
+  return result;
+}
+
+const hasShaderFiles = (files: ProjectFile[]) => files.some(f => getFileLanguage(f.path) === 'glsl');
+
+const MOUNT_HTML = (title: string, scriptTag: string) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { margin: 0; overflow: hidden; }
+        #app { width: 100vw; height: 100vh; }
+    </style>
+</head>
+<body>
+    <div id="app"></div>
+    ${scriptTag}
+</body>
+</html>
+`;
+
+const CLEANUP_NOTES = `## How cleanup works
+
+\`scene.js\` is your IDE code wrapped in a generated \`mount(container)\` / \`dispose()\` API:
+
+- **Cleanup function** - \`dispose()\` cancels animation frames, clears timers, removes
+  window/document listeners, disconnects ResizeObserver/IntersectionObserver and disposes
+  every renderer, geometry, material and texture the scene created
+- **Initialization guard** - calling \`mount()\` again disposes the previous instance first
+- **Cancellation** - a scene disposed while it is still loading stops after its current
+  top-level \`await\`, and what it created until then is released once it stops
+- **Container mounting** - \`document.body\` inside the scene code refers to the container
+  passed to \`mount()\`
+
+Sizes in the scene code still come from \`window.innerWidth\`/\`innerHeight\`; switch them
+to the container's \`clientWidth\`/\`clientHeight\` if the scene doesn't fill the page.
+`;
+
+function buildHtmlExport(files: ProjectFile[], settings: ProjectSettings): ExportBundle {
+  const code = getEntryFile(files)?.content ?? '';
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Three.js Scene</title>
+    <script type="importmap">
+    ${getImportmapJSON(files, settings)}
+    </script>
+    <style>
+        body { margin: 0; overflow: hidden; }
+    </style>
+</head>
+<body>
+    <script type="module">
+${code}
+    </script>
+</body>
+</html>`;
+
+  const readme = `# Three.js Scene Export
+
+This is an exported Three.js scene from the 3js IDE.
+
+## Running the Scene
+
+1. Extract this ZIP file to a folder
+2. Serve the folder using a local web server (required for loading assets)
+   - Using Python: \`python -m http.server 8000\`
+   - Using Node.js: \`npx http-server\`
+   - Using PHP: \`php -S localhost:8000\`
+3. Open http://localhost:8000 in your browser
+
+## Contents
+
+- \`index.html\` - Main HTML file with your Three.js code
+- Project modules, shaders and data files (imported relatively from \`index.html\`)
+- \`models/\` - 3D model files (.obj, .glb, .gltf)
+- \`images/\` - Texture and image files
+- \`README.md\` - This file
+
+## Technical Notes
+
+- This scene uses Three.js v${settings.threeVersion} loaded from CDN
+- The standalone export runs once per page load and has no cleanup hooks.
+  For dev servers with hot reloading, export as a Vite, Webpack, ES module or React
+  target instead - those include generated \`mount()\`/\`dispose()\` wiring.
+`;
+
+  return {
+    files: { 'index.html': html, 'README.md': readme, ...getModuleFiles(files, '') },
+    assetDirectory: '',
+    fileName: 'threejs-scene.zip',
+  };
+}
+
+function buildViteExport(files: ProjectFile[], settings: ProjectSettings): ExportBundle {
+  const code = getEntryFile(files)?.content ?? '';
+
+  const main = `import { mount, dispose } from './scene.js';
+
+mount(document.getElementById('app')).catch((error) => {
+  console.error('Scene failed to start:', error);
+});
+
+// HMR: dispose the old scene before the updated module mounts a new one
+if (import.meta.hot) {
+  import.meta.hot.dispose(() => {
+    dispose();
+  });
+  import.meta.hot.accept();
+}
+`;
+
+  // Vite has no GLSL loader; import shader files as strings
+  const viteConfig = `import { defineConfig } from 'vite';
+
+export default defineConfig({
+  plugins: [
+    {
+      name: 'glsl-as-string',
+      transform(code, id) {
+        if (/\\.(glsl|vert|frag|vs|fs)$/.test(id)) {
+          return { code: \`export default \${JSON.stringify(code)};\`, map: null };
+        }
+      },
+    },
+  ],
+});
+`;
+
+  const readme = `# Three.js Scene (Vite)
+
+Exported from the 3js IDE as an HMR-safe Vite project.
+
+## Getting Started
+
+\`\`\`bash
+npm install
+npm run dev
+\`\`\`
+
+## Contents
+
+- \`index.html\` - Page with the \`#app\` container
+- \`src/main.js\` - Mounts the scene and registers the \`import.meta.hot.dispose\` hook
+- \`src/scene.js\` - Your scene code with generated \`mount()\`/\`dispose()\`
+- \`public/\` - Models and textures, served at their original \`/models/...\` paths
+
+${CLEANUP_NOTES}`;
+
+  return {
+    files: {
+      'package.json': getPackageJSON('threejs-scene', files, settings, {
+        dev: 'vite',
+        build: 'vite build',
+        preview: 'vite preview',
+      }, { vite: '^5.0.0' }),
+      'index.html': MOUNT_HTML('Three.js Scene', '<script type="module" src="/src/main.js"></script>'),
+      ...(hasShaderFiles(files) ? { 'vite.config.js': viteConfig } : {}),
+      'src/main.js': main,
+      'src/scene.js': generateSceneModule(code),
+      ...getModuleFiles(files, 'src/'),
+      'README.md': readme,
+    },
+    assetDirectory: 'public/',
+    fileName: 'threejs-scene-vite.zip',
+  };
+}
+
+function buildWebpackExport(files: ProjectFile[], settings: ProjectSettings): ExportBundle {
+  const code = getEntryFile(files)?.content ?? '';
+
+  const index = `import { mount, dispose } from './scene.js';
+
+mount(document.getElementById('app')).catch((error) => {
+  console.error('Scene failed to start:', error);
+});
+
+// HMR: dispose the old scene before the updated module mounts a new one
+if (import.meta.webpackHot) {
+  import.meta.webpackHot.dispose(() => {
+    dispose();
+  });
+  import.meta.webpackHot.accept();
+}
+`;
+
+  const config = `import path from 'node:path';
+import HtmlWebpackPlugin from 'html-webpack-plugin';
+import CopyWebpackPlugin from 'copy-webpack-plugin';
+
+export default {
+  entry: './src/index.js',
+  output: {
+    path: path.resolve('dist'),
+    clean: true,
+  },
+  module: {
+    rules: [
+      // Shader files are imported as strings
+      { test: /\\.(glsl|vert|frag|vs|fs)$/, type: 'asset/source' },
+    ],
+  },
+  plugins: [
+    new HtmlWebpackPlugin({ template: './index.html' }),
+    new CopyWebpackPlugin({ patterns: [{ from: 'public', noErrorOnMissing: true }] }),
+  ],
+  devServer: {
+    static: 'public',
+    hot: true,
+  },
+};
+`;
+
+  const readme = `# Three.js Scene (Webpack)
+
+Exported from the 3js IDE as an HMR-safe Webpack project.
+
+## Getting Started
+
+\`\`\`bash
+npm install
+npm start
+\`\`\`
+
+## Contents
+
+- \`index.html\` - Page template with the \`#app\` container
+- \`src/index.js\` - Mounts the scene and registers the \`import.meta.webpackHot.dispose\` hook
+- \`src/scene.js\` - Your scene code with generated \`mount()\`/\`dispose()\`
+- \`public/\` - Models and textures, served at their original \`/models/...\` paths
+
+${CLEANUP_NOTES}`;
+
+  return {
+    files: {
+      'package.json': getPackageJSON('threejs-scene', files, settings, {
+        start: 'webpack serve --mode development',
+        build: 'webpack --mode production',
+      }, {
+        'copy-webpack-plugin': '^12.0.0',
+        'html-webpack-plugin': '^5.6.0',
+        webpack: '^5.90.0',
+        'webpack-cli': '^5.1.0',
+        'webpack-dev-server': '^5.0.0',
+      }),
+      'webpack.config.js': config,
+      'index.html': MOUNT_HTML('Three.js Scene', ''),
+      'src/index.js': index,
+      'src/scene.js': generateSceneModule(code),
+      ...getModuleFiles(files, 'src/'),
+      'README.md': readme,
+    },
+    assetDirectory: 'public/',
+    fileName: 'threejs-scene-webpack.zip',
+  };
+}
+
+function buildModuleExport(files: ProjectFile[], settings: ProjectSettings): ExportBundle {
+  const code = getEntryFile(files)?.content ?? '';
+
+  const example = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Three.js Scene</title>
+    <script type="importmap">
+    ${getImportmapJSON(files, settings)}
+    </script>
+    <style>
+        body { margin: 0; overflow: hidden; }
+        #app { width: 100vw; height: 100vh; }
+    </style>
+</head>
+<body>
+    <div id="app"></div>
+    <script type="module">
+        import { mount } from './scene.js';
+        mount(document.getElementById('app')).catch((error) => {
+            console.error('Scene failed to start:', error);
+        });
+    </script>
+</body>
+</html>
+`;
+
+  const readme = `# Three.js Scene (ES Module)
+
+Exported from the 3js IDE as an ES module with a \`mount(container)\` / \`dispose()\` API.
+
+## Usage
+
+\`\`\`javascript
+import { mount, dispose } from './scene.js';
+
+mount(document.getElementById('app')).catch((error) => {
+  console.error('Scene failed to start:', error);
+});
+
+// Later, e.g. on route change
+dispose();
+\`\`\`
+
+### Vite HMR
+
+\`\`\`javascript
+if (import.meta.hot) {
+  import.meta.hot.dispose(() => dispose());
+  import.meta.hot.accept();
+}
+\`\`\`
+
+### Webpack HMR
+
+\`\`\`javascript
+if (import.meta.webpackHot) {
+  import.meta.webpackHot.dispose(() => dispose());
+  import.meta.webpackHot.accept();
+}
+\`\`\`
+
+\`example.html\` shows standalone use with an importmap (serve the folder with any static server).
+Install \`three\` (v${settings.threeVersion}) when using a bundler.
+
+${CLEANUP_NOTES}`;
+
+  return {
+    files: {
+      'scene.js': generateSceneModule(code),
+      ...getModuleFiles(files, ''),
+      'example.html': example,
+      'README.md': readme,
+    },
+    assetDirectory: '',
+    fileName: 'threejs-scene-module.zip',
+  };
+}
+
+function buildReactExport(files: ProjectFile[], settings: ProjectSettings): ExportBundle {
+  const code = getEntryFile(files)?.content ?? '';
+
+  const component = `import { useEffect, useRef } from 'react';
+import { mount, dispose } from './scene.js';
+
+/**
+ * Three.js scene exported from the 3js IDE.
+ * Mounts on first render and disposes every resource on unmount, including
+ * what a scene unmounted while still loading creates afterwards.
+ */
+export default function ThreeScene({ className, style }) {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    mount(containerRef.current).catch((error) => {
+      console.error('Scene failed to start:', error);
+    });
+    return () => dispose();
+  }, []);
+
+  return (
+    <div
+      ref={containerRef}
+      className={className}
+      style={{ position: 'relative', width: '100%', height: '100%', ...style }}
+    />
+  );
+}
+`;
+
+  const readme = `# Three.js Scene (React)
+
+Exported from the 3js IDE as a React component.
+
+## Usage
+
+1. Copy \`ThreeScene.jsx\`, \`scene.js\` and any other modules into your components folder
+2. Copy the asset folders (\`models/\`, \`images/\`, ...) into your app's public folder
+3. \`npm install three@${settings.threeVersion}\`
+
+\`\`\`jsx
+import ThreeScene from './ThreeScene.jsx';
+
+export default function App() {
+  return <ThreeScene style={{ height: '100vh' }} />;
+}
+\`\`\`
+
+The component disposes the scene on unmount, so it is safe with React StrictMode,
+route changes and Fast Refresh: a scene unmounted while it is still loading (e.g. the
+first StrictMode mount) stops after its current top-level \`await\` and releases what it
+created. Errors thrown by the scene are logged.
+
+${CLEANUP_NOTES}`;
+
+  return {
+    files: {
+      'ThreeScene.jsx': component,
+      'scene.js': generateSceneModule(code),
+      ...getModuleFiles(files, ''),
+      'README.md': readme,
+    },
+    assetDirectory: 'public/',
+    fileName: 'threejs-scene-react.zip',
+  };
+}
+
+/**
+ * Build the files for an export target
+ * @param target - Export target
+ * @param files - Project files
+ * @param settings - Three.js version and locked package versions
+ * @returns Text files, the directory assets belong in and a zip file name
+ */
+export function buildExport(
+  target: ExportTarget,
+  files: ProjectFile[],
+  settings: ProjectSettings = DEFAULT_PROJECT_SETTINGS
+): ExportBundle {
+  const bundle = buildTargetExport(target, files, settings);
+  bundle.files[PROJECT_MANIFEST_FILE] = JSON.stringify({ v: SHARE_PAYLOAD_VERSION, files, settings }, null, 2) + '\n';
+  return bundle;
+}
+
+function buildTargetExport(target: ExportTarget, files: ProjectFile[], settings: ProjectSettings): ExportBundle {
+  switch (target) {
+    case 'vite':
+      return buildViteExport(files, settings);
+    case 'webpack':
+      return buildWebpackExport(files, settings);
+    case 'module':
+      return buildModuleExport(files, settings);
+    case 'react':
+      return buildReactExport(files, settings);
+    case 'html':
+    default:
+      return buildHtmlExport(files, settings);
+  }
+}
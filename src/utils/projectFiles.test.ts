@@ -0,0 +1,81 @@
+import {
+  normalizeFilePath,
+  resolveRelativePath,
+  rewriteRelativeImports,
+  getPreviewModules,
+  getPreviewEntryCode,
+} from './projectFiles';
+
+const files = [
+  { path: 'main.js', content: "import * as THREE from 'three';\nimport { makePlanet } from './lib/planets.js';\n" },
+  { path: 'lib/planets.js', content: "import vertex from '../shaders/planet.vert';\nimport { orbit } from './orbits/orbit.js';\nexport { makePlanet } from './missing.js';\n" },
+  { path: 'lib/orbits/orbit.js', content: "import config from '../../config.json';\nexport const orbit = () => config;\n" },
+  { path: 'shaders/planet.vert', content: 'void main() {}' },
+  { path: 'config.json', content: '{}' },
+];
+
+describe('normalizeFilePath', () => {
+  it('drops empty, leading and "." segments', () => {
+    expect(normalizeFilePath('/lib//planets.js')).toBe('lib/planets.js');
+    expect(normalizeFilePath('./lib/./planets.js')).toBe('lib/planets.js');
+    expect(normalizeFilePath('  lib\\planets.js ')).toBe('lib/planets.js');
+  });
+
+  it('resolves ".." segments', () => {
+    expect(normalizeFilePath('lib/orbits/../planets.js')).toBe('lib/planets.js');
+    expect(normalizeFilePath('lib/../../planets.js')).toBeNull();
+    expect(normalizeFilePath('../planets.js')).toBeNull();
+  });
+
+  it('rejects paths without a file', () => {
+    expect(normalizeFilePath('')).toBeNull();
+    expect(normalizeFilePath('./')).toBeNull();
+    expect(normalizeFilePath('lib/..')).toBeNull();
+  });
+});
+
+describe('resolveRelativePath', () => {
+  it('resolves against the importing file\'s directory', () => {
+    expect(resolveRelativePath('./planets.js', 'main.js')).toBe('planets.js');
+    expect(resolveRelativePath('./orbit.js', 'lib/orbits/moon.js')).toBe('lib/orbits/orbit.js');
+    expect(resolveRelativePath('../shaders/ink.frag', 'lib/planets.js')).toBe('shaders/ink.frag');
+    expect(resolveRelativePath('../../config.json', 'lib/orbits/orbit.js')).toBe('config.json');
+  });
+
+  it('rejects specifiers that escape the project root', () => {
+    expect(resolveRelativePath('../planets.js', 'main.js')).toBeNull();
+    expect(resolveRelativePath('../../planets.js', 'lib/planets.js')).toBeNull();
+  });
+});
+
+describe('rewriteRelativeImports', () => {
+  it('rewrites imports from nested modules to project specifiers', () => {
+    expect(rewriteRelativeImports(files[1].content, 'lib/planets.js', files, 3)).toBe(
+      "import vertex from '@project/3/shaders/planet.vert';\nimport { orbit } from '@project/3/lib/orbits/orbit.js';\nexport { makePlanet } from './missing.js';\n"
+    );
+    expect(rewriteRelativeImports(files[2].content, 'lib/orbits/orbit.js', files, 3)).toBe(
+      "import config from '@project/3/config.json';\nexport const orbit = () => config;\n"
+    );
+  });
+
+  it('leaves package and escaping imports untouched', () => {
+    const code = "import * as THREE from 'three';\nimport x from '../outside.js';\n";
+    expect(rewriteRelativeImports(code, 'main.js', files, 3)).toBe(code);
+  });
+});
+
+describe('getPreviewModules', () => {
+  it('sends every file but the entry, with JS imports rewritten', () => {
+    const modules = getPreviewModules(files, 7);
+    expect(modules.map(m => [m.specifier, m.language])).toEqual([
+      ['@project/7/lib/planets.js', 'javascript'],
+      ['@project/7/lib/orbits/orbit.js', 'javascript'],
+      ['@project/7/shaders/planet.vert', 'glsl'],
+      ['@project/7/config.json', 'json'],
+    ]);
+    expect(modules[2].content).toBe('void main() {}');
+    expect(getPreviewEntryCode(files, 7)).toBe(
+      "import * as THREE from 'three';\nimport { makePlanet } from '@project/7/lib/planets.js';\n"
+    );
+  });
+});
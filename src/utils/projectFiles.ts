@@ -0,0 +1,194 @@
+/**
+ * Project Files Utility
+ * Multi-file project model: file helpers, relative import resolution
+ * and the specifier rewriting used to run projects inside the preview
+ */
+
+import { parseImports, replaceImportSources } from './importParser';
+import { DEFAULT_THREE_VERSION, isThreeVersion } from './threeVersions';
+import { VersionLock, isExactVersion } from './versionLock';
+
+export type ProjectFileLanguage = 'javascript' | 'glsl' | 'json' | 'plaintext';
+
+export interface ProjectFile {
+  path: string;       // 'main.js', 'lib/planets.js', 'shaders/nebula.frag'
+  content: string;
+}
+
+export interface ProjectSettings {
+  threeVersion: string;  // exact release the preview and exports load, e.g. '0.157.0'
+  lock: VersionLock;     // exact versions of unversioned package imports
+}
+
+export interface PreviewModule {
+  specifier: string;  // importmap key, e.g. '@project/3/planets.js'
+  language: ProjectFileLanguage;
+  content: string;
+}
+
+/**
+ * Every project has exactly one entry module - the file the preview runs
+ */
+export const ENTRY_FILE = 'main.js';
+
+/**
+ * Settings for new projects and for projects saved without settings
+ */
+export const DEFAULT_PROJECT_SETTINGS: ProjectSettings = {
+  threeVersion: DEFAULT_THREE_VERSION,
+  lock: {},
+};
+
+/**
+ * Prefix for project-local modules in the preview importmap
+ * e.g. './planets.js' imported from 'main.js' -> '@project/3/planets.js'
+ * The run number keeps each run's mappings unique: browsers ignore
+ * importmap entries for specifiers that were already resolved.
+ */
+export function getProjectSpecifierPrefix(runId: number): string {
+  return `@project/${runId}/`;
+}
+
+/**
+ * Path of the project file a project specifier points at
+ * e.g. '@project/3/lib/planets.js' -> 'lib/planets.js'
+ * @returns null for other specifiers
+ */
+export function getPathFromProjectSpecifier(specifier: string): string | null {
+  const match = specifier.match(/^@project\/\d+\/(.+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a new project with the given code as its entry module
+ */
+export function createProject(entryCode: string): ProjectFile[] {
+  return [{ path: ENTRY_FILE, content: entryCode }];
+}
+
+/**
+ * Detect the editor language of a file from its extension
+ */
+export function getFileLanguage(path: string): ProjectFileLanguage {
+  if (/\.(m?js|jsx)$/i.test(path)) return 'javascript';
+  if (/\.(glsl|vert|frag|vs|fs)$/i.test(path)) return 'glsl';
+  if (/\.json$/i.test(path)) return 'json';
+  return 'plaintext';
+}
+
+/**
+ * Get the entry module of a project (falls back to the first JS file)
+ */
+export function getEntryFile(files: ProjectFile[]): ProjectFile | undefined {
+  return files.find(f => f.path === ENTRY_FILE)
+    || files.find(f => getFileLanguage(f.path) === 'javascript');
+}
+
+/**
+ * Normalize a user-entered file path
+ * e.g. '/lib//planets.js' -> 'lib/planets.js'
+ * @returns Normalized path, or null if the path is not usable
+ */
+export function normalizeFilePath(path: string): string | null {
+  const segments: string[] = [];
+
+  for (const segment of path.trim().replace(/\\/g, '/').split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+      continue;
+    }
+    segments.push(segment);
+  }
+
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
+/**
+ * Check if a module specifier is relative ('./x.js', '../x.js')
+ */
+export function isRelativeSpecifier(specifier: string): boolean {
+  return specifier.startsWith('./') || specifier.startsWith('../');
+}
+
+/**
+ * Resolve a relative specifier against the importing file's path
+ * e.g. ('../shaders/ink.frag', 'lib/planets.js') -> 'shaders/ink.frag'
+ */
+export function resolveRelativePath(specifier: string, fromPath: string): string | null {
+  const directory = fromPath.includes('/') ? fromPath.slice(0, fromPath.lastIndexOf('/')) : '';
+  return normalizeFilePath(directory ? `${directory}/${specifier}` : specifier);
+}
+
+/**
+ * Rewrite relative imports in a module to project specifiers
+ * so the preview can map them to blob URLs through the importmap.
+ * Specifiers that don't match a project file are left untouched.
+ * @param code - Module source
+ * @param fromPath - Path of the module inside the project
+ * @param files - All project files
+ * @param runId - Preview run the specifiers are generated for
+ */
+export function rewriteRelativeImports(code: string, fromPath: string, files: ProjectFile[], runId: number): string {
+  const paths = new Set(files.map(f => f.path));
+
+  return replaceImportSources(code, parseImports(code), (imp) => {
+    if (!isRelativeSpecifier(imp.source)) return null;
+    const resolved = resolveRelativePath(imp.source, fromPath);
+    return resolved && paths.has(resolved) ? `${getProjectSpecifierPrefix(runId)}${resolved}` : null;
+  });
+}
+
+/**
+ * Build the module list the preview turns into blob URLs.
+ * JS modules get their relative imports rewritten; GLSL and JSON files
+ * are sent as-is and wrapped as default exports inside the preview.
+ */
+export function getPreviewModules(files: ProjectFile[], runId: number): PreviewModule[] {
+  const entry = getEntryFile(files);
+
+  return files
+    .filter(f => f !== entry)
+    .map(f => {
+      const language = getFileLanguage(f.path);
+      return {
+        specifier: `${getProjectSpecifierPrefix(runId)}${f.path}`,
+        language,
+        content: language === 'javascript' ? rewriteRelativeImports(f.content, f.path, files, runId) : f.content,
+      };
+    });
+}
+
+/**
+ * Get the entry module source ready for the preview
+ */
+export function getPreviewEntryCode(files: ProjectFile[], runId: number): string {
+  const entry = getEntryFile(files);
+  return entry ? rewriteRelativeImports(entry.content, entry.path, files, runId) : '';
+}
+
+/**
+ * Check if a project was saved in the expected shape
+ */
+export function isProjectFileList(value: unknown): value is ProjectFile[] {
+  return Array.isArray(value) && value.length > 0 && value.every(f =>
+    f && typeof f === 'object' && typeof f.path === 'string' && typeof f.content === 'string'
+  );
+}
+
+/**
+ * Read saved project settings, filling in defaults for missing or invalid fields
+ */
+export function parseProjectSettings(value: unknown): ProjectSettings {
+  const saved = (value && typeof value === 'object' ? value : {}) as Partial<ProjectSettings>;
+  const lock: VersionLock = {};
+  for (const [packageName, version] of Object.entries(saved.lock && typeof saved.lock === 'object' ? saved.lock : {})) {
+    if (isExactVersion(version)) lock[packageName] = version;
+  }
+
+  return {
+    threeVersion: isThreeVersion(saved.threeVersion) ? saved.threeVersion : DEFAULT_PROJECT_SETTINGS.threeVersion,
+    lock,
+  };
+}
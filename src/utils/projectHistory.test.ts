@@ -0,0 +1,81 @@
+import 'fake-indexeddb/auto';
+import { diffSnapshotFiles, getSnapshotLabel, addSnapshot, listSnapshots, ProjectSnapshot } from './projectHistory';
+import { addProject, deleteProject } from './projectLibrary';
+import { DEFAULT_PROJECT_SETTINGS } from './projectFiles';
+
+const files = [{ path: 'main.js', content: 'const scene = 1;' }];
+
+describe('diffSnapshotFiles', () => {
+  test('reports added, removed, modified and unchanged files', () => {
+    const base = [
+      { path: 'main.js', content: 'a' },
+      { path: 'planets.js', content: 'b' },
+      { path: 'old.js', content: 'c' },
+    ];
+    const compare = [
+      { path: 'main.js', content: 'a' },
+      { path: 'planets.js', content: 'b2' },
+      { path: 'shaders/nebula.frag', content: 'd' },
+    ];
+
+    expect(diffSnapshotFiles(base, compare)).toEqual([
+      { path: 'main.js', status: 'unchanged' },
+      { path: 'old.js', status: 'removed' },
+      { path: 'planets.js', status: 'modified' },
+      { path: 'shaders/nebula.frag', status: 'added' },
+    ]);
+  });
+});
+
+describe('getSnapshotLabel', () => {
+  test('prefers the user label over the kind', () => {
+    const snapshot: ProjectSnapshot = {
+      id: '1',
+      projectId: 'p',
+      createdAt: 0,
+      kind: 'save',
+      files: [],
+      settings: DEFAULT_PROJECT_SETTINGS,
+    };
+
+    expect(getSnapshotLabel(snapshot)).toBe('Save point');
+    expect(getSnapshotLabel({ ...snapshot, label: 'Working orbit' })).toBe('Working orbit');
+  });
+});
+
+describe('snapshots', () => {
+  test('records snapshots newest first and skips unchanged runs', async () => {
+    const project = await addProject('History', files, DEFAULT_PROJECT_SETTINGS);
+
+    const first = await addSnapshot(project.id, 'run', files, DEFAULT_PROJECT_SETTINGS);
+    expect(first).toMatchObject({ projectId: project.id, kind: 'run', files });
+    expect(await addSnapshot(project.id, 'run', files, DEFAULT_PROJECT_SETTINGS)).toBeNull();
+
+    const saved = await addSnapshot(project.id, 'save', files, DEFAULT_PROJECT_SETTINGS, 'Working orbit');
+    expect(saved).toMatchObject({ kind: 'save', label: 'Working orbit' });
+    expect((await listSnapshots(project.id)).map(snapshot => snapshot.id).sort()).toEqual([first!.id, saved!.id].sort());
+    expect(await listSnapshots('other')).toEqual([]);
+  });
+
+  test('keeps the latest 50 run snapshots and every save point', async () => {
+    const project = await addProject('Busy', files, DEFAULT_PROJECT_SETTINGS);
+    await addSnapshot(project.id, 'save', files, DEFAULT_PROJECT_SETTINGS);
+
+    for (let i = 0; i < 55; i++) {
+      await addSnapshot(project.id, 'run', [{ path: 'main.js', content: `const scene = ${i};` }], DEFAULT_PROJECT_SETTINGS);
+    }
+
+    const snapshots = await listSnapshots(project.id);
+    expect(snapshots.filter(snapshot => snapshot.kind === 'run')).toHaveLength(50);
+    expect(snapshots.filter(snapshot => snapshot.kind === 'save')).toHaveLength(1);
+  });
+
+  test('are deleted with their project', async () => {
+    const project = await addProject('Gone', files, DEFAULT_PROJECT_SETTINGS);
+    await addSnapshot(project.id, 'save', files, DEFAULT_PROJECT_SETTINGS);
+
+    await deleteProject(project.id);
+
+    expect(await listSnapshots(project.id)).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Project History Utility
+ * Snapshots of a project's files and settings, taken on successful runs and
+ * at explicit save points, stored alongside the project library
+ */
+
+import { ProjectFile, ProjectSettings } from './projectFiles';
+import { withLibraryStore, createLibraryId, SNAPSHOT_STORE_NAME } from './projectLibrary';
+
+export type SnapshotKind = 'run' | 'save' | 'restore';
+
+export interface ProjectSnapshot {
+  id: string;
+  projectId: string;
+  createdAt: number;
+  kind: SnapshotKind;   // run: automatic, save: save point, restore: state replaced by a restore/reset
+  label?: string;
+  files: ProjectFile[];
+  settings: ProjectSettings;
+}
+
+export type FileChangeStatus = 'added' | 'removed' | 'modified' | 'unchanged';
+
+export interface FileChange {
+  path: string;
+  status: FileChangeStatus;
+}
+
+/**
+ * Automatic run snapshots kept per project - save points are never pruned
+ */
+const MAX_RUN_SNAPSHOTS = 50;
+
+const KIND_LABELS: Record<SnapshotKind, string> = {
+  run: 'Run',
+  save: 'Save point',
+  restore: 'Before restore',
+};
+
+/**
+ * A project's snapshots, newest first
+ */
+export async function listSnapshots(projectId: string): Promise<ProjectSnapshot[]> {
+  const snapshots = await withLibraryStore<ProjectSnapshot[]>(SNAPSHOT_STORE_NAME, 'readonly', store =>
+    store.index('projectId').getAll(projectId)
+  );
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Record a snapshot
+ * Run snapshots identical to the latest snapshot are skipped.
+ * @returns The new snapshot, or null when nothing changed
+ */
+export async function addSnapshot(
+  projectId: string,
+  kind: SnapshotKind,
+  files: ProjectFile[],
+  settings: ProjectSettings,
+  label?: string
+): Promise<ProjectSnapshot | null> {
+  const snapshots = await listSnapshots(projectId);
+
+  if (kind === 'run' && snapshots.length > 0 && isSameContent(snapshots[0], files, settings)) {
+    return null;
+  }
+
+  const snapshot: ProjectSnapshot = {
+    id: createLibraryId(),
+    projectId,
+    createdAt: Date.now(),
+    kind,
+    ...(label && { label }),
+    files,
+    settings,
+  };
+  await withLibraryStore(SNAPSHOT_STORE_NAME, 'readwrite', store => store.add(snapshot));
+
+  // Drop the oldest automatic snapshots beyond the limit
+  const runSnapshots = snapshots.filter(s => s.kind === 'run');
+  const excess = runSnapshots.slice(kind === 'run' ? MAX_RUN_SNAPSHOTS - 1 : MAX_RUN_SNAPSHOTS);
+  for (const old of excess) {
+    await withLibraryStore(SNAPSHOT_STORE_NAME, 'readwrite', store => store.delete(old.id));
+  }
+
+  return snapshot;
+}
+
+function isSameContent(snapshot: ProjectSnapshot, files: ProjectFile[], settings: ProjectSettings): boolean {
+  return JSON.stringify({ files: snapshot.files, settings: snapshot.settings }) === JSON.stringify({ files, settings });
+}
+
+/**
+ * Display name of a snapshot
+ */
+export function getSnapshotLabel(snapshot: ProjectSnapshot): string {
+  return snapshot.label || KIND_LABELS[snapshot.kind];
+}
+
+/**
+ * Per-file changes from one set of files to another, in path order
+ */
+export function diffSnapshotFiles(base: ProjectFile[], compare: ProjectFile[]): FileChange[] {
+  const baseContent = new Map(base.map(f => [f.path, f.content]));
+  const compareContent = new Map(compare.map(f => [f.path, f.content]));
+  const paths = Array.from(new Set([...Array.from(baseContent.keys()), ...Array.from(compareContent.keys())])).sort();
+
+  return paths.map((path): FileChange => {
+    if (!baseContent.has(path)) return { path, status: 'added' };
+    if (!compareContent.has(path)) return { path, status: 'removed' };
+    return { path, status: baseContent.get(path) === compareContent.get(path) ? 'unchanged' : 'modified' };
+  });
+}
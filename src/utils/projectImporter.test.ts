@@ -0,0 +1,82 @@
+import { importProject, unwrapSceneModule, ImportEntries } from './projectImporter';
+import { buildExport, generateSceneModule, PROJECT_MANIFEST_FILE } from './projectExporter';
+
+const files = [
+  { path: 'main.js', content: "import * as THREE from 'three';\nimport gsap from 'gsap';\nimport { makePlanet } from './lib/planets.js';\n\nconst scene = new THREE.Scene();\nscene.add(makePlanet());\n" },
+  { path: 'lib/planets.js', content: "import * as THREE from 'three';\nexport const makePlanet = () => new THREE.Mesh();\n" },
+];
+const settings = { threeVersion: '0.165.0', lock: { gsap: '3.12.5' } };
+
+function toEntries(textFiles: Record<string, string>, prefix = ''): ImportEntries {
+  return new Map(Object.entries(textFiles).map(([path, content]) => [`${prefix}${path}`, new Blob([content])]));
+}
+
+describe('importProject', () => {
+  test('restores our own exports exactly from the manifest', async () => {
+    const bundle = buildExport('vite', files, settings);
+
+    const imported = await importProject(toEntries(bundle.files, 'threejs-scene-vite/'));
+
+    expect(imported.files).toEqual(files);
+    expect(imported.settings).toEqual(settings);
+  });
+
+  test('extracts the inline module script and importmap versions from index.html', async () => {
+    const { files: exported } = buildExport('html', files, settings);
+    delete exported[PROJECT_MANIFEST_FILE];
+
+    const imported = await importProject(toEntries({ ...exported, '__MACOSX/._index.html': '' }));
+
+    expect(imported.files.map(f => f.path)).toEqual(['main.js', 'lib/planets.js']);
+    expect(imported.files[0].content).toBe(files[0].content);
+    expect(imported.settings).toEqual(settings);
+  });
+
+  test('unwraps generated scene modules and reads versions from package.json', async () => {
+    const { files: exported } = buildExport('webpack', files, settings);
+    delete exported[PROJECT_MANIFEST_FILE];
+
+    const imported = await importProject(toEntries(exported));
+
+    expect(imported.files.map(f => f.path)).toEqual(['main.js', 'lib/planets.js']);
+    expect(imported.settings).toEqual(settings);
+  });
+
+  test('uses the module a plain folder loads from index.html', async () => {
+    const imported = await importProject(toEntries({
+      'index.html': '<script type="module" src="./js/app.js"></script>',
+      'js/app.js': "import { a } from './a.js';",
+      'js/a.js': 'export const a = 1;',
+      'notes.txt': 'not a module',
+    }));
+
+    expect(imported.files).toEqual([
+      { path: 'main.js', content: "import { a } from './a.js';" },
+      { path: 'a.js', content: 'export const a = 1;' },
+    ]);
+  });
+
+  test('keeps a main.js beside an entry from elsewhere under a new name', async () => {
+    const imported = await importProject(toEntries({
+      'index.html': '<script type="module">\n  import \'./main.js\';\n  import { b } from "./lib/b.js";\n</script>',
+      'main.js': "import { b } from './lib/b.js';\nconsole.log(b);",
+      'lib/b.js': "export const b = 1;\nexport * from '../main.js';",
+    }));
+
+    expect(imported.files).toEqual([
+      { path: 'main.js', content: "import './main-2.js';\nimport { b } from \"./lib/b.js\";\n" },
+      { path: 'main-2.js', content: "import { b } from './lib/b.js';\nconsole.log(b);" },
+      { path: 'lib/b.js', content: "export const b = 1;\nexport * from '../main-2.js';" },
+    ]);
+  });
+
+  test('rejects folders without an entry module', async () => {
+    await expect(importProject(toEntries({ 'readme.md': '# hi' }))).rejects.toThrow('No index.html');
+  });
+});
+
+describe('unwrapSceneModule', () => {
+  test('inverts generateSceneModule', () => {
+    expect(unwrapSceneModule(generateSceneModule(files[0].content))).toBe(files[0].content);
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Project Importer Utility
+ * Turns a ZIP archive (including the IDE's own exports) or a folder back into
+ * a project: the entry module from index.html or a generated scene.js, the
+ * other modules beside it, settings from the importmap or package.json, and
+ * assets keyed by the paths the code loads them from
+ */
+
+import JSZip from 'jszip';
+import {
+  ProjectFile,
+  ProjectSettings,
+  DEFAULT_PROJECT_SETTINGS,
+  ENTRY_FILE,
+  getFileLanguage,
+  normalizeFilePath,
+  isRelativeSpecifier,
+  resolveRelativePath,
+} from './projectFiles';
+import { parseImports, replaceImportSources } from './importParser';
+import { ProjectAssets, ASSET_EXTENSIONS } from './projectAssets';
+import { parseSharePayload, decodeShareAssets } from './sharePayload';
+import { PROJECT_MANIFEST_FILE, CANCELLATION_CHECK } from './projectExporter';
+import { isThreeVersion } from './threeVersions';
+import { VersionLock, getBasePackageName, isExactVersion } from './versionLock';
+
+/**
+ * Archive or folder contents: path -> file
+ */
+export type ImportEntries = Map<string, Blob>;
+
+export interface ImportedProject {
+  files: ProjectFile[];
+  settings: ProjectSettings;
+  assets: ProjectAssets;
+}
+
+// Never part of a project
+const IGNORED_PATHS = /(^|\/)(__MACOSX|node_modules|\.git|dist|build)\/|(^|\/)\.DS_Store$/;
+
+// Tooling and generated wrappers from exports
+const NON_PROJECT_FILES = /(^|\/)(package(-lock)?\.json|tsconfig\.json|jsconfig\.json|(vite|webpack)\.config\.m?js|ThreeScene\.jsx|App\.jsx)$/;
+
+// Start of the runtime generateSceneModule places between the imports and the scene code
+const SCENE_RUNTIME_MARKER = '// --- Generated by the 3js IDE';
+const RUN_SCENE_PATTERN = /\nasync function runScene\([^)]*\) \{\n([\s\S]*)\n\}\s*$/;
+
+/**
+ * Read the files in a ZIP archive
+ */
+export async function readZipEntries(zipFile: Blob): Promise<ImportEntries> {
+  const zip = await JSZip.loadAsync(zipFile);
+  const entries: ImportEntries = new Map();
+  for (const file of Object.values(zip.files)) {
+    if (!file.dir) {
+      entries.set(file.name, await file.async('blob'));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read the files picked with a directory <input>
+ */
+export function readFileListEntries(files: File[]): ImportEntries {
+  return new Map(files.map(file => [file.webkitRelativePath || file.name, file]));
+}
+
+/**
+ * Read a folder dropped on the page (DataTransferItem.webkitGetAsEntry)
+ */
+export async function readDroppedFolder(root: FileSystemDirectoryEntry): Promise<ImportEntries> {
+  const entries: ImportEntries = new Map();
+
+  const readDirectory = async (directory: FileSystemDirectoryEntry, prefix: string) => {
+    const reader = directory.createReader();
+    // readEntries returns results in batches until it returns none
+    for (;;) {
+      const batch = await new Promise<FileSystemEntry[]>((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) break;
+      for (const entry of batch) {
+        if (entry.isDirectory) {
+          await readDirectory(entry as FileSystemDirectoryEntry, `${prefix}${entry.name}/`);
+        } else {
+          const file = await new Promise<File>((resolve, reject) => (entry as FileSystemFileEntry).file(resolve, reject));
+          entries.set(`${prefix}${entry.name}`, file);
+        }
+      }
+    }
+  };
+
+  await readDirectory(root, '');
+  return entries;
+}
+
+/**
+ * Normalize entry paths, drop system files and the folder everything is wrapped in
+ */
+function normalizeEntries(entries: ImportEntries): ImportEntries {
+  const normalized: ImportEntries = new Map();
+  entries.forEach((blob, path) => {
+    const normalizedPath = normalizeFilePath(path);
+    if (normalizedPath && !IGNORED_PATHS.test(normalizedPath)) {
+      normalized.set(normalizedPath, blob);
+    }
+  });
+
+  // 'my-scene/index.html', 'my-scene/models/a.obj' -> 'index.html', 'models/a.obj'
+  const paths = Array.from(normalized.keys());
+  const root = paths[0]?.split('/')[0];
+  if (root && paths.every(path => path.startsWith(`${root}/`))) {
+    const unwrapped: ImportEntries = new Map();
+    normalized.forEach((blob, path) => unwrapped.set(path.slice(root.length + 1), blob));
+    return normalizeEntries(unwrapped);
+  }
+
+  return normalized;
+}
+
+function getDirectory(path: string): string {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index + 1);
+}
+
+/**
+ * Remove the indentation shared by every non-empty line
+ */
+function dedent(code: string): string {
+  const lines = code.replace(/^\s*\n/, '').trimEnd().split('\n');
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)![0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent)).join('\n') + '\n';
+}
+
+/**
+ * Undo generateSceneModule: the imports plus the body of runScene(),
+ * without the cancellation checks added after statements that await
+ */
+export function unwrapSceneModule(source: string): string | null {
+  const markerIndex = source.indexOf(SCENE_RUNTIME_MARKER);
+  const match = source.match(RUN_SCENE_PATTERN);
+  if (markerIndex === -1 || !match) return null;
+
+  const imports = source.slice(0, markerIndex).trim();
+  const body = match[1].split(`;${CANCELLATION_CHECK}`).join('').split(` ${CANCELLATION_CHECK}`).join('');
+  return `${imports ? `${imports}\n\n` : ''}${body.trimEnd()}\n`;
+}
+
+interface HtmlScript {
+  attributes: string;
+  content: string;
+}
+
+function getScripts(html: string): HtmlScript[] {
+  const scripts: HtmlScript[] = [];
+  const pattern = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    scripts.push({ attributes: match[1], content: match[2] });
+  }
+  return scripts;
+}
+
+const getAttribute = (attributes: string, name: string) =>
+  attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+
+/**
+ * Three.js version and exact package versions from importmap URLs
+ * e.g. https://cdn.jsdelivr.net/npm/three@0.165.0/build/three.module.js, https://esm.sh/gsap@3.12.5
+ */
+function readImportmapSettings(importmapJson: string): ProjectSettings {
+  const settings: ProjectSettings = { ...DEFAULT_PROJECT_SETTINGS, lock: {} };
+  let imports: Record<string, string> = {};
+  try {
+    imports = JSON.parse(importmapJson).imports ?? {};
+  } catch (error) {
+    return settings;
+  }
+
+  for (const [specifier, url] of Object.entries(imports)) {
+    const packageName = getBasePackageName(specifier.replace(/\/$/, ''));
+    const version = typeof url === 'string' ? url.match(new RegExp(`${packageName.replace('/', '\\/')}@([^/?]+)`))?.[1] : undefined;
+    if (!version) continue;
+    if (packageName === 'three') {
+      if (isThreeVersion(version)) settings.threeVersion = version;
+    } else if (isExactVersion(version)) {
+      settings.lock[packageName] = version;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Three.js version and pinned versions from package.json dependencies ("^0.165.0" -> 0.165.0)
+ */
+function readPackageJsonSettings(packageJson: string): ProjectSettings {
+  const settings: ProjectSettings = { ...DEFAULT_PROJECT_SETTINGS, lock: {} };
+  let dependencies: Record<string, string> = {};
+  try {
+    dependencies = JSON.parse(packageJson).dependencies ?? {};
+  } catch (error) {
+    return settings;
+  }
+
+  const lock: VersionLock = {};
+  for (const [packageName, range] of Object.entries(dependencies)) {
+    const version = String(range).replace(/^[\^~=]/, '');
+    if (packageName === 'three') {
+      if (isThreeVersion(version)) settings.threeVersion = version;
+    } else if (isExactVersion(version)) {
+      lock[packageName] = version;
+    }
+  }
+
+  return { ...settings, lock };
+}
+
+/**
+ * Find the entry module: a generated scene.js, an inline module script in
+ * index.html, the module index.html loads, or a conventional main.js
+ */
+async function findEntry(entries: ImportEntries): Promise<{ code: string; directory: string; sourcePath?: string; html?: string } | null> {
+  const paths = Array.from(entries.keys());
+  const read = (path: string) => entries.get(path)!.text();
+
+  // Generated scene modules (Vite, Webpack, ES module and React exports)
+  for (const path of paths.filter(p => /(^|\/)scene\.js$/.test(p))) {
+    const code = unwrapSceneModule(await read(path));
+    if (code) {
+      return { code, directory: getDirectory(path), sourcePath: path };
+    }
+  }
+
+  const htmlPath = paths.filter(p => /(^|\/)index\.html?$/i.test(p)).sort((a, b) => a.length - b.length)[0];
+  if (htmlPath) {
+    const html = await read(htmlPath);
+    const modules = getScripts(html).filter(script => getAttribute(script.attributes, 'type') === 'module');
+
+    const inline = modules.find(script => !getAttribute(script.attributes, 'src') && script.content.trim());
+    if (inline) {
+      return { code: dedent(inline.content), directory: getDirectory(htmlPath), html };
+    }
+
+    for (const script of modules) {
+      const src = getAttribute(script.attributes, 'src')!;
+      const path = src && normalizeFilePath(src.startsWith('/') ? src : `${getDirectory(htmlPath)}${src}`);
+      if (path && entries.has(path)) {
+        return { code: await read(path), directory: getDirectory(path), sourcePath: path, html };
+      }
+    }
+  }
+
+  const conventional = ['main.js', 'src/main.js', 'index.js', 'src/index.js'].find(path => entries.has(path));
+  if (conventional) {
+    return { code: await read(conventional), directory: getDirectory(conventional), sourcePath: conventional };
+  }
+
+  return null;
+}
+
+/**
+ * Asset files keyed by the path the preview serves them at
+ * (exports put them in public/ for bundler targets)
+ */
+function readAssets(entries: ImportEntries): ProjectAssets {
+  const assets: ProjectAssets = {};
+  entries.forEach((blob, path) => {
+    if (ASSET_EXTENSIONS.test(path)) {
+      assets[path.replace(/^public\//, '')] = blob;
+    }
+  });
+  return assets;
+}
+
+/**
+ * Point the relative imports of a module in every JS file at the module's new
+ * path in the same directory
+ */
+function redirectImports(files: ProjectFile[], from: string, to: string): ProjectFile[] {
+  const fileName = to.slice(to.lastIndexOf('/') + 1);
+  return files.map(file => {
+    if (getFileLanguage(file.path) !== 'javascript') return file;
+    const content = replaceImportSources(file.content, parseImports(file.content), (imp) => {
+      if (!isRelativeSpecifier(imp.source) || resolveRelativePath(imp.source, file.path) !== from) return null;
+      // './main.js' -> './main-2.js'
+      return imp.source.slice(0, imp.source.lastIndexOf('/') + 1) + fileName;
+    });
+    return { ...file, content };
+  });
+}
+
+/**
+ * Build a project from archive or folder contents
+ * @throws If no entry module can be found
+ */
+export async function importProject(rawEntries: ImportEntries): Promise<ImportedProject> {
+  const entries = normalizeEntries(rawEntries);
+  const assets = readAssets(entries);
+
+  // Our own exports carry the exact project
+  const manifest = entries.get(PROJECT_MANIFEST_FILE);
+  if (manifest) {
+    try {
+      const shared = parseSharePayload(JSON.parse(await manifest.text()));
+      if (shared) {
+        return { files: shared.files, settings: shared.settings, assets: { ...assets, ...decodeShareAssets(shared.assets) } };
+      }
+    } catch (error) {
+      console.warn(`Ignoring unreadable ${PROJECT_MANIFEST_FILE}:`, error);
+    }
+  }
+
+  const entry = await findEntry(entries);
+  if (!entry) {
+    throw new Error('No index.html, scene.js or main.js found');
+  }
+
+  // Modules beside the entry keep their paths relative to it
+  let files: ProjectFile[] = [{ path: ENTRY_FILE, content: entry.code }];
+  let siblingEntry: string | undefined;
+  for (const [path, blob] of Array.from(entries)) {
+    if (path === entry.sourcePath || !path.startsWith(entry.directory)) continue;
+    if (getFileLanguage(path) === 'plaintext' || NON_PROJECT_FILES.test(path) || path === PROJECT_MANIFEST_FILE) continue;
+    if (ASSET_EXTENSIONS.test(path) || path.startsWith('public/')) continue;
+
+    const projectPath = path.slice(entry.directory.length);
+    // Export wrappers around the scene module
+    if (entry.sourcePath?.endsWith('scene.js') && /^(main|index)\.js$/.test(projectPath)) continue;
+    if (projectPath === ENTRY_FILE) {
+      siblingEntry = await blob.text();
+    } else {
+      files.push({ path: projectPath, content: await blob.text() });
+    }
+  }
+
+  // The entry came from elsewhere (an inline script, index.js...) and a real
+  // main.js sits beside it: keep that one under a free name
+  if (siblingEntry !== undefined) {
+    const paths = new Set(files.map(f => f.path));
+    let suffix = 2;
+    while (paths.has(`main-${suffix}.js`)) suffix++;
+    const path = `main-${suffix}.js`;
+    files = redirectImports([files[0], { path, content: siblingEntry }, ...files.slice(1)], ENTRY_FILE, path);
+  }
+
+  const importmap = entry.html && getScripts(entry.html).find(script => getAttribute(script.attributes, 'type') === 'importmap');
+  const packageJson = entries.get('package.json');
+  const settings = importmap
+    ? readImportmapSettings(importmap.content)
+    : packageJson ? readPackageJsonSettings(await packageJson.text()) : DEFAULT_PROJECT_SETTINGS;
+
+  return { files, settings, assets };
+}
@@ -0,0 +1,138 @@
+import 'fake-indexeddb/auto';
+import {
+  getUniqueProjectName,
+  formatModifiedTime,
+  listProjects,
+  getProject,
+  addProject,
+  updateProject,
+  duplicateProject,
+  deleteProject,
+  getAssetRecords,
+  migrateLegacyProject,
+  withLibraryStore,
+  SNAPSHOT_STORE_NAME,
+  ASSET_STORE_NAME,
+} from './projectLibrary';
+import { DEFAULT_PROJECT_SETTINGS } from './projectFiles';
+
+const files = [{ path: 'main.js', content: "import * as THREE from 'three';\n" }];
+const settings = { threeVersion: '0.165.0', lock: { gsap: '3.12.5' } };
+
+// A project as version 1 of the database stored it, with version 2's inline assets
+const legacyRecord = {
+  id: 'legacy',
+  name: 'Old scene',
+  files,
+  settings,
+  createdAt: 1,
+  updatedAt: 2,
+  assets: { 'images/dot.png': 'data:image/png;base64,aGVsbG8=' },
+};
+
+function createVersion1Database(): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('threejs-ide-projects', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('projects', { keyPath: 'id' }).add(legacyRecord);
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+describe('getUniqueProjectName', () => {
+  test('numbers names that are already taken', () => {
+    expect(getUniqueProjectName('Untitled', [])).toBe('Untitled');
+    expect(getUniqueProjectName('Untitled', ['Untitled'])).toBe('Untitled 2');
+    expect(getUniqueProjectName('Untitled', ['Untitled', 'Untitled 2', 'Untitled 3'])).toBe('Untitled 4');
+  });
+});
+
+describe('formatModifiedTime', () => {
+  test('shows recent changes relative to now', () => {
+    const now = Date.UTC(2025, 9, 20, 12, 0);
+
+    expect(formatModifiedTime(now - 20 * 1000, now)).toBe('just now');
+    expect(formatModifiedTime(now - 5 * 60 * 1000, now)).toBe('5 min ago');
+    expect(formatModifiedTime(now - 3 * 60 * 60 * 1000, now)).toBe('3 h ago');
+  });
+});
+
+// The database module opens its connection once, so these run in order on one database
+describe('project database', () => {
+  beforeAll(createVersion1Database);
+
+  test('upgrades a version 1 database and moves inline assets to the asset store', async () => {
+    const projects = await listProjects();
+
+    expect(projects).toEqual([{ id: 'legacy', name: 'Old scene', files, settings, createdAt: 1, updatedAt: 2 }]);
+    const assets = await getAssetRecords('legacy');
+    expect(assets.map(asset => [asset.id, asset.path, asset.blob.type])).toEqual([['legacy/images/dot.png', 'images/dot.png', 'image/png']]);
+    expect(await assets[0].blob.text()).toBe('hello');
+    expect(await withLibraryStore(SNAPSHOT_STORE_NAME, 'readonly', store => store.count())).toBe(0);
+  });
+
+  test('adds, updates and lists projects', async () => {
+    const added = await addProject('Planets', files, settings, { 'models/ship.glb': new Blob(['ship']) });
+
+    expect(await getProject(added.id)).toEqual(added);
+    expect((await getAssetRecords(added.id)).map(asset => asset.path)).toEqual(['models/ship.glb']);
+
+    const withThumbnail = await updateProject(added.id, { thumbnail: 'data:image/jpeg;base64,' });
+    expect(withThumbnail.updatedAt).toBe(added.updatedAt);
+    const renamed = await updateProject(added.id, { name: 'Solar system' });
+    expect(renamed).toMatchObject({ name: 'Solar system', thumbnail: 'data:image/jpeg;base64,', createdAt: added.createdAt });
+    expect((await listProjects()).map(project => project.name)).toEqual(['Solar system', 'Old scene']);
+
+    await expect(updateProject('missing', { name: 'x' })).rejects.toThrow('Project not found: missing');
+  });
+
+  test('duplicates a project with its assets and thumbnail', async () => {
+    const original = (await listProjects())[0];
+
+    const copy = await duplicateProject(original.id);
+
+    expect(copy).toMatchObject({ name: 'Solar system copy', files, settings, thumbnail: original.thumbnail });
+    expect((await getAssetRecords(copy.id)).map(asset => asset.path)).toEqual(['models/ship.glb']);
+  });
+
+  test('deletes a project with its snapshots and assets', async () => {
+    const project = await addProject('Doomed', files, DEFAULT_PROJECT_SETTINGS, { 'images/a.png': new Blob(['a']) });
+    await withLibraryStore(SNAPSHOT_STORE_NAME, 'readwrite', store =>
+      store.add({ id: 'snapshot', projectId: project.id, createdAt: 0, kind: 'save', files, settings })
+    );
+
+    await deleteProject(project.id);
+
+    expect(await getProject(project.id)).toBeUndefined();
+    expect(await getAssetRecords(project.id)).toEqual([]);
+    expect(await withLibraryStore(SNAPSHOT_STORE_NAME, 'readonly', store => store.count())).toBe(0);
+    expect(await withLibraryStore(ASSET_STORE_NAME, 'readonly', store => store.count())).toBe(3);
+  });
+
+  test('moves the localStorage project into the library once', async () => {
+    localStorage.setItem('threejs-ide-project', JSON.stringify(files));
+    localStorage.setItem('threejs-ide-project-settings', JSON.stringify(settings));
+
+    const migrated = await migrateLegacyProject(['My scene']);
+
+    expect(migrated).toMatchObject({ name: 'My scene 2', files, settings });
+    expect(await getProject(migrated!.id)).toEqual(migrated);
+    expect(localStorage.getItem('threejs-ide-project')).toBeNull();
+    expect(localStorage.getItem('threejs-ide-project-settings')).toBeNull();
+    expect(await migrateLegacyProject([])).toBeNull();
+  });
+
+  test('moves code saved before multi-file projects', async () => {
+    localStorage.setItem('threejs-ide-code', 'const scene = 1;');
+
+    const migrated = await migrateLegacyProject([]);
+
+    expect(migrated).toMatchObject({ name: 'My scene', files: [{ path: 'main.js', content: 'const scene = 1;' }], settings: DEFAULT_PROJECT_SETTINGS });
+    expect(localStorage.getItem('threejs-ide-code')).toBeNull();
+  });
+});
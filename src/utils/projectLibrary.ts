@@ -0,0 +1,318 @@
+/**
+ * Project Library Utility
+ * Named projects saved in IndexedDB: files, settings, timestamps and a
+ * thumbnail of the preview. The same database holds each project's
+ * snapshot history (see projectHistory.ts) and asset files (see assetLibrary.ts).
+ */
+
+import {
+  ProjectFile,
+  ProjectSettings,
+  DEFAULT_PROJECT_SETTINGS,
+  createProject,
+  isProjectFileList,
+  parseProjectSettings,
+} from './projectFiles';
+import { ProjectAssets, dataUrlToBlob } from './projectAssets';
+
+export interface SavedProject {
+  id: string;
+  name: string;
+  files: ProjectFile[];
+  settings: ProjectSettings;
+  createdAt: number;
+  updatedAt: number;
+  thumbnail?: string;   // small JPEG data URL
+}
+
+export type ProjectChanges = Partial<Pick<SavedProject, 'name' | 'files' | 'settings' | 'thumbnail'>>;
+
+export interface StoredAsset {
+  id: string;          // `${projectId}/${path}` - one file per path
+  projectId: string;
+  path: string;        // e.g. 'models/spiked.obj'
+  blob: Blob;
+  addedAt: number;
+}
+
+const DB_NAME = 'threejs-ide-projects';
+const DB_VERSION = 3;
+const STORE_NAME = 'projects';
+export const SNAPSHOT_STORE_NAME = 'snapshots';
+export const ASSET_STORE_NAME = 'assets';
+const LAST_PROJECT_STORAGE_KEY = 'threejs-ide-last-project';
+
+// localStorage keys used before the project library
+const LEGACY_PROJECT_STORAGE_KEY = 'threejs-ide-project';
+const LEGACY_CODE_STORAGE_KEY = 'threejs-ide-code';
+const LEGACY_SETTINGS_STORAGE_KEY = 'threejs-ide-project-settings';
+
+const THUMBNAIL_WIDTH = 320;
+
+let databasePromise: Promise<IDBDatabase> | null = null;
+
+function openDatabase(): Promise<IDBDatabase> {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+        if (event.oldVersion < 2) {
+          const snapshots = db.createObjectStore(SNAPSHOT_STORE_NAME, { keyPath: 'id' });
+          snapshots.createIndex('projectId', 'projectId');
+        }
+        if (event.oldVersion < 3) {
+          const assets = db.createObjectStore(ASSET_STORE_NAME, { keyPath: 'id' });
+          assets.createIndex('projectId', 'projectId');
+          // Version 2 kept shared assets on the project as data URLs
+          const projects = request.transaction!.objectStore(STORE_NAME);
+          projects.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = (cursorEvent.target as IDBRequest<IDBCursorWithValue | null>).result;
+            if (!cursor) return;
+            const { assets: legacyAssets, ...project } = cursor.value as SavedProject & { assets?: Record<string, string> };
+            if (legacyAssets) {
+              for (const [path, dataUrl] of Object.entries(legacyAssets)) {
+                assets.put(createAssetRecord(project.id, path, dataUrlToBlob(dataUrl)));
+              }
+              cursor.update(project);
+            }
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run one request against a store of the library database
+ */
+export async function withLibraryStore<T>(
+  storeName: string,
+  mode: IDBTransactionMode,
+  callback: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+const withStore = <T>(mode: IDBTransactionMode, callback: (store: IDBObjectStore) => IDBRequest<T>) =>
+  withLibraryStore(STORE_NAME, mode, callback);
+
+/**
+ * Unique id for projects and snapshots
+ */
+export function createLibraryId(): string {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Asset store record for a project's file
+ */
+export function createAssetRecord(projectId: string, path: string, blob: Blob): StoredAsset {
+  return { id: `${projectId}/${path}`, projectId, path, blob, addedAt: Date.now() };
+}
+
+/**
+ * A project's asset records
+ */
+export function getAssetRecords(projectId: string): Promise<StoredAsset[]> {
+  return withLibraryStore<StoredAsset[]>(ASSET_STORE_NAME, 'readonly', store => store.index('projectId').getAll(projectId));
+}
+
+async function putAssets(projectId: string, assets: ProjectAssets): Promise<void> {
+  for (const [path, blob] of Object.entries(assets)) {
+    await withLibraryStore(ASSET_STORE_NAME, 'readwrite', store => store.put(createAssetRecord(projectId, path, blob)));
+  }
+}
+
+/**
+ * All saved projects, most recently modified first
+ */
+export async function listProjects(): Promise<SavedProject[]> {
+  const projects = await withStore<SavedProject[]>('readonly', store => store.getAll());
+  return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getProject(id: string): Promise<SavedProject | undefined> {
+  return withStore<SavedProject | undefined>('readonly', store => store.get(id));
+}
+
+/**
+ * Save a new project
+ */
+export async function addProject(name: string, files: ProjectFile[], settings: ProjectSettings, assets?: ProjectAssets): Promise<SavedProject> {
+  const now = Date.now();
+  const project: SavedProject = { id: createLibraryId(), name, files, settings, createdAt: now, updatedAt: now };
+  await withStore('readwrite', store => store.add(project));
+  if (assets) {
+    await putAssets(project.id, assets);
+  }
+  return project;
+}
+
+/**
+ * Update a saved project
+ * Content changes bump updatedAt; a new thumbnail alone doesn't.
+ */
+export async function updateProject(id: string, changes: ProjectChanges): Promise<SavedProject> {
+  const project = await getProject(id);
+  if (!project) {
+    throw new Error(`Project not found: ${id}`);
+  }
+
+  const isContentChange = changes.name !== undefined || changes.files !== undefined || changes.settings !== undefined;
+  const updated: SavedProject = {
+    ...project,
+    ...changes,
+    updatedAt: isContentChange ? Date.now() : project.updatedAt,
+  };
+  await withStore('readwrite', store => store.put(updated));
+  return updated;
+}
+
+/**
+ * Copy a project under a new name
+ */
+export async function duplicateProject(id: string): Promise<SavedProject> {
+  const project = await getProject(id);
+  if (!project) {
+    throw new Error(`Project not found: ${id}`);
+  }
+
+  const names = (await listProjects()).map(p => p.name);
+  const assets: ProjectAssets = {};
+  for (const asset of await getAssetRecords(id)) {
+    assets[asset.path] = asset.blob;
+  }
+  const copy = await addProject(getUniqueProjectName(`${project.name} copy`, names), project.files, project.settings, assets);
+  if (project.thumbnail) {
+    return updateProject(copy.id, { thumbnail: project.thumbnail });
+  }
+  return copy;
+}
+
+/**
+ * Delete a project with its snapshot history and assets
+ */
+export async function deleteProject(id: string): Promise<void> {
+  await withStore('readwrite', store => store.delete(id));
+  for (const storeName of [SNAPSHOT_STORE_NAME, ASSET_STORE_NAME]) {
+    const keys = await withLibraryStore<IDBValidKey[]>(storeName, 'readonly', store =>
+      store.index('projectId').getAllKeys(id)
+    );
+    for (const key of keys) {
+      await withLibraryStore(storeName, 'readwrite', store => store.delete(key));
+    }
+  }
+}
+
+/**
+ * Make a name unique among existing names: 'Untitled', 'Untitled 2', ...
+ */
+export function getUniqueProjectName(name: string, existingNames: string[]): string {
+  const taken = new Set(existingNames);
+  if (!taken.has(name)) return name;
+
+  let suffix = 2;
+  while (taken.has(`${name} ${suffix}`)) suffix++;
+  return `${name} ${suffix}`;
+}
+
+/**
+ * Read the project saved in localStorage before the project library existed
+ */
+function readLegacyProject(): { files: ProjectFile[]; settings: ProjectSettings } | null {
+  const savedProject = localStorage.getItem(LEGACY_PROJECT_STORAGE_KEY);
+  if (savedProject) {
+    try {
+      const projectFiles = JSON.parse(savedProject);
+      if (isProjectFileList(projectFiles)) {
+        const savedSettings = localStorage.getItem(LEGACY_SETTINGS_STORAGE_KEY);
+        return { files: projectFiles, settings: parseProjectSettings(savedSettings ? JSON.parse(savedSettings) : null) };
+      }
+    } catch (error) {
+      console.error('Failed to load saved project:', error);
+    }
+  }
+
+  const savedCode = localStorage.getItem(LEGACY_CODE_STORAGE_KEY);
+  return savedCode ? { files: createProject(savedCode), settings: DEFAULT_PROJECT_SETTINGS } : null;
+}
+
+/**
+ * Move the single localStorage save into the library, once
+ * @param existingNames - Names of the library's projects
+ * @returns The new project, or null if there was nothing to move
+ */
+export async function migrateLegacyProject(existingNames: string[]): Promise<SavedProject | null> {
+  const legacy = readLegacyProject();
+  if (!legacy) return null;
+
+  const project = await addProject(getUniqueProjectName('My scene', existingNames), legacy.files, legacy.settings);
+  localStorage.removeItem(LEGACY_PROJECT_STORAGE_KEY);
+  localStorage.removeItem(LEGACY_SETTINGS_STORAGE_KEY);
+  localStorage.removeItem(LEGACY_CODE_STORAGE_KEY);
+  return project;
+}
+
+/**
+ * The project that was open last, restored on startup
+ */
+export function getLastProjectId(): string | null {
+  return localStorage.getItem(LAST_PROJECT_STORAGE_KEY);
+}
+
+export function setLastProjectId(id: string): void {
+  localStorage.setItem(LAST_PROJECT_STORAGE_KEY, id);
+}
+
+/**
+ * Scale a captured preview frame down to a small JPEG for the project list
+ */
+export function createThumbnail(imageData: string, width: number = THUMBNAIL_WIDTH): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, width / image.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      const context = canvas.getContext('2d');
+      if (!context) {
+        reject(new Error('Canvas 2D context unavailable'));
+        return;
+      }
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.8));
+    };
+    image.onerror = () => reject(new Error('Could not read captured image'));
+    image.src = imageData;
+  });
+}
+
+/**
+ * Format a timestamp for the project list: 'just now', '5 min ago', or a date
+ */
+export function formatModifiedTime(timestamp: number, now: number = Date.now()): string {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
@@ -0,0 +1,58 @@
+import { parseStackFrames, mapRuntimeError, unshiftColumn, ENTRY_SOURCE } from './runtimeErrors';
+
+const ENTRY_URL = 'blob:http://localhost:5173/0b5c1e2a-1111';
+const MODULE_URL = 'blob:http://localhost:5173/9f8e7d6c-2222';
+const sources = { [ENTRY_URL]: ENTRY_SOURCE, [MODULE_URL]: '@project/4/lib/planets.js' };
+
+describe('runtimeErrors', () => {
+  it('parses Chrome and Firefox stack frames', () => {
+    const chrome = [
+      "TypeError: Cannot read properties of undefined (reading 'x')",
+      `    at orbit (${MODULE_URL}:12:20)`,
+      `    at async animate (${ENTRY_URL}:40:5)`,
+      `    at ${ENTRY_URL}:55:1`,
+    ].join('\n');
+    expect(parseStackFrames(chrome)).toEqual([
+      { functionName: 'orbit', url: MODULE_URL, line: 12, column: 20 },
+      { functionName: 'animate', url: ENTRY_URL, line: 40, column: 5 },
+      { functionName: '', url: ENTRY_URL, line: 55, column: 1 },
+    ]);
+
+    const firefox = `orbit@${MODULE_URL}:12:20\n@${ENTRY_URL}:55:1\n`;
+    expect(parseStackFrames(firefox).map(frame => [frame.functionName, frame.line])).toEqual([['orbit', 12], ['', 55]]);
+  });
+
+  it('maps frames to project files', () => {
+    const stack = [
+      'Error: boom',
+      '    at Object3D.add (https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.js:7000:10)',
+      `    at orbit (${MODULE_URL}:12:20)`,
+      `    at ${ENTRY_URL}:55:1`,
+    ].join('\n');
+    const mapped = mapRuntimeError({ kind: 'error', message: 'boom', stack, sources }, 'main.js');
+
+    expect(mapped.frames.map(frame => frame.path)).toEqual([null, 'lib/planets.js', 'main.js']);
+    expect(mapped.location).toEqual({ path: 'lib/planets.js', line: 12, column: 20 });
+  });
+
+  it('falls back to the error event position', () => {
+    const report = { kind: 'error' as const, message: 'Unexpected token', filename: ENTRY_URL, lineno: 7, colno: 3, sources };
+    expect(mapRuntimeError(report, 'main.js').location).toEqual({ path: 'main.js', line: 7, column: 3 });
+    expect(mapRuntimeError({ ...report, filename: 'https://example.com/x.js' }, 'main.js').location).toBeNull();
+  });
+
+  it('takes asset base paths the preview inserted back out of columns', () => {
+    // Line 3: load('/models/a.glb', '/models/b.glb').then(bad) - '/sub/' went in at columns 7 and 24
+    const shifts = [{ line: 3, column: 7, delta: 5 }, { line: 3, column: 24, delta: 5 }];
+    expect(unshiftColumn(3, 1, shifts)).toBe(1);
+    expect(unshiftColumn(3, 9, shifts)).toBe(7);
+    expect(unshiftColumn(3, 28, shifts)).toBe(23);
+    expect(unshiftColumn(3, 30, shifts)).toBe(24);
+    expect(unshiftColumn(3, 49, shifts)).toBe(39);
+    expect(unshiftColumn(4, 49, shifts)).toBe(49);
+
+    const stack = `Error: boom\n    at ${ENTRY_URL}:3:49`;
+    const report = { kind: 'error' as const, message: 'boom', stack, sources, columnShifts: { [ENTRY_URL]: shifts } };
+    expect(mapRuntimeError(report, 'main.js').location).toEqual({ path: 'main.js', line: 3, column: 39 });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Runtime Errors Utility
+ * Maps uncaught errors from the preview (see the runtime error reporter in
+ * public/preview.html) back to project files. Modules run from blob URLs, so
+ * the preview sends which module each of the run's URLs holds. Every rewrite
+ * on the way to the preview - relative imports, @param bindings, asset base
+ * paths - keeps lines in place, so a blob's line numbers are editor lines.
+ * Columns move where a rewrite lengthens a line: the preview reports where it
+ * inserted asset base paths, and those are taken back out here. Import
+ * specifiers and @param literals can still move the columns of code after
+ * them on the same line.
+ */
+
+import { getPathFromProjectSpecifier } from './projectFiles';
+
+/**
+ * What the preview calls the entry script in a report's sources
+ */
+export const ENTRY_SOURCE = 'entry';
+
+export interface RuntimeErrorReport {
+  kind: 'error' | 'rejection' | 'load';
+  message: string;
+  name?: string;          // 'TypeError'
+  stack?: string;
+  filename?: string;      // where the error was raised (error events only)
+  lineno?: number;
+  colno?: number;
+  sources?: Record<string, string>;   // blob URL -> module specifier, or ENTRY_SOURCE
+  columnShifts?: Record<string, ColumnShift[]>;   // blob URL -> text the preview inserted, in order
+}
+
+export interface ColumnShift {
+  line: number;
+  column: number;   // where the inserted text starts, in the code before it was inserted
+  delta: number;    // how long it is
+}
+
+export interface StackFrame {
+  functionName: string;
+  url: string;
+  line: number;
+  column: number;
+  path: string | null;    // project file, null for code outside the project
+}
+
+export interface SourceLocation {
+  path: string;
+  line: number;
+  column: number;
+}
+
+export interface MappedRuntimeError {
+  frames: StackFrame[];
+  location: SourceLocation | null;   // innermost project line
+}
+
+// Chrome: "    at animate (blob:http://host/uuid:42:13)", "    at blob:http://host/uuid:42:13"
+const V8_FRAME = /^\s*at\s+(?:(.+?)\s+\()?(.+?):(\d+):(\d+)\)?\s*$/;
+// Firefox and Safari: "animate@blob:http://host/uuid:42:13"
+const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+/**
+ * Parse the frames of an Error stack
+ */
+export function parseStackFrames(stack: string): Omit<StackFrame, 'path'>[] {
+  return stack.split('\n').flatMap((line) => {
+    const match = line.match(V8_FRAME) ?? line.match(GECKO_FRAME);
+    if (!match) return [];
+    return [{
+      functionName: (match[1] ?? '').replace(/^async\s+/, ''),
+      url: match[2],
+      line: parseInt(match[3], 10),
+      column: parseInt(match[4], 10),
+    }];
+  });
+}
+
+/**
+ * Map a column of a rewritten line back to the code before the rewrite.
+ * Columns inside inserted text map to where it was inserted.
+ */
+export function unshiftColumn(line: number, column: number, shifts: ColumnShift[]): number {
+  let inserted = 0;
+  for (const shift of shifts) {
+    if (shift.line !== line) continue;
+    const start = shift.column + inserted;
+    if (column < start) break;
+    if (column < start + shift.delta) return shift.column;
+    inserted += shift.delta;
+  }
+  return column - inserted;
+}
+
+/**
+ * Map a report's stack frames and location to project files
+ * @param entryPath - The project's entry module
+ */
+export function mapRuntimeError(report: RuntimeErrorReport, entryPath: string): MappedRuntimeError {
+  const sources = report.sources ?? {};
+  const getPath = (url: string): string | null => {
+    const source = sources[url];
+    if (!source) return null;
+    return source === ENTRY_SOURCE ? entryPath : getPathFromProjectSpecifier(source);
+  };
+
+  const getColumn = (url: string, line: number, column: number): number =>
+    unshiftColumn(line, column, report.columnShifts?.[url] ?? []);
+
+  const frames = parseStackFrames(report.stack ?? '').map(frame => ({
+    ...frame,
+    column: getColumn(frame.url, frame.line, frame.column),
+    path: getPath(frame.url),
+  }));
+  const projectFrame = frames.find(frame => frame.path);
+  const eventPath = report.filename ? getPath(report.filename) : null;
+
+  let location: SourceLocation | null = null;
+  if (projectFrame) {
+    location = { path: projectFrame.path!, line: projectFrame.line, column: projectFrame.column };
+  } else if (eventPath && report.lineno) {
+    // Syntax and import errors have no stack, only the event's position
+    location = { path: eventPath, line: report.lineno, column: getColumn(report.filename!, report.lineno, report.colno ?? 1) };
+  }
+
+  return { frames, location };
+}
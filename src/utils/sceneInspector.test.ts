@@ -0,0 +1,136 @@
+import {
+  SceneNode,
+  findSceneNode,
+  getSceneNodeAncestors,
+  filterSceneTree,
+  getSceneTreeRows,
+  formatVertexCount,
+  formatVector,
+  generateSceneEditCode,
+  insertSceneEditCode,
+} from './sceneInspector';
+
+function node(id: string, type: string, children: SceneNode[] = [], name = ''): SceneNode {
+  return {
+    id,
+    name,
+    type,
+    visible: true,
+    position: [0, 0, 0],
+    rotation: [0, 0, 0],
+    scale: [1, 1, 1],
+    vertices: 0,
+    children,
+  };
+}
+
+const tree = node('scene', 'Scene', [
+  node('light', 'DirectionalLight'),
+  node('robot', 'Group', [
+    node('body', 'Mesh', [], 'Body'),
+    node('arm', 'Mesh', [node('hand', 'Mesh', [], 'Hand')], 'Arm'),
+  ], 'Robot'),
+]);
+
+describe('findSceneNode', () => {
+  test('finds nodes and their ancestors by id', () => {
+    expect(findSceneNode(tree, 'hand')?.name).toBe('Hand');
+    expect(findSceneNode(tree, 'missing')).toBeNull();
+    expect(getSceneNodeAncestors(tree, 'hand')).toEqual(['scene', 'robot', 'arm']);
+    expect(getSceneNodeAncestors(tree, 'scene')).toEqual([]);
+  });
+});
+
+describe('getSceneTreeRows', () => {
+  test('lists children of expanded nodes only', () => {
+    const rows = getSceneTreeRows(tree, new Set(['scene', 'robot']));
+
+    expect(rows.map(row => [row.node.id, row.depth])).toEqual([
+      ['scene', 0],
+      ['light', 1],
+      ['robot', 1],
+      ['body', 2],
+      ['arm', 2],
+    ]);
+  });
+
+  test('shows matches and their ancestors while filtering', () => {
+    const shown = filterSceneTree(tree, 'hand');
+
+    expect(getSceneTreeRows(tree, new Set(), shown).map(row => row.node.id)).toEqual(['scene', 'robot', 'arm', 'hand']);
+    expect(filterSceneTree(tree, '  ')).toBeNull();
+    expect(Array.from(filterSceneTree(tree, 'light')!)).toEqual(['light', 'scene']);
+  });
+});
+
+describe('formatting', () => {
+  test('formats vertex counts and vectors', () => {
+    expect(formatVertexCount(950)).toBe('950');
+    expect(formatVertexCount(12400)).toBe('12k');
+    expect(formatVertexCount(2500)).toBe('2.5k');
+    expect(formatVertexCount(1250000)).toBe('1.3M');
+    expect(formatVector([1.5, -0.0001, 2 / 3])).toBe('1.5, 0, 0.67');
+  });
+});
+
+describe('generateSceneEditCode', () => {
+  test('looks objects up by unique name, else asks for one', () => {
+    const code = generateSceneEditCode(tree, {
+      arm: { position: [1, 0.1 + 0.2, -2], visible: false },
+      light: { 'light.intensity': 2.5 },
+    });
+
+    expect(code).toBe([
+      '// Values set in the scene inspector',
+      '// "Arm"',
+      '{',
+      '  const object = scene.getObjectByName("Arm");',
+      '  if (object) {',
+      '    object.position.set(1, 0.3, -2);',
+      '    object.visible = false;',
+      '  }',
+      '}',
+      '// DirectionalLight: not written - give the object a unique name so this code can find it',
+      '',
+    ].join('\n'));
+  });
+
+  test('writes material and camera edits', () => {
+    const camera = { ...node('camera', 'PerspectiveCamera', [], 'Camera'), camera: { fov: 50 } };
+    const mesh = { ...node('mesh', 'Mesh', [], 'Ship'), material: { type: 'MeshStandardMaterial', count: 2 } };
+    const code = generateSceneEditCode(node('scene', 'Scene', [camera, mesh]), {
+      camera: { 'camera.fov': 35 },
+      mesh: { 'material.color': '#ff8800', 'material.roughness': 0.25 },
+      missing: { visible: true },
+    });
+
+    expect(code).toContain('    object.fov = 35;\n    object.updateProjectionMatrix();');
+    expect(code).toContain('  const object = scene.getObjectByName("Ship");\n  if (object) {\n    object.material[0].color.set("#ff8800");\n    object.material[0].roughness = 0.25;');
+    expect(code).not.toContain('visible');
+    expect(generateSceneEditCode(tree, {})).toBe('');
+  });
+
+  test('keeps object names on the comment line', () => {
+    const code = generateSceneEditCode(node('scene', 'Scene', [node('evil', 'Mesh', [], 'a\nalert(1)\u2028b')]), {
+      evil: { visible: false },
+    });
+
+    expect(code.split('\n')[1]).toBe('// "a\\nalert(1) b"');
+    expect(code).toContain('scene.getObjectByName("a\\nalert(1)\u2028b")');
+  });
+});
+
+describe('insertSceneEditCode', () => {
+  const edits = '// Values set in the scene inspector\n';
+
+  test('appends to a module with a top-level scene variable', () => {
+    expect(insertSceneEditCode("const scene = new THREE.Scene();\nscene.add(mesh);\n\n", edits))
+      .toBe(`const scene = new THREE.Scene();\nscene.add(mesh);\n\n${edits}`);
+  });
+
+  test('refuses modules without one, or that do not parse', () => {
+    expect(insertSceneEditCode('function init() {\n  const scene = new THREE.Scene();\n}\n', edits)).toBeNull();
+    expect(insertSceneEditCode('window.scene = new THREE.Scene();\n', edits)).toBeNull();
+    expect(insertSceneEditCode('const scene = new THREE.Scene(;\n', edits)).toBeNull();
+  });
+});
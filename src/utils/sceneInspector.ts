@@ -0,0 +1,282 @@
+/**
+ * Scene Inspector Utility
+ * Types for the scene tree the preview sends to the scene panel
+ * (see sceneInspector in public/preview.html), helpers to filter, flatten
+ * and format it for display, and code generation for values edited live
+ */
+
+import { ParsedNode, parseStrictModule } from './importParser';
+
+export type Vector3Tuple = [number, number, number];
+
+export interface SceneNodeGeometry {
+  type: string;
+  vertices: number;
+  triangles: number;
+  instances?: number;   // InstancedMesh count
+}
+
+export interface SceneNodeMaterial {
+  type: string;
+  name?: string;
+  color?: string;       // '#rrggbb'
+  roughness?: number;
+  metalness?: number;
+  wireframe?: boolean;
+  count: number;        // > 1 for multi-material meshes (details and edits are the first material's)
+}
+
+export interface SceneNode {
+  id: string;           // Object3D.uuid
+  name: string;
+  type: string;
+  visible: boolean;
+  position: Vector3Tuple;
+  rotation: Vector3Tuple;   // radians
+  scale: Vector3Tuple;
+  geometry?: SceneNodeGeometry;
+  material?: SceneNodeMaterial;
+  light?: { intensity: number };
+  camera?: { fov: number };   // perspective cameras
+  vertices: number;     // this object and its descendants
+  children: SceneNode[];
+}
+
+export interface SceneTree {
+  root: SceneNode | null;
+  source?: 'window.scene' | 'detected';
+  nodeCount: number;
+  truncated: boolean;   // the preview stops serializing after a fixed number of objects
+  error?: string;
+}
+
+/**
+ * Properties the inspector can change in the running scene
+ */
+export type SceneEditProperty =
+  | 'position'
+  | 'rotation'
+  | 'scale'
+  | 'visible'
+  | 'material.color'
+  | 'material.roughness'
+  | 'material.metalness'
+  | 'material.wireframe'
+  | 'light.intensity'
+  | 'camera.fov';
+
+export type SceneEditValue = Vector3Tuple | number | boolean | string;
+
+/**
+ * Final value of each edited property, by object id
+ */
+export type SceneEdits = Record<string, Partial<Record<SceneEditProperty, SceneEditValue>>>;
+
+export interface SceneTreeRow {
+  node: SceneNode;
+  depth: number;
+}
+
+/**
+ * Find a node by id
+ */
+export function findSceneNode(root: SceneNode | null, id: string | null): SceneNode | null {
+  if (!root || !id) return null;
+  if (root.id === id) return root;
+  for (const child of root.children) {
+    const found = findSceneNode(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Ids of a node's ancestors, root first - expanding them reveals the node
+ */
+export function getSceneNodeAncestors(root: SceneNode | null, id: string): string[] {
+  if (!root) return [];
+  if (root.id === id) return [];
+  for (const child of root.children) {
+    if (child.id === id) return [root.id];
+    const path = getSceneNodeAncestors(child, id);
+    if (path.length > 0) return [root.id, ...path];
+  }
+  return [];
+}
+
+/**
+ * Ids of the nodes whose name or type contains the query, plus their ancestors
+ * @returns null for an empty query (nothing filtered)
+ */
+export function filterSceneTree(root: SceneNode | null, query: string): Set<string> | null {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return null;
+
+  const shown = new Set<string>();
+  const visit = (node: SceneNode): boolean => {
+    let match = node.name.toLowerCase().includes(needle) || node.type.toLowerCase().includes(needle);
+    for (const child of node.children) {
+      if (visit(child)) match = true;
+    }
+    if (match) shown.add(node.id);
+    return match;
+  };
+  if (root) visit(root);
+  return shown;
+}
+
+/**
+ * The rows to display: children of expanded nodes, or every node the filter shows
+ */
+export function getSceneTreeRows(root: SceneNode | null, expanded: Set<string>, shown: Set<string> | null = null): SceneTreeRow[] {
+  const rows: SceneTreeRow[] = [];
+  const visit = (node: SceneNode, depth: number) => {
+    if (shown && !shown.has(node.id)) return;
+    rows.push({ node, depth });
+    if (shown || expanded.has(node.id)) {
+      node.children.forEach(child => visit(child, depth + 1));
+    }
+  };
+  if (root) visit(root, 0);
+  return rows;
+}
+
+/**
+ * Format a vertex count for display: 950, 12.4k, 1.2M
+ */
+export function formatVertexCount(count: number): string {
+  if (count < 1000) return String(count);
+  if (count < 1000000) return `${(count / 1000).toFixed(count < 10000 ? 1 : 0)}k`;
+  return `${(count / 1000000).toFixed(1)}M`;
+}
+
+/**
+ * Format a vector for display, e.g. "1.5, 0, -2"
+ */
+export function formatVector(vector: Vector3Tuple, digits = 2): string {
+  return vector.map(value => String(Number(value.toFixed(digits)))).join(', ');
+}
+
+/**
+ * Material icon for an object type
+ */
+export function getSceneNodeIcon(type: string): string {
+  if (type === 'Scene') return 'public';
+  if (type.endsWith('Camera')) return 'videocam';
+  if (type.endsWith('Light')) return 'lightbulb';
+  if (type === 'Group' || type === 'Object3D') return 'folder';
+  if (type === 'Points') return 'scatter_plot';
+  if (/Line/.test(type)) return 'timeline';
+  if (type === 'Sprite') return 'image';
+  return 'deployed_code';
+}
+
+/**
+ * Round a value for generated code: 0.30000000000000004 -> 0.3
+ */
+function formatNumber(value: number, digits = 4): string {
+  return String(Number(value.toFixed(digits)));
+}
+
+/**
+ * Code that looks an object up from the scene by its name
+ * @returns null when the name isn't unique - child indexes from the running
+ *          scene could point at another object where the code runs
+ */
+function getObjectReference(root: SceneNode, id: string): string | null {
+  const node = findSceneNode(root, id);
+  if (!node) return null;
+  if (node === root) return 'scene';
+
+  if (node.name) {
+    let sameName = 0;
+    const count = (current: SceneNode) => {
+      if (current.name === node.name) sameName++;
+      current.children.forEach(count);
+    };
+    count(root);
+    if (sameName === 1) return `scene.getObjectByName(${JSON.stringify(node.name)})`;
+  }
+  return null;
+}
+
+function getEditStatements(property: SceneEditProperty, value: SceneEditValue, material: string): string[] {
+  const vector = (v: SceneEditValue) => (v as Vector3Tuple).map(n => formatNumber(n)).join(', ');
+  switch (property) {
+    case 'position':
+    case 'rotation':
+    case 'scale':
+      return [`object.${property}.set(${vector(value)});`];
+    case 'visible':
+      return [`object.visible = ${value};`];
+    case 'material.color':
+      return [`object.${material}.color.set(${JSON.stringify(value)});`];
+    case 'material.roughness':
+    case 'material.metalness':
+      return [`object.${material}.${property.slice('material.'.length)} = ${formatNumber(value as number, 3)};`];
+    case 'material.wireframe':
+      return [`object.${material}.wireframe = ${value};`];
+    case 'light.intensity':
+      return [`object.intensity = ${formatNumber(value as number, 3)};`];
+    case 'camera.fov':
+      return [`object.fov = ${formatNumber(value as number, 2)};`, 'object.updateProjectionMatrix();'];
+  }
+}
+
+/**
+ * Code that reapplies the inspector's edits - one block per object,
+ * expecting the scene in a variable named `scene`. Objects that aren't in
+ * the scene yet where the code runs (e.g. added by a loader callback) are
+ * skipped; objects without a unique name get a comment asking for one.
+ */
+export function generateSceneEditCode(root: SceneNode | null, edits: SceneEdits): string {
+  if (!root) return '';
+
+  const blocks: string[] = [];
+  for (const [id, properties] of Object.entries(edits)) {
+    const node = findSceneNode(root, id);
+    if (!node) continue;
+
+    const material = (node.material?.count ?? 1) > 1 ? 'material[0]' : 'material';
+    const statements = Object.entries(properties).flatMap(([property, value]) =>
+      getEditStatements(property as SceneEditProperty, value as SceneEditValue, material)
+    );
+    if (statements.length === 0) continue;
+
+    // Names come from the running scene - keep them on the comment's line
+    const label = node.name ? JSON.stringify(node.name).replace(/[\u2028\u2029]/g, ' ') : node.type;
+    const reference = getObjectReference(root, id);
+    if (!reference) {
+      blocks.push(`// ${label}: not written - give the object a unique name so this code can find it`);
+      continue;
+    }
+    blocks.push([
+      `// ${label}`,
+      '{',
+      `  const object = ${reference};`,
+      '  if (object) {',
+      ...statements.map(statement => `    ${statement}`),
+      '  }',
+      '}',
+    ].join('\n'));
+  }
+
+  return blocks.length > 0 ? `// Values set in the scene inspector\n${blocks.join('\n')}\n` : '';
+}
+
+/**
+ * Add generated edit code to the end of the entry module, where the module's
+ * top-level `scene` variable is declared and its objects have been added
+ * @returns The new module source, or null if the module has no top-level
+ *          `scene` variable or doesn't parse
+ */
+export function insertSceneEditCode(entryCode: string, editCode: string): string | null {
+  const ast = parseStrictModule(entryCode);
+  if (!ast) return null;
+
+  const declaresScene = (ast.body as ParsedNode[]).some(statement =>
+    statement.type === 'VariableDeclaration'
+    && statement.declarations.some((declaration: ParsedNode) => declaration.id.type === 'Identifier' && declaration.id.name === 'scene')
+  );
+  return declaresScene ? `${entryCode.trimEnd()}\n\n${editCode}` : null;
+}
@@ -0,0 +1,102 @@
+import {
+  parseSceneParams,
+  instrumentSceneParams,
+  writeSceneParams,
+  formatSceneParamValue,
+  SCENE_PARAMS_GLOBAL,
+  toRuntimeValue,
+} from './sceneParams';
+
+const source = [
+  "import * as THREE from 'three';",
+  '',
+  'const SPEED = 0.5;        // @param 0..10 step 0.1',
+  "const TINT = '#f80';      // @param",
+  '// @param 100..50000 step 100 reload',
+  'const COUNT = 8000;',
+  'const BACKGROUND = 0x0a0a12; // @param color',
+  'export const SPIN = true  // @param',
+  'const PLAIN = 3;          // not a param',
+  'const OBJECT = new THREE.Color(); // @param',
+].join('\n');
+
+describe('sceneParams', () => {
+  it('parses annotated constants', () => {
+    const params = parseSceneParams(source, 'main.js');
+
+    expect(params.map(p => p.name)).toEqual(['SPEED', 'TINT', 'COUNT', 'BACKGROUND', 'SPIN']);
+    expect(params[0]).toMatchObject({ id: 'main.js:SPEED', line: 3, type: 'number', value: 0.5, min: 0, max: 10, step: 0.1, reload: false });
+    expect(params[1]).toMatchObject({ type: 'color', value: '#ff8800', hexNumber: false });
+    expect(params[2]).toMatchObject({ line: 6, value: 8000, min: 100, max: 50000, step: 100, reload: true });
+    expect(params[3]).toMatchObject({ type: 'color', value: '#0a0a12', hexNumber: true });
+    expect(params[4]).toMatchObject({ type: 'boolean', value: true });
+  });
+
+  it('only accepts top-level declarations', () => {
+    const code = [
+      'function animate() {',
+      '  const WOBBLE = 2;        // @param 0..5',
+      '  for (const i of [1]) {',
+      '    // @param',
+      '    const FAST = true;',
+      '  }',
+      '}',
+      'const SPEED = 1;           // @param 0..5',
+    ].join('\n');
+
+    expect(parseSceneParams(code, 'main.js').map(p => p.name)).toEqual(['SPEED']);
+    expect(instrumentSceneParams(code, 'main.js', {})).toContain('  const WOBBLE = 2;');
+  });
+
+  it('instruments constants as live bindings without moving lines', () => {
+    const overrides = { 'main.js:SPEED': { value: 2.5, base: 0.5 } };
+    const code = instrumentSceneParams(source, 'main.js', overrides);
+    const lines = code.split('\n');
+
+    expect(lines).toHaveLength(source.split('\n').length);
+    expect(lines[2]).toBe('let   SPEED = 2.5; globalThis.__sceneParams?.bind("main.js:SPEED", (__paramValue) => { SPEED = __paramValue; });        // @param 0..10 step 0.1');
+    expect(lines[5]).toContain('let   COUNT = 8000;');
+    expect(lines[7]).toContain('export let   SPIN = true;');
+    expect(lines[8]).toBe('const PLAIN = 3;          // not a param');
+  });
+
+  it('sets params whatever their name', () => {
+    const setters: Record<string, (value: unknown) => void> = {};
+    const global = globalThis as unknown as Record<string, unknown>;
+    global[SCENE_PARAMS_GLOBAL] = { bind: (id: string, set: (value: unknown) => void) => { setters[id] = set; } };
+    const code = instrumentSceneParams('const value = 1;   // @param 0..5\n', 'main.js', {});
+    const read = new Function(`${code}\nreturn () => value;`)();
+
+    setters['main.js:value'](4);
+
+    expect(read()).toBe(4);
+    delete global[SCENE_PARAMS_GLOBAL];
+  });
+
+  it('ignores overrides once the source value changes', () => {
+    const overrides = { 'main.js:SPEED': { value: 2.5, base: 1 } };
+    expect(instrumentSceneParams(source, 'main.js', overrides).split('\n')[2]).toContain('SPEED = 0.5;');
+    expect(writeSceneParams(source, 'main.js', overrides)).toBe(source);
+  });
+
+  it('writes values back into the source', () => {
+    const code = writeSceneParams(source, 'main.js', {
+      'main.js:SPEED': { value: 0.30000000000000004, base: 0.5 },
+      'main.js:TINT': { value: '#00ff00', base: '#ff8800' },
+      'main.js:BACKGROUND': { value: '#ffffff', base: '#0a0a12' },
+      'main.js:SPIN': { value: false, base: true },
+    }).split('\n');
+
+    expect(code[2]).toBe('const SPEED = 0.3;        // @param 0..10 step 0.1');
+    expect(code[3]).toBe("const TINT = '#00ff00';      // @param");
+    expect(code[6]).toBe('const BACKGROUND = 0xffffff; // @param color');
+    expect(code[7]).toBe('export const SPIN = false  // @param');
+  });
+
+  it('converts colors for the running scene', () => {
+    const [, tint, , background] = parseSceneParams(source, 'main.js');
+    expect(toRuntimeValue(tint, '#123456')).toBe('#123456');
+    expect(toRuntimeValue(background, '#123456')).toBe(0x123456);
+    expect(formatSceneParamValue(background, '#00000f')).toBe('0x00000f');
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Scene Params Utility
+ * Tuning constants annotated with `// @param` comments, e.g.
+ *
+ *   const SPEED = 0.5;          // @param 0..10 step 0.1
+ *   const TINT = '#ff8800';     // @param
+ *   const COUNT = 8000;         // @param 100..50000 step 100 reload
+ *
+ * The annotation can also sit on the line above the declaration, which
+ * must be at the module's top level.
+ * Numbers with a range become sliders, '#rrggbb' strings (or hex numbers
+ * marked `color`) color pickers and booleans checkboxes. Before a run the
+ * declarations are rewritten to `let` bindings the preview can assign
+ * (see sceneParams in public/preview.html), so changes reach the running
+ * scene without a reload; `reload` params re-run the scene instead, for
+ * values only read while it is built.
+ */
+
+import { ProjectFile, getFileLanguage } from './projectFiles';
+import { ParsedNode, parseModule } from './importParser';
+
+export type SceneParamType = 'number' | 'color' | 'boolean';
+
+export type SceneParamValue = number | string | boolean;
+
+export interface SceneParam {
+  id: string;             // 'lib/flow.js:SPEED'
+  path: string;
+  name: string;
+  line: number;           // 1-based line of the declaration
+  type: SceneParamType;
+  value: SceneParamValue; // value in the source - colors are always '#rrggbb'
+  min?: number;
+  max?: number;
+  step?: number;
+  reload: boolean;
+  hexNumber: boolean;     // color written as 0xrrggbb
+  literal: { start: number; end: number };   // offsets of the value in the file
+  keyword: { start: number; end: number };   // offsets of `const`
+}
+
+/**
+ * Value set in the panel, with the source value it overrides - the override
+ * is dropped once the source value changes
+ */
+export interface SceneParamOverride {
+  value: SceneParamValue;
+  base: SceneParamValue;
+}
+
+export type SceneParamOverrides = Record<string, SceneParamOverride>;
+
+/**
+ * Global the instrumented code registers its setters with
+ */
+export const SCENE_PARAMS_GLOBAL = '__sceneParams';
+
+const DECLARATION = /^([ \t]*(?:export[ \t]+)?)(const)([ \t]+)([A-Za-z_$][\w$]*)([ \t]*=[ \t]*)(-?(?:0[xX][\da-fA-F]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|true|false|'#[\da-fA-F]{3}(?:[\da-fA-F]{3})?'|"#[\da-fA-F]{3}(?:[\da-fA-F]{3})?")([ \t]*;?)([ \t]*(?:\/\/(.*))?)$/;
+const ANNOTATION = /^\s*@param\b(.*)$/;
+const ANNOTATION_LINE = /^[ \t]*\/\/[ \t]*@param\b(.*)$/;
+
+interface ParsedAnnotation {
+  min?: number;
+  max?: number;
+  step?: number;
+  color: boolean;
+  reload: boolean;
+}
+
+function parseAnnotation(text: string): ParsedAnnotation {
+  const annotation: ParsedAnnotation = { color: false, reload: false };
+  const range = text.match(/(-?[\d.]+(?:e[+-]?\d+)?)\s*\.\.\s*(-?[\d.]+(?:e[+-]?\d+)?)/i);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    if (Number.isFinite(min) && Number.isFinite(max) && min < max) {
+      annotation.min = min;
+      annotation.max = max;
+    }
+  }
+  const step = text.match(/\bstep\s+([\d.]+(?:e[+-]?\d+)?)/i);
+  if (step && Number(step[1]) > 0) annotation.step = Number(step[1]);
+  annotation.color = /\bcolor\b/i.test(text);
+  annotation.reload = /\breload\b/i.test(text);
+  return annotation;
+}
+
+function expandHexColor(hex: string): string {
+  const digits = hex.slice(1).toLowerCase();
+  return digits.length === 3 ? `#${digits.split('').map(d => d + d).join('')}` : `#${digits}`;
+}
+
+// Where the module's top-level const declarations start - declarations in a
+// function body would register a new setter every call
+function getTopLevelConstStarts(content: string): Set<number> {
+  const starts = new Set<number>();
+  const ast = parseModule(content);
+  (ast?.body as ParsedNode[] | undefined)?.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type === 'VariableDeclaration' && declaration.kind === 'const') starts.add(declaration.start);
+  });
+  return starts;
+}
+
+/**
+ * Find the annotated constants of a JS file
+ */
+export function parseSceneParams(content: string, path: string): SceneParam[] {
+  const params: SceneParam[] = [];
+  const topLevelStarts = getTopLevelConstStarts(content);
+  const lines = content.split('\n');
+  let offset = 0;
+  let pending: string | null = null;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
+    const lineStart = offset;
+    offset += rawLine.length + 1;
+
+    const annotationLine = line.match(ANNOTATION_LINE);
+    if (annotationLine) {
+      pending = annotationLine[1];
+      return;
+    }
+
+    const match = line.match(DECLARATION);
+    const trailing = match?.[9] !== undefined ? match[9].match(ANNOTATION) : null;
+    const annotationText = trailing ? trailing[1] : pending;
+    pending = null;
+    if (!match || annotationText === null) return;
+
+    const [, prefix, keyword, gap, name, equals, literal] = match;
+    const keywordStart = lineStart + prefix.length;
+    if (!topLevelStarts.has(keywordStart)) return;
+    const annotation = parseAnnotation(annotationText);
+    const literalStart = keywordStart + keyword.length + gap.length + name.length + equals.length;
+
+    let type: SceneParamType;
+    let value: SceneParamValue;
+    let hexNumber = false;
+    if (literal === 'true' || literal === 'false') {
+      type = 'boolean';
+      value = literal === 'true';
+    } else if (literal.startsWith("'") || literal.startsWith('"')) {
+      type = 'color';
+      value = expandHexColor(literal.slice(1, -1));
+    } else if (annotation.color && /^0x[\da-f]{1,6}$/i.test(literal)) {
+      type = 'color';
+      value = `#${parseInt(literal, 16).toString(16).padStart(6, '0')}`;
+      hexNumber = true;
+    } else {
+      type = 'number';
+      value = Number(literal);
+      if (!Number.isFinite(value)) return;
+    }
+
+    params.push({
+      id: `${path}:${name}`,
+      path,
+      name,
+      line: index + 1,
+      type,
+      value,
+      ...(type === 'number' ? { min: annotation.min, max: annotation.max, step: annotation.step } : {}),
+      reload: annotation.reload,
+      hexNumber,
+      literal: { start: literalStart, end: literalStart + literal.length },
+      keyword: { start: keywordStart, end: keywordStart + keyword.length },
+    });
+  });
+
+  return params;
+}
+
+/**
+ * Annotated constants of every JS file in a project
+ */
+export function getProjectSceneParams(files: ProjectFile[]): SceneParam[] {
+  return files
+    .filter(file => getFileLanguage(file.path) === 'javascript')
+    .flatMap(file => parseSceneParams(file.content, file.path));
+}
+
+/**
+ * Write a value as a JS literal of the param's type
+ */
+export function formatSceneParamValue(param: SceneParam, value: SceneParamValue): string {
+  if (param.type === 'boolean') return String(Boolean(value));
+  if (param.type === 'color') {
+    const hex = String(value).slice(1);
+    return param.hexNumber ? `0x${hex}` : `'#${hex}'`;
+  }
+  // Round away float noise from slider steps: 0.30000000000000004 -> 0.3
+  return String(Number((value as number).toFixed(6)));
+}
+
+/**
+ * The value the running scene receives - colors written as hex numbers stay numbers
+ */
+export function toRuntimeValue(param: SceneParam, value: SceneParamValue): SceneParamValue {
+  return param.type === 'color' && param.hexNumber ? parseInt(String(value).slice(1), 16) : value;
+}
+
+/**
+ * Override of a param, unless the source value changed since it was set
+ */
+export function getSceneParamOverride(param: SceneParam, overrides: SceneParamOverrides): SceneParamOverride | null {
+  const override = overrides[param.id];
+  return override && override.base === param.value ? override : null;
+}
+
+/**
+ * Replace the literals of the given params, last first so earlier offsets stay valid
+ */
+function replaceLiterals(content: string, edits: { param: SceneParam; literal: string; keyword?: string }[]): string {
+  let result = content;
+  [...edits]
+    .sort((a, b) => b.param.literal.start - a.param.literal.start)
+    .forEach(({ param, literal, keyword }) => {
+      result = result.slice(0, param.literal.start) + literal + result.slice(param.literal.end);
+      if (keyword !== undefined) {
+        result = result.slice(0, param.keyword.start) + keyword + result.slice(param.keyword.end);
+      }
+    });
+  return result;
+}
+
+/**
+ * Rewrite the annotated constants of a file for a preview run: each becomes a
+ * `let` starting at its overridden value, with a setter registered on the
+ * preview's params global. Line numbers stay the same so errors still point
+ * at the right line.
+ */
+export function instrumentSceneParams(content: string, path: string, overrides: SceneParamOverrides): string {
+  const params = parseSceneParams(content, path);
+  if (params.length === 0) return content;
+
+  const global = `globalThis.${SCENE_PARAMS_GLOBAL}`;
+  return replaceLiterals(content, params.map(param => {
+    const override = getSceneParamOverride(param, overrides);
+    const literal = override ? formatSceneParamValue(param, override.value) : content.slice(param.literal.start, param.literal.end);
+    // The setter's parameter can't be a name a param could have
+    const setter = `${global}?.bind(${JSON.stringify(param.id)}, (__paramValue) => { ${param.name} = __paramValue; })`;
+    // `let  ` keeps the columns of the rest of the declaration
+    return { param, literal: `${literal}; ${setter}`, keyword: 'let  ' };
+  }));
+}
+
+/**
+ * Write overridden values back into a file's source
+ */
+export function writeSceneParams(content: string, path: string, overrides: SceneParamOverrides): string {
+  const edits = parseSceneParams(content, path).flatMap(param => {
+    const override = getSceneParamOverride(param, overrides);
+    return override ? [{ param, literal: formatSceneParamValue(param, override.value) }] : [];
+  });
+  return edits.length > 0 ? replaceLiterals(content, edits) : content;
+}
@@ -0,0 +1,51 @@
+import { parseShaderLog, mapShaderErrors } from './shaderErrors';
+
+const fragment = [
+  'uniform float time;',
+  'void main() {',
+  '  vec3 color = vec3(sin(time));',
+  '  gl_FragColor = vec4(colour, 1.0);',
+  '}',
+].join('\n');
+
+// Three.js puts its own definitions in front of the material's shader
+const compiled = ['#version 300 es', 'precision highp float;', 'uniform mat4 viewMatrix;', fragment].join('\n');
+
+describe('shaderErrors', () => {
+  it('parses info log entries', () => {
+    const log = "ERROR: 0:7: 'colour' : undeclared identifier\nWARNING: 0:2: 'foo' : extension not supported\nERROR: 1 compilation errors.";
+    expect(parseShaderLog(log)).toEqual([
+      { severity: 'error', line: 7, message: "'colour' : undeclared identifier" },
+      { severity: 'warning', line: 2, message: "'foo' : extension not supported" },
+    ]);
+  });
+
+  it('maps errors into template literals', () => {
+    const code = `import * as THREE from 'three';\nconst material = new THREE.ShaderMaterial({\n  fragmentShader: \`${fragment}\`,\n});`;
+    const report = { stage: 'fragment' as const, log: "ERROR: 0:7: 'colour' : undeclared identifier", source: compiled };
+
+    expect(mapShaderErrors(report, [{ path: 'main.js', content: code }])).toEqual([{
+      path: 'main.js',
+      line: 6,
+      startColumn: 23,
+      endColumn: 29,
+      severity: 'error',
+      message: "fragment shader: 'colour' : undeclared identifier",
+    }]);
+  });
+
+  it('maps errors into GLSL files and skips lines it cannot find', () => {
+    const files = [{ path: 'shaders/ink.frag', content: fragment }];
+    const report = { stage: 'fragment' as const, log: "ERROR: 0:7: 'colour' : undeclared identifier\nERROR: 0:3: 'viewMatrix' : redefinition", source: compiled };
+
+    expect(mapShaderErrors(report, files).map(({ path, line }) => ({ path, line }))).toEqual([{ path: 'shaders/ink.frag', line: 4 }]);
+  });
+
+  it('uses the surrounding lines to pick between shaders', () => {
+    const other = fragment.replace('sin(time)', 'cos(time)');
+    const files = [{ path: 'a.frag', content: other }, { path: 'b.frag', content: fragment }];
+    const report = { stage: 'fragment' as const, log: 'ERROR: 0:7: syntax error', source: compiled };
+
+    expect(mapShaderErrors(report, files)[0]).toMatchObject({ path: 'b.frag', line: 4, startColumn: 3 });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Shader Errors Utility
+ * Maps shader compile errors reported by the preview (see the shader error
+ * reporter in public/preview.html) back to the project's source. The info
+ * log's line numbers count lines of the compiled shader, which Three.js
+ * prefixes with its own definitions and expands #includes in, so lines are
+ * found by their text - and the lines around them - in the project's GLSL
+ * files and shader template literals.
+ */
+
+import { ProjectFile, getFileLanguage } from './projectFiles';
+import { findShaderLiterals } from './shaderHotSwap';
+
+export type ShaderStage = 'vertex' | 'fragment';
+
+export interface ShaderErrorReport {
+  stage: ShaderStage;
+  log: string;       // gl.getShaderInfoLog()
+  source: string;    // gl.getShaderSource() - the compiled text
+}
+
+export interface ShaderLogEntry {
+  severity: 'error' | 'warning';
+  line: number;      // 1-based line of the compiled source
+  message: string;
+}
+
+export interface ShaderErrorLocation {
+  path: string;
+  line: number;          // 1-based line in the project file
+  startColumn: number;   // 1-based, end exclusive
+  endColumn: number;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+interface ShaderBlock {
+  path: string;
+  startLine: number;     // line of the file the block's first line is on
+  startColumn: number;   // 0-based column the first line starts at (after a template's backtick)
+  lines: string[];
+}
+
+// Lines around the error compared to pick between blocks that share a line
+const CONTEXT_LINES = 3;
+
+/**
+ * Parse the errors and warnings of a shader info log, e.g.
+ * "ERROR: 0:42: 'foo' : undeclared identifier"
+ */
+export function parseShaderLog(log: string): ShaderLogEntry[] {
+  const entries: ShaderLogEntry[] = [];
+  const pattern = /^\s*(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/gm;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(log)) !== null) {
+    entries.push({
+      severity: match[1] === 'ERROR' ? 'error' : 'warning',
+      line: parseInt(match[2], 10),
+      message: match[3].trim(),
+    });
+  }
+  return entries;
+}
+
+/**
+ * The shader source of a project: GLSL files and shader template literals
+ */
+function getShaderBlocks(files: ProjectFile[]): ShaderBlock[] {
+  return files.flatMap((file): ShaderBlock[] => {
+    const language = getFileLanguage(file.path);
+    if (language === 'glsl') {
+      return [{ path: file.path, startLine: 1, startColumn: 0, lines: file.content.split('\n') }];
+    }
+    if (language !== 'javascript') return [];
+
+    return (findShaderLiterals(file.content) ?? []).map(literal => {
+      const before = file.content.slice(0, literal.start + 1).split('\n');
+      return {
+        path: file.path,
+        startLine: before.length,
+        startColumn: before[before.length - 1].length,
+        lines: file.content.slice(literal.start + 1, literal.end - 1).split('\n'),
+      };
+    });
+  });
+}
+
+const normalize = (line: string | undefined) => (line ?? '').trim();
+
+/**
+ * How many lines around two positions have the same text
+ */
+function countMatchingContext(a: string[], aIndex: number, b: string[], bIndex: number): number {
+  let count = 0;
+  for (let offset = -CONTEXT_LINES; offset <= CONTEXT_LINES; offset++) {
+    if (offset === 0) continue;
+    const lineA = a[aIndex + offset];
+    const lineB = b[bIndex + offset];
+    if (lineA !== undefined && lineB !== undefined && normalize(lineA) === normalize(lineB)) count++;
+  }
+  return count;
+}
+
+/**
+ * Find the project lines a shader compile error points at
+ */
+export function mapShaderErrors(report: ShaderErrorReport, files: ProjectFile[]): ShaderErrorLocation[] {
+  const compiled = report.source.split('\n');
+  const blocks = getShaderBlocks(files);
+
+  return parseShaderLog(report.log).flatMap((entry): ShaderErrorLocation[] => {
+    const index = entry.line - 1;
+    const text = normalize(compiled[index]);
+    if (!text) return [];
+
+    let best: { block: ShaderBlock; line: number; score: number } | null = null;
+    for (const block of blocks) {
+      for (let i = 0; i < block.lines.length; i++) {
+        if (normalize(block.lines[i]) !== text) continue;
+        const score = countMatchingContext(compiled, index, block.lines, i);
+        if (!best || score > best.score) best = { block, line: i, score };
+      }
+    }
+    if (!best) return [];
+    const { block, line } = best;
+
+    // Underline the token the message quotes, e.g. 'foo' : undeclared identifier
+    const sourceLine = block.lines[line];
+    const token = entry.message.match(/^'([^']+)'/)?.[1];
+    const tokenIndex = token ? sourceLine.indexOf(token) : -1;
+    const firstColumn = sourceLine.length - sourceLine.trimStart().length;
+    const columnOffset = line === 0 ? block.startColumn : 0;
+
+    return [{
+      path: block.path,
+      line: block.startLine + line,
+      startColumn: columnOffset + (tokenIndex >= 0 ? tokenIndex : firstColumn) + 1,
+      endColumn: columnOffset + (tokenIndex >= 0 ? tokenIndex + token!.length : sourceLine.length) + 1,
+      severity: entry.severity,
+      message: `${report.stage} shader: ${entry.message}`,
+    }];
+  });
+}
@@ -0,0 +1,48 @@
+import { findShaderLiterals, getShaderSwaps, getProjectShaderSwaps } from './shaderHotSwap';
+
+const fragment = (color: string) => `void main() {\n  gl_FragColor = vec4(${color}, 1.0);\n}`;
+
+const module = (color: string, speed = '0.01') => [
+  "import * as THREE from 'three';",
+  `const fragmentShader = \`${fragment(color)}\`;`,
+  'const material = new THREE.ShaderMaterial({ fragmentShader });',
+  `mesh.rotation.y += ${speed};`,
+  'const label = `not a shader`;',
+].join('\n');
+
+describe('shaderHotSwap', () => {
+  it('finds shader template literals', () => {
+    const literals = findShaderLiterals(module('vec3(1.0)'))!;
+    expect(literals).toHaveLength(1);
+    expect(literals[0].text).toBe(fragment('vec3(1.0)'));
+    expect(findShaderLiterals('const broken = ;')).toBeNull();
+  });
+
+  it('swaps shader-only edits', () => {
+    expect(getShaderSwaps(module('vec3(1.0)'), module('vec3(0.5)'))).toEqual([
+      { from: fragment('vec3(1.0)'), to: fragment('vec3(0.5)') },
+    ]);
+    expect(getShaderSwaps(module('vec3(1.0)'), module('vec3(1.0)'))).toEqual([]);
+  });
+
+  it('needs a full run when other code changes', () => {
+    expect(getShaderSwaps(module('vec3(1.0)'), module('vec3(0.5)', '0.02'))).toBeNull();
+    expect(getShaderSwaps(module('vec3(1.0)'), module('vec3(1.0)') + '\nconst extra = `void main() {}`;')).toBeNull();
+    // The runtime text of an interpolated template is unknown
+    const interpolated = (value: string) => `const s = \`uniform float t; void main() { gl_FragColor = vec4(\${${value}}); }\`;`;
+    expect(getShaderSwaps(interpolated('a'), interpolated('b'))).toBeNull();
+  });
+
+  it('swaps GLSL files and shader literals across a project', () => {
+    const before = [
+      { path: 'main.js', content: module('vec3(1.0)') },
+      { path: 'shaders/ink.frag', content: fragment('vec3(0.0)') },
+      { path: 'data.json', content: '{}' },
+    ];
+    const after = [before[0], { path: 'shaders/ink.frag', content: fragment('vec3(0.2)') }, before[2]];
+
+    expect(getProjectShaderSwaps(before, after)).toEqual([{ from: fragment('vec3(0.0)'), to: fragment('vec3(0.2)') }]);
+    expect(getProjectShaderSwaps(before, [...after.slice(0, 2), { path: 'data.json', content: '[]' }])).toBeNull();
+    expect(getProjectShaderSwaps(before, after.slice(0, 2))).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Shader Hot Swap Utility
+ * Detects edits that only change shader source - GLSL in template literals
+ * and GLSL project files - so the preview can recompile the materials using
+ * it in place (see shaderHotSwap in public/preview.html) instead of running
+ * the project again and losing its time, camera and other state.
+ */
+
+import { simple as walkSimple } from 'acorn-walk';
+import { ParsedNode, parseStrictModule } from './importParser';
+import { ProjectFile, getFileLanguage } from './projectFiles';
+
+export interface ShaderSwap {
+  from: string;   // shader source in the running scene
+  to: string;
+}
+
+interface ShaderLiteral {
+  start: number;
+  end: number;
+  text: string | null;   // null for templates with ${} expressions - their runtime text is unknown
+}
+
+const GLSL_MAIN = /\bvoid\s+main\s*\(/;
+
+/**
+ * Template literals that hold a shader (anything with a `void main(`)
+ * @returns null if the code doesn't parse
+ */
+export function findShaderLiterals(code: string): ShaderLiteral[] | null {
+  const ast = parseStrictModule(code);
+  if (!ast) return null;
+
+  const literals: ShaderLiteral[] = [];
+  walkSimple(ast, {
+    TemplateLiteral(node: ParsedNode) {
+      const quasis: string[] = node.quasis.map((quasi: ParsedNode) => quasi.value.cooked ?? '');
+      if (!quasis.some(quasi => GLSL_MAIN.test(quasi))) return;
+      literals.push({
+        start: node.start,
+        end: node.end,
+        text: node.expressions.length === 0 ? quasis[0] : null,
+      });
+    },
+  });
+  return literals.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The code with every shader literal blanked out
+ */
+function getSkeleton(code: string, literals: ShaderLiteral[]): string {
+  let skeleton = '';
+  let offset = 0;
+  for (const literal of literals) {
+    skeleton += code.slice(offset, literal.start) + '``';
+    offset = literal.end;
+  }
+  return skeleton + code.slice(offset);
+}
+
+/**
+ * Shader swaps that turn one version of a JS module into the other
+ * @returns null if anything besides shader text changed
+ */
+export function getShaderSwaps(oldCode: string, newCode: string): ShaderSwap[] | null {
+  const oldLiterals = findShaderLiterals(oldCode);
+  const newLiterals = findShaderLiterals(newCode);
+  if (!oldLiterals || !newLiterals || oldLiterals.length !== newLiterals.length) return null;
+  if (getSkeleton(oldCode, oldLiterals) !== getSkeleton(newCode, newLiterals)) return null;
+
+  const swaps: ShaderSwap[] = [];
+  for (let i = 0; i < oldLiterals.length; i++) {
+    const from = oldLiterals[i].text;
+    const to = newLiterals[i].text;
+    if (oldCode.slice(oldLiterals[i].start, oldLiterals[i].end) === newCode.slice(newLiterals[i].start, newLiterals[i].end)) continue;
+    if (from === null || to === null) return null;
+    swaps.push({ from, to });
+  }
+  return swaps;
+}
+
+/**
+ * Shader swaps between two versions of a project
+ * @returns null if the change needs a full run; an empty list if nothing changed
+ */
+export function getProjectShaderSwaps(oldFiles: ProjectFile[], newFiles: ProjectFile[]): ShaderSwap[] | null {
+  if (oldFiles.length !== newFiles.length) return null;
+
+  const swaps: ShaderSwap[] = [];
+  for (const file of newFiles) {
+    const previous = oldFiles.find(f => f.path === file.path);
+    if (!previous) return null;
+    if (previous.content === file.content) continue;
+
+    const language = getFileLanguage(file.path);
+    if (language === 'glsl' && previous.content) {
+      swaps.push({ from: previous.content, to: file.content });
+      continue;
+    }
+    const fileSwaps = language === 'javascript' ? getShaderSwaps(previous.content, file.content) : null;
+    if (!fileSwaps) return null;
+    swaps.push(...fileSwaps);
+  }
+  return swaps;
+}
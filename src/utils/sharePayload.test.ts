@@ -0,0 +1,110 @@
+import LZString from 'lz-string';
+import {
+  SHARE_PAYLOAD_VERSION,
+  SharePayload,
+  createShareLink,
+  readShareLink,
+  readShareFile,
+  parseSharePayload,
+} from './sharePayload';
+import { DEFAULT_PROJECT_SETTINGS } from './projectFiles';
+
+const files = [
+  { path: 'main.js', content: "import { a } from './lib/a.js';" },
+  { path: 'lib/a.js', content: 'export const a = 1;' },
+];
+
+const payload: SharePayload = {
+  v: SHARE_PAYLOAD_VERSION,
+  files,
+  settings: { threeVersion: '0.170.0', lock: { gsap: '3.12.5' } },
+  layout: { editorWidth: 40, isEditorStowed: false, isConsoleOpen: true, consoleHeight: 260, activePath: 'lib/a.js', openTabs: ['main.js', 'lib/a.js'] },
+  assets: { 'models/box.obj': 'data:text/plain;base64,dg==' },
+};
+
+describe('share links', () => {
+  test('round-trip files, settings, layout and assets', () => {
+    const link = createShareLink(payload, 'https://example.com/ide/');
+    const shared = readShareLink(link.slice(link.indexOf('#')));
+
+    expect(link.startsWith('https://example.com/ide/#project=')).toBe(true);
+    expect(shared).toEqual({
+      files,
+      settings: payload.settings,
+      layout: payload.layout,
+      assets: payload.assets,
+    });
+  });
+
+  test('read the older #code= and unversioned #project= formats', () => {
+    const code = readShareLink(`#code=${LZString.compressToEncodedURIComponent('const x = 1;')}`);
+    const fileList = readShareLink(`#project=${LZString.compressToEncodedURIComponent(JSON.stringify(files))}`);
+    const withSettings = readShareLink(`#project=${LZString.compressToEncodedURIComponent(JSON.stringify({ files, settings: { threeVersion: '0.165.0' } }))}`);
+
+    expect(code?.files).toEqual([{ path: 'main.js', content: 'const x = 1;' }]);
+    expect(fileList?.settings).toEqual(DEFAULT_PROJECT_SETTINGS);
+    expect(fileList?.layout).toBeUndefined();
+    expect(withSettings?.settings.threeVersion).toBe('0.165.0');
+    expect(readShareLink('#project=not-valid')).toBeNull();
+  });
+});
+
+describe('parseSharePayload', () => {
+  test('drops invalid layout fields and assets', () => {
+    const shared = parseSharePayload({
+      ...payload,
+      layout: { editorWidth: 500, activePath: 'missing.js', openTabs: ['lib/a.js', 'missing.js'] },
+      assets: {
+        'models/box.obj': 'https://example.com/box.obj',
+        'images/a.png': 'data:image/png;base64,AA==',
+        'images/bad.png': 'data:image/png;base64,%%%not base64',
+        'data/bad.json': 'data:application/json,%E0%A4%A',
+      },
+    });
+
+    expect(shared?.layout).toEqual({
+      editorWidth: 90,
+      isEditorStowed: false,
+      isConsoleOpen: false,
+      consoleHeight: 200,
+      activePath: 'lib/a.js',
+      openTabs: ['lib/a.js'],
+    });
+    expect(shared?.assets).toEqual({ 'images/a.png': 'data:image/png;base64,AA==' });
+  });
+
+  test('normalizes file and asset paths, dropping unusable ones', () => {
+    const shared = parseSharePayload({
+      ...payload,
+      files: [
+        { path: '/main.js', content: 'main' },
+        { path: './main.js', content: 'duplicate' },
+        { path: '../outside.js', content: 'escapes' },
+        { path: 'lib\\..\\lib//a.js', content: 'a' },
+      ],
+      assets: {
+        '/models/box.obj': 'data:text/plain;base64,dg==',
+        'models/./box.obj': 'data:text/plain;base64,dg==',
+        '../x.png': 'data:image/png;base64,AA==',
+      },
+    });
+
+    expect(shared?.files).toEqual([{ path: 'main.js', content: 'main' }, { path: 'lib/a.js', content: 'a' }]);
+    expect(shared?.assets).toEqual({ 'models/box.obj': 'data:text/plain;base64,dg==' });
+  });
+
+  test('rejects projects without an entry file', () => {
+    expect(parseSharePayload({ ...payload, files: [{ path: 'shaders/ink.frag', content: '' }] })).toBeNull();
+    expect(parseSharePayload([{ path: '../main.js', content: '' }])).toBeNull();
+  });
+});
+
+describe('readShareFile', () => {
+  test('reads share files and rejects other JSON', () => {
+    const text = JSON.stringify({ type: 'threejs-ide-share', ...payload });
+
+    expect(readShareFile(text).files).toEqual(files);
+    expect(() => readShareFile(JSON.stringify(payload))).toThrow();
+    expect(() => readShareFile('<html>')).toThrow();
+  });
+});
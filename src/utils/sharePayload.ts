@@ -0,0 +1,250 @@
+/**
+ * Share Payload Utility
+ * Versioned format for share links and share files: project files, settings
+ * (Three.js version, locked packages), editor layout and inlined assets.
+ * Links carry it LZString-compressed in #project=; share files carry it as JSON.
+ */
+
+import LZString from 'lz-string';
+import {
+  ProjectFile,
+  ProjectSettings,
+  DEFAULT_PROJECT_SETTINGS,
+  createProject,
+  getEntryFile,
+  isProjectFileList,
+  normalizeFilePath,
+  parseProjectSettings,
+} from './projectFiles';
+import { ProjectAssets, blobToDataUrl, dataUrlToBlob, fetchAsset } from './projectAssets';
+
+export const SHARE_PAYLOAD_VERSION = 1;
+
+/**
+ * Assets as data URLs, keyed by asset path
+ */
+export type SharedAssets = Record<string, string>;
+
+export interface ShareLayout {
+  editorWidth: number;      // percent of the window
+  isEditorStowed: boolean;
+  isConsoleOpen: boolean;
+  consoleHeight: number;    // px
+  activePath: string;
+  openTabs: string[];
+}
+
+export interface SharePayload {
+  v: number;
+  files: ProjectFile[];
+  settings: ProjectSettings;
+  layout?: ShareLayout;
+  assets?: SharedAssets;
+}
+
+export interface SharedProject {
+  files: ProjectFile[];
+  settings: ProjectSettings;
+  layout?: ShareLayout;
+  assets: SharedAssets;
+}
+
+export interface ShareAssetResult {
+  assets: SharedAssets;
+  omitted: string[];   // too large to inline - the recipient needs them from elsewhere
+}
+
+/**
+ * Longest link we offer without a warning - browsers accept far more, but
+ * chat apps, QR codes and some servers truncate long URLs
+ */
+export const SAFE_URL_LENGTH = 8000;
+
+/**
+ * Largest asset inlined into a share link, and into a share file
+ */
+export const MAX_LINK_ASSET_SIZE = 48 * 1024;
+export const MAX_FILE_ASSET_SIZE = 10 * 1024 * 1024;
+
+const SHARE_FILE_TYPE = 'threejs-ide-share';
+
+/**
+ * Copy the project's assets into the payload, skipping any above maxSize
+ * @param paths - Asset paths the project references (see findAssetPaths)
+ * @param projectAssets - The project's own asset files
+ */
+export async function collectShareAssets(paths: string[], projectAssets: ProjectAssets, maxSize: number): Promise<ShareAssetResult> {
+  const assets: SharedAssets = {};
+  const omitted: string[] = [];
+
+  for (const path of paths) {
+    const blob = await fetchAsset(path, projectAssets);
+    if (!blob) continue;
+    if (blob.size > maxSize) {
+      omitted.push(path);
+      continue;
+    }
+    assets[path] = await blobToDataUrl(blob);
+  }
+
+  return { assets, omitted };
+}
+
+/**
+ * Turn shared data URLs back into asset files
+ */
+export function decodeShareAssets(assets: SharedAssets): ProjectAssets {
+  const decoded: ProjectAssets = {};
+  for (const [path, dataUrl] of Object.entries(assets)) {
+    decoded[path] = dataUrlToBlob(dataUrl);
+  }
+  return decoded;
+}
+
+/**
+ * Build the share link for a payload
+ * @param baseUrl - The IDE's URL without a hash
+ */
+export function createShareLink(payload: SharePayload, baseUrl: string): string {
+  return `${baseUrl}#project=${LZString.compressToEncodedURIComponent(JSON.stringify(payload))}`;
+}
+
+/**
+ * Serialize a payload as a share file
+ */
+export function createShareFile(payload: SharePayload): Blob {
+  return new Blob([JSON.stringify({ type: SHARE_FILE_TYPE, ...payload }, null, 2)], { type: 'application/json' });
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Read a shared layout, dropping fields that are missing or out of range
+ */
+export function parseShareLayout(value: unknown, files: ProjectFile[]): ShareLayout | undefined {
+  if (!value || typeof value !== 'object') return undefined;
+  const layout = value as Partial<ShareLayout>;
+  const paths = new Set(files.map(f => f.path));
+  const openTabs = Array.isArray(layout.openTabs) ? layout.openTabs.filter(path => paths.has(path)) : [];
+  const activePath = typeof layout.activePath === 'string' && paths.has(layout.activePath) ? layout.activePath : openTabs[0];
+  if (!activePath) return undefined;
+
+  return {
+    editorWidth: isFiniteNumber(layout.editorWidth) ? Math.min(Math.max(layout.editorWidth, 10), 90) : 50,
+    isEditorStowed: layout.isEditorStowed === true,
+    isConsoleOpen: layout.isConsoleOpen === true,
+    consoleHeight: isFiniteNumber(layout.consoleHeight) ? Math.min(Math.max(layout.consoleHeight, 100), 800) : 200,
+    activePath,
+    openTabs: openTabs.includes(activePath) ? openTabs : [activePath, ...openTabs],
+  };
+}
+
+/**
+ * Normalize shared file paths, dropping files whose path is unusable or
+ * already taken
+ * @returns null if no file is left to run as the entry
+ */
+function parseSharedFiles(value: unknown): ProjectFile[] | null {
+  if (!isProjectFileList(value)) return null;
+  const files: ProjectFile[] = [];
+  for (const file of value) {
+    const path = normalizeFilePath(file.path);
+    if (!path || files.some(f => f.path === path)) {
+      console.warn(`Dropped shared file ${file.path}: invalid or duplicate path`);
+      continue;
+    }
+    files.push({ path, content: file.content });
+  }
+  return getEntryFile(files) ? files : null;
+}
+
+/**
+ * Read a decoded payload - the current format or the unversioned ones before it
+ * (a bare file list, or { files, settings })
+ */
+export function parseSharePayload(value: unknown): SharedProject | null {
+  if (Array.isArray(value)) {
+    const files = parseSharedFiles(value);
+    return files ? { files, settings: DEFAULT_PROJECT_SETTINGS, assets: {} } : null;
+  }
+  if (!value || typeof value !== 'object') return null;
+
+  const payload = value as Partial<SharePayload>;
+  if (isFiniteNumber(payload.v) && payload.v > SHARE_PAYLOAD_VERSION) {
+    console.warn(`Share payload version ${payload.v} is newer than this IDE supports (${SHARE_PAYLOAD_VERSION}) - loading what it can`);
+  }
+  // Links come from anywhere: paths are normalized, and a file or asset that
+  // isn't usable is dropped, not the project
+  const files = parseSharedFiles(payload.files);
+  if (!files) return null;
+
+  const assets: SharedAssets = {};
+  for (const [rawPath, dataUrl] of Object.entries(payload.assets && typeof payload.assets === 'object' ? payload.assets : {})) {
+    const path = normalizeFilePath(rawPath);
+    if (!path || path in assets) {
+      console.warn(`Dropped shared asset ${rawPath}: invalid or duplicate path`);
+      continue;
+    }
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) continue;
+    try {
+      dataUrlToBlob(dataUrl);
+      assets[path] = dataUrl;
+    } catch (error) {
+      console.warn(`Dropped shared asset ${rawPath}: not a valid data URL`);
+    }
+  }
+
+  return {
+    files,
+    settings: parseProjectSettings(payload.settings),
+    layout: parseShareLayout(payload.layout, files),
+    assets,
+  };
+}
+
+/**
+ * Read a project from a share link hash (#code= or #project=)
+ */
+export function readShareLink(hash: string): SharedProject | null {
+  if (hash.startsWith('#code=')) {
+    try {
+      const decompressed = LZString.decompressFromEncodedURIComponent(hash.substring(6));
+      if (decompressed) {
+        return { files: createProject(decompressed), settings: DEFAULT_PROJECT_SETTINGS, assets: {} };
+      }
+    } catch (error) {
+      console.error('Failed to load code from URL:', error);
+    }
+  }
+
+  if (hash.startsWith('#project=')) {
+    try {
+      const decompressed = LZString.decompressFromEncodedURIComponent(hash.substring(9));
+      return decompressed ? parseSharePayload(JSON.parse(decompressed)) : null;
+    } catch (error) {
+      console.error('Failed to load project from URL:', error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a share file's text
+ * @throws If the file isn't a share file
+ */
+export function readShareFile(text: string): SharedProject {
+  let value: unknown;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a share file (invalid JSON)');
+  }
+  const shared = value && (value as { type?: unknown }).type === SHARE_FILE_TYPE ? parseSharePayload(value) : null;
+  if (!shared) {
+    throw new Error('Not a share file');
+  }
+  return shared;
+}
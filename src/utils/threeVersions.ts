@@ -0,0 +1,58 @@
+/**
+ * Three.js Versions Utility
+ * The Three.js release a project runs against, and the CDN URLs and
+ * type definitions that go with it
+ */
+
+export interface ThreeVersionOption {
+  version: string;
+  label: string;
+}
+
+/**
+ * Version used by new projects and by projects saved before versions were selectable
+ */
+export const DEFAULT_THREE_VERSION = '0.157.0';
+
+/**
+ * Releases offered in the version picker
+ */
+export const THREE_VERSIONS: ThreeVersionOption[] = [
+  { version: '0.150.1', label: 'r150' },
+  { version: '0.157.0', label: 'r157' },
+  { version: '0.165.0', label: 'r165' },
+  { version: '0.170.0', label: 'r170' },
+  { version: '0.180.0', label: 'r180' },
+];
+
+/**
+ * Check that a value is an exact 0.x.y Three.js version
+ */
+export function isThreeVersion(value: unknown): value is string {
+  return typeof value === 'string' && /^0\.\d{2,3}\.\d+$/.test(value);
+}
+
+/**
+ * Release name for a version, e.g. 0.157.0 -> r157
+ */
+export function getThreeRevision(version: string): string {
+  return `r${version.split('.')[1]}`;
+}
+
+/**
+ * Base importmap entries for three and its addons
+ */
+export function getThreeImportmap(version: string = DEFAULT_THREE_VERSION): Record<string, string> {
+  return {
+    'three': `https://cdn.jsdelivr.net/npm/three@${version}/build/three.module.js`,
+    'three/addons/': `https://cdn.jsdelivr.net/npm/three@${version}/examples/jsm/`,
+  };
+}
+
+/**
+ * Type definitions matching a release - @types/three follows three's minor version
+ */
+export function getThreeTypesUrl(version: string = DEFAULT_THREE_VERSION): string {
+  const [major, minor] = version.split('.');
+  return `https://unpkg.com/@types/three@${major}.${minor}/index.d.ts`;
+}
@@ -0,0 +1,45 @@
+import { getBasePackageName, getLockUpdates, diffLocks } from './versionLock';
+import { ResolvedImport } from './cdnResolver';
+
+const resolvedImport = (packageName: string, version: string, lockable = true): ResolvedImport => ({
+  packageName,
+  url: `https://cdn.skypack.dev/${packageName}@${version}`,
+  version,
+  cdn: 'skypack',
+  originalSource: packageName,
+  lockable,
+});
+
+describe('getBasePackageName', () => {
+  test('strips subpaths and keeps scopes', () => {
+    expect(getBasePackageName('gsap')).toBe('gsap');
+    expect(getBasePackageName('gsap/ScrollTrigger')).toBe('gsap');
+    expect(getBasePackageName('@tweenjs/tween.js/dist/tween.esm.js')).toBe('@tweenjs/tween.js');
+  });
+});
+
+describe('getLockUpdates', () => {
+  test('locks exact versions of packages not yet in the lock', () => {
+    const resolved = [
+      resolvedImport('gsap/ScrollTrigger', '3.12.5'),
+      resolvedImport('lil-gui', '0.19.1'),
+      resolvedImport('cannon-es', 'latest'),
+      resolvedImport('tweakpane', '4.0.3', false),
+    ];
+
+    expect(getLockUpdates(resolved, { 'lil-gui': '0.18.0' })).toEqual({ gsap: '3.12.5' });
+  });
+});
+
+describe('diffLocks', () => {
+  test('lists changed versions and flags breaking bumps', () => {
+    const current = { gsap: '3.11.0', 'lil-gui': '0.18.2', postprocessing: '6.33.0', tweakpane: '3.1.10' };
+    const latest = { gsap: '3.12.5', 'lil-gui': '0.19.1', postprocessing: '6.33.0', tweakpane: '4.0.3' };
+
+    expect(diffLocks(current, latest)).toEqual([
+      { packageName: 'gsap', from: '3.11.0', to: '3.12.5', isMajor: false },
+      { packageName: 'lil-gui', from: '0.18.2', to: '0.19.1', isMajor: true },
+      { packageName: 'tweakpane', from: '3.1.10', to: '4.0.3', isMajor: true },
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Version Lock Utility
+ * Pins unversioned package imports to the exact version they first resolved to,
+ * so a project keeps loading the same code after a dependency publishes a new release
+ */
+
+import type { ResolvedImport } from './cdnResolver';
+
+/**
+ * Package name -> exact version, e.g. { 'gsap': '3.12.5' }
+ */
+export type VersionLock = Record<string, string>;
+
+export interface LockChange {
+  packageName: string;
+  from: string;
+  to: string;
+  isMajor: boolean;   // major bump (or minor bump for 0.x) - may contain breaking changes
+}
+
+const VERSION_API = 'https://data.jsdelivr.com/v1/packages/npm';
+
+/**
+ * Exact versions looked up this session, keyed by 'name@range'
+ */
+const exactVersions = new Map<string, Promise<string | null>>();
+
+/**
+ * Package a specifier belongs to
+ * e.g. 'gsap/ScrollTrigger' -> 'gsap', '@scope/pkg/sub' -> '@scope/pkg'
+ */
+export function getBasePackageName(specifier: string): string {
+  const segments = specifier.split('/');
+  return segments[0].startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+}
+
+/**
+ * Check that a version is exact (not 'latest' or a range)
+ */
+export function isExactVersion(version: string | undefined): version is string {
+  return typeof version === 'string' && /^\d+\.\d+\.\d+(?:[-+][\w.]+)?$/.test(version);
+}
+
+/**
+ * Look up the exact version a range currently resolves to
+ * @param packageName - npm package name
+ * @param range - 'latest', '3', '^3.12.0', ...
+ * @returns Exact version, or null when the registry can't be reached
+ */
+export function resolveExactVersion(packageName: string, range: string = 'latest'): Promise<string | null> {
+  const key = `${packageName}@${range}`;
+  const cached = exactVersions.get(key);
+  if (cached) return cached;
+
+  const lookup = fetch(`${VERSION_API}/${packageName}/resolved?specifier=${encodeURIComponent(range)}`)
+    .then(response => response.ok ? response.json() : null)
+    .then(data => (data && isExactVersion(data.version) ? data.version : null))
+    .catch(() => null)
+    .then(version => {
+      // Don't remember failures - the next run should try again
+      if (version === null) exactVersions.delete(key);
+      return version;
+    });
+
+  exactVersions.set(key, lookup);
+  return lookup;
+}
+
+/**
+ * Lock entries for packages that resolved without being in the lock yet
+ */
+export function getLockUpdates(resolved: ResolvedImport[], lock: VersionLock): VersionLock {
+  const updates: VersionLock = {};
+
+  for (const res of resolved) {
+    if (!res.lockable || !isExactVersion(res.version)) continue;
+    const packageName = getBasePackageName(res.packageName);
+    if (!(packageName in lock)) {
+      updates[packageName] = res.version;
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Latest version of every locked package
+ * Packages whose latest version can't be looked up keep their locked version.
+ */
+export async function getLatestVersions(lock: VersionLock): Promise<VersionLock> {
+  const latest: VersionLock = {};
+
+  await Promise.all(Object.entries(lock).map(async ([packageName, version]) => {
+    exactVersions.delete(`${packageName}@latest`);
+    latest[packageName] = (await resolveExactVersion(packageName)) ?? version;
+  }));
+
+  return latest;
+}
+
+/**
+ * Version changes between two locks, sorted by package name
+ */
+export function diffLocks(current: VersionLock, next: VersionLock): LockChange[] {
+  const changes: LockChange[] = [];
+
+  for (const [packageName, to] of Object.entries(next)) {
+    const from = current[packageName];
+    if (from === undefined || from === to) continue;
+
+    const [fromMajor, fromMinor] = from.split('.');
+    const [toMajor, toMinor] = to.split('.');
+    const isMajor = fromMajor !== toMajor || (fromMajor === '0' && fromMinor !== toMinor);
+    changes.push({ packageName, from, to, isMajor });
+  }
+
+  return changes.sort((a, b) => a.packageName.localeCompare(b.packageName));
+}
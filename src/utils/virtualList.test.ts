@@ -0,0 +1,17 @@
+import { getRowOffsets, getVisibleRange } from './virtualList';
+
+describe('virtualList', () => {
+  it('adds up measured and estimated heights', () => {
+    expect(getRowOffsets([10, undefined, 30], 20)).toEqual([0, 10, 30, 60]);
+    expect(getRowOffsets([], 20)).toEqual([0]);
+  });
+
+  it('finds the rows in view', () => {
+    const offsets = getRowOffsets(new Array(100000).fill(20), 20);
+    expect(getVisibleRange(offsets, 0, 100, 0)).toEqual({ start: 0, end: 6 });
+    expect(getVisibleRange(offsets, 1000, 1100, 0)).toEqual({ start: 50, end: 56 });
+    expect(getVisibleRange(offsets, 1010, 1100, 2)).toEqual({ start: 48, end: 58 });
+    expect(getVisibleRange(offsets, 1999990, 2000100, 5)).toEqual({ start: 99994, end: 100000 });
+    expect(getVisibleRange([0], 0, 100)).toEqual({ start: 0, end: 0 });
+  });
+});
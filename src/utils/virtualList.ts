@@ -0,0 +1,50 @@
+/**
+ * Virtual List Utility
+ * Row positions for lists that only render the rows in view. Rows have
+ * different heights, so measured heights are used where known and an
+ * estimate everywhere else.
+ */
+
+export interface VisibleRange {
+  start: number;
+  end: number;   // exclusive
+}
+
+/**
+ * Top of every row, plus the list's total height as the last entry
+ */
+export function getRowOffsets(heights: (number | undefined)[], estimatedHeight: number): number[] {
+  const offsets = new Array<number>(heights.length + 1);
+  offsets[0] = 0;
+  for (let i = 0; i < heights.length; i++) {
+    offsets[i + 1] = offsets[i] + (heights[i] ?? estimatedHeight);
+  }
+  return offsets;
+}
+
+/**
+ * Index of the row at a position, by binary search
+ */
+function findRow(offsets: number[], position: number): number {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (offsets[middle] <= position) low = middle;
+    else high = middle - 1;
+  }
+  return Math.max(0, low);
+}
+
+/**
+ * The rows between two positions, with extra rows above and below so
+ * scrolling doesn't show gaps before the next render
+ */
+export function getVisibleRange(offsets: number[], top: number, bottom: number, overscan = 10): VisibleRange {
+  const count = offsets.length - 1;
+  if (count <= 0) return { start: 0, end: 0 };
+  return {
+    start: Math.max(0, findRow(offsets, top) - overscan),
+    end: Math.min(count, findRow(offsets, bottom) + 1 + overscan),
+  };
+}
@@ -8,4 +8,14 @@ export default defineConfig({
   server: {
     port: 5174,  // Use 5174 to avoid conflict with FlowBoard on 5173
   },
+  test: {
+    // Utility tests with jest-style globals, in Node: its Blob is complete
+    // (jsdom's has no text() and loses types in IndexedDB), and
+    // src/setupTests.ts adds localStorage. App.test.tsx comes from the
+    // project template and doesn't match the current UI, so it isn't run.
+    globals: true,
+    environment: 'node',
+    include: ['src/utils/**/*.test.ts'],
+    setupFiles: ['src/setupTests.ts'],
+  },
 });